@@ -8,11 +8,26 @@ contract TCMockAssessment {
   mapping(address => uint) public unclaimedGovernanceRewards;
   address public withdrawRewardsLastCalledWithStaker;
   uint public withdrawRewardsLastCalledWithBatchSize;
+  mapping(address => uint) public pendingRewards;
+  mapping(address => uint) public withdrawableRewards;
 
   function setStakeOf(address staker, uint96 stakeAmount) external {
     stakeOf[staker] = IAssessment.Stake(stakeAmount, 0 /* rewardWithdrawableFromIndex */ , 0 /* fraudCount */);
   }
 
+  function setRewards(address staker, uint pending, uint withdrawable) external {
+    pendingRewards[staker] = pending;
+    withdrawableRewards[staker] = withdrawable;
+  }
+
+  function getRewards(address staker) external view returns (
+    uint totalPendingAmountInNXM,
+    uint withdrawableAmountInNXM,
+    uint withdrawableUntilIndex
+  ) {
+    return (pendingRewards[staker], withdrawableRewards[staker], 0);
+  }
+
   function withdrawRewards(
     address staker,
     uint104 batchSize
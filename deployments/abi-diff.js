@@ -0,0 +1,219 @@
+const { ethers } = require('ethers');
+
+const { Fragment, FormatTypes } = ethers.utils;
+
+const ChangeType = {
+  Added: 'Added',
+  Removed: 'Removed',
+  Modified: 'Modified',
+};
+
+// the mutability changes that don't break existing calls
+const compatibleMutabilityChanges = ['view:pure', 'nonpayable:payable'];
+
+const formatParams = params => `(${(params || []).map(param => param.format(FormatTypes.full)).join(', ')})`;
+
+const formatTypes = params => `(${(params || []).map(param => param.format(FormatTypes.sighash)).join(',')})`;
+
+// ethers can't format constructors as sighash
+const formatSignature = fragment =>
+  fragment.type === 'constructor' ? `constructor${formatTypes(fragment.inputs)}` : fragment.format(FormatTypes.sighash);
+
+// constructors are compared regardless of their inputs as there's only one per contract
+const getKey = fragment =>
+  fragment.type === 'constructor' ? 'constructor' : `${fragment.type} ${formatSignature(fragment)}`;
+
+const indexFragments = abi => {
+  const fragments = new Map();
+  for (const item of abi) {
+    const fragment = Fragment.from(item);
+    // fallback and receive are not supported by ethers v5 fragments
+    if (fragment) {
+      fragments.set(getKey(fragment), fragment);
+    }
+  }
+  return fragments;
+};
+
+/**
+ * Lists the differences between two versions of the same fragment.
+ *
+ * @param {Fragment} previous - The fragment in the baseline abi
+ * @param {Fragment} current - The fragment in the generated abi
+ * @return {object[]} The { description, breaking } of each difference
+ */
+const compareFragments = (previous, current) => {
+  const differences = [];
+
+  if (previous.type === 'function') {
+    const previousOutputs = formatTypes(previous.outputs);
+    const currentOutputs = formatTypes(current.outputs);
+
+    const previousNamedOutputs = formatParams(previous.outputs);
+    const currentNamedOutputs = formatParams(current.outputs);
+
+    if (previousOutputs !== currentOutputs) {
+      const description = `outputs changed from ${previousOutputs} to ${currentOutputs}`;
+      differences.push({ description, breaking: true });
+    } else if (previousNamedOutputs !== currentNamedOutputs) {
+      // named outputs are used as keys on the ethers result objects
+      const description = `output names changed from ${previousNamedOutputs} to ${currentNamedOutputs}`;
+      differences.push({ description, breaking: true });
+    }
+
+    if (previous.stateMutability !== current.stateMutability) {
+      const change = `${previous.stateMutability}:${current.stateMutability}`;
+      const description = `state mutability changed from ${previous.stateMutability} to ${current.stateMutability}`;
+      differences.push({ description, breaking: !compatibleMutabilityChanges.includes(change) });
+    }
+  }
+
+  if (previous.type === 'event') {
+    const previousIndexed = previous.inputs.map(input => input.indexed);
+    const currentIndexed = current.inputs.map(input => input.indexed);
+
+    if (previousIndexed.join() !== currentIndexed.join()) {
+      differences.push({ description: 'indexed parameters changed', breaking: true });
+    }
+
+    if (previous.anonymous !== current.anonymous) {
+      differences.push({ description: `anonymous changed to ${current.anonymous}`, breaking: true });
+    }
+  }
+
+  if (previous.type === 'constructor' && formatTypes(previous.inputs) !== formatTypes(current.inputs)) {
+    const description = `inputs changed from ${formatTypes(previous.inputs)} to ${formatTypes(current.inputs)}`;
+    differences.push({ description, breaking: false });
+  }
+
+  const previousInputs = formatParams(previous.inputs);
+  const currentInputs = formatParams(current.inputs);
+
+  // the types are part of the key, only the names can differ here (or the types for constructors)
+  // event argument names are used as keys on the parsed logs, function and error ones are informative
+  if (previousInputs !== currentInputs && differences.length === 0) {
+    const description = `inputs changed from ${previousInputs} to ${currentInputs}`;
+    differences.push({ description, breaking: previous.type === 'event' });
+  }
+
+  return differences;
+};
+
+/**
+ * Compares two abis of the same contract.
+ *
+ * @param {object[]} previousAbi - The baseline abi
+ * @param {object[]} currentAbi - The generated abi
+ * @return {object[]} The { type, kind, signature, description, breaking } of each change
+ */
+const diffAbi = (previousAbi, currentAbi) => {
+  const previous = indexFragments(previousAbi);
+  const current = indexFragments(currentAbi);
+  const changes = [];
+
+  for (const [key, fragment] of previous) {
+    const signature = formatSignature(fragment);
+
+    if (!current.has(key)) {
+      changes.push({ type: ChangeType.Removed, kind: fragment.type, signature, breaking: true });
+      continue;
+    }
+
+    for (const { description, breaking } of compareFragments(fragment, current.get(key))) {
+      changes.push({ type: ChangeType.Modified, kind: fragment.type, signature, description, breaking });
+    }
+  }
+
+  for (const [key, fragment] of current) {
+    if (!previous.has(key)) {
+      const signature = formatSignature(fragment);
+      changes.push({ type: ChangeType.Added, kind: fragment.type, signature, breaking: false });
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Compares the abis of all contracts.
+ *
+ * @param {object} previousAbis - The baseline abis by contract name
+ * @param {object} currentAbis - The generated abis by contract name
+ * @return {object} The changes by contract name, contracts without changes are omitted
+ */
+const diffAbis = (previousAbis, currentAbis) => {
+  const changes = {};
+  const contractNames = [...new Set([...Object.keys(previousAbis), ...Object.keys(currentAbis)])].sort();
+
+  for (const contractName of contractNames) {
+    if (!currentAbis[contractName]) {
+      changes[contractName] = [{ type: ChangeType.Removed, kind: 'contract', signature: contractName, breaking: true }];
+      continue;
+    }
+
+    if (!previousAbis[contractName]) {
+      changes[contractName] = [{ type: ChangeType.Added, kind: 'contract', signature: contractName, breaking: false }];
+      continue;
+    }
+
+    const contractChanges = diffAbi(previousAbis[contractName], currentAbis[contractName]);
+
+    if (contractChanges.length > 0) {
+      changes[contractName] = contractChanges;
+    }
+  }
+
+  return changes;
+};
+
+const hasBreakingChanges = changes => Object.values(changes).some(list => list.some(change => change.breaking));
+
+const getMajor = version => {
+  const major = parseInt(version.split('.')[0], 10);
+  if (isNaN(major)) {
+    throw new Error(`Invalid version: ${version}`);
+  }
+  return major;
+};
+
+const isMajorBump = (previousVersion, currentVersion) => getMajor(currentVersion) > getMajor(previousVersion);
+
+/**
+ * Formats the changes as a markdown changelog section.
+ *
+ * @param {object} changes - The changes returned by diffAbis
+ * @param {string} previousVersion - The version of the baseline
+ * @param {string} currentVersion - The version being built
+ * @return {string} The changelog
+ */
+const formatChangelog = (changes, previousVersion, currentVersion) => {
+  const lines = [`## ${currentVersion}`, '', `ABI changes compared to ${previousVersion}.`, ''];
+
+  if (Object.keys(changes).length === 0) {
+    return [...lines, 'No ABI changes.', ''].join('\n');
+  }
+
+  for (const [contractName, contractChanges] of Object.entries(changes)) {
+    lines.push(`### ${contractName}`, '');
+
+    for (const { type, kind, signature, description, breaking } of contractChanges) {
+      const prefix = breaking ? '**BREAKING** ' : '';
+      const suffix = description ? `: ${description}` : '';
+      lines.push(`- ${prefix}${type} ${kind} \`${signature}\`${suffix}`);
+    }
+
+    lines.push('');
+  }
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  ChangeType,
+  compareFragments,
+  diffAbi,
+  diffAbis,
+  hasBreakingChanges,
+  isMajorBump,
+  formatChangelog,
+};
@@ -1,9 +1,23 @@
+const { execFileSync } = require('node:child_process');
 const fs = require('node:fs');
+const os = require('node:os');
 const path = require('node:path');
-const { artifacts, config, run } = require('hardhat');
+const { artifacts, config, ethers, run } = require('hardhat');
 const { build } = require('tsup');
+const { glob, normalizeName, runTypeChain } = require('typechain');
+
+const { diffAbis, formatChangelog, hasBreakingChanges, isMajorBump } = require('./abi-diff');
 
 const rootPath = config.paths.root;
+const {
+  ABI_BASELINE = path.join(__dirname, 'abi-baseline'),
+  ADDRESSES_FILE,
+  ADDRESSES_CHAIN_ID = '31337',
+  MANIFEST_FILE,
+  PRODUCTS_FILE,
+} = process.env;
+const MAINNET_CHAIN_ID = '1';
+const PACKAGE_NAME = '@nexusmutual/deployments';
 const contractList = [
   'Assessment',
   'Cover',
@@ -82,6 +96,150 @@ const generateExports = () => {
   }
 };
 
+const readAbis = abisDir => {
+  const abis = {};
+
+  for (const file of fs.readdirSync(abisDir).filter(file => file.endsWith('.json'))) {
+    abis[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(abisDir, file), 'utf8'));
+  }
+
+  return abis;
+};
+
+// downloads and unpacks the last published version of the package into a temporary directory
+const fetchPublishedPackage = () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deployments-'));
+
+  console.log(`Downloading ${PACKAGE_NAME}@latest`);
+  const output = execFileSync('npm', ['pack', `${PACKAGE_NAME}@latest`, '--silent'], { cwd: tmpDir, encoding: 'utf8' });
+  const tarball = output.trim().split('\n').pop();
+  execFileSync('tar', ['-xzf', tarball], { cwd: tmpDir });
+
+  return tmpDir;
+};
+
+// compares the generated abis with the baseline in ABI_BASELINE and fails on breaking changes unless the major version
+// was bumped. the baseline is the committed abi-baseline directory by default, a package directory, or the last
+// published version if set to "published"
+const checkAbiChanges = version => {
+  if (ABI_BASELINE === 'none') {
+    console.log('Skipping ABI changes check');
+    return null;
+  }
+
+  const tmpDir = ABI_BASELINE === 'published' ? fetchPublishedPackage() : null;
+
+  try {
+    const baselineDir = tmpDir ? path.join(tmpDir, 'package') : path.resolve(ABI_BASELINE);
+    const { version: baselineVersion } = JSON.parse(fs.readFileSync(path.join(baselineDir, 'package.json'), 'utf8'));
+    // published packages have the abis in dist/data, the committed baseline has them at the root
+    const packageAbisDir = path.join(baselineDir, 'dist/data/abis');
+    const baselineAbis = readAbis(fs.existsSync(packageAbisDir) ? packageAbisDir : path.join(baselineDir, 'abis'));
+    const currentAbis = readAbis(path.join(__dirname, 'generated/abis'));
+
+    const changes = diffAbis(baselineAbis, currentAbis);
+    const changelog = formatChangelog(changes, baselineVersion, version);
+    console.log(changelog);
+
+    if (hasBreakingChanges(changes) && !isMajorBump(baselineVersion, version)) {
+      throw new Error(`Breaking ABI changes require a major version bump, got ${baselineVersion} -> ${version}`);
+    }
+
+    if (Object.keys(changes).length > 0 && baselineVersion === version) {
+      console.warn(`Warning: ABIs changed but the version is still ${version}`);
+    }
+
+    return changelog;
+  } finally {
+    if (tmpDir) {
+      rimraf(tmpDir);
+    }
+  }
+};
+
+// merges the published addresses with the output of scripts/deploy/deploy.js, if provided
+const generateAddresses = () => {
+  const addresses = require(path.join(__dirname, 'src/addresses.json'));
+
+  if (ADDRESSES_FILE) {
+    const deployedAddresses = require(path.resolve(ADDRESSES_FILE));
+
+    if (addresses[ADDRESSES_CHAIN_ID]) {
+      throw new Error(`Addresses for chain id ${ADDRESSES_CHAIN_ID} are already defined in src/addresses.json`);
+    }
+
+    console.log(`Adding addresses from ${ADDRESSES_FILE} for chain id ${ADDRESSES_CHAIN_ID}`);
+    addresses[ADDRESSES_CHAIN_ID] = deployedAddresses;
+  }
+
+  const outDir = path.join(__dirname, 'generated');
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, 'addresses.json'), JSON.stringify(addresses, null, 2) + '\n');
+
+  return addresses;
+};
+
+// merges the published manifests with the output of the deployments:manifest task, if provided
+// chains without a manifest are skipped and getManifest throws for them, but a manifest must list every contract
+const generateManifest = addresses => {
+  const manifests = require(path.join(__dirname, 'src/manifest.json'));
+
+  if (MANIFEST_FILE) {
+    if (manifests[ADDRESSES_CHAIN_ID]) {
+      throw new Error(`Manifest for chain id ${ADDRESSES_CHAIN_ID} is already defined in src/manifest.json`);
+    }
+
+    console.log(`Adding manifest from ${MANIFEST_FILE} for chain id ${ADDRESSES_CHAIN_ID}`);
+    manifests[ADDRESSES_CHAIN_ID] = require(path.resolve(MANIFEST_FILE));
+  }
+
+  for (const [chainId, chainAddresses] of Object.entries(addresses)) {
+    if (!manifests[chainId]) {
+      console.warn(`Warning: no manifest for chain id ${chainId}, generate it with the deployments:manifest task`);
+      continue;
+    }
+
+    const missing = Object.keys(chainAddresses).filter(name => !manifests[chainId][name]);
+
+    if (missing.length > 0) {
+      throw new Error(`Manifest for chain id ${chainId} is missing ${missing.join(', ')}`);
+    }
+  }
+
+  const outDir = path.join(__dirname, 'generated');
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, 'manifest.json'), JSON.stringify(manifests, null, 2) + '\n');
+
+  return manifests;
+};
+
+// merges the published products snapshots with the output of the deployments:products task, if provided
+// chains without a snapshot are skipped and getProducts throws for them
+const generateProducts = addresses => {
+  const snapshots = require(path.join(__dirname, 'src/products.json'));
+
+  if (PRODUCTS_FILE) {
+    if (snapshots[ADDRESSES_CHAIN_ID]) {
+      throw new Error(`Products for chain id ${ADDRESSES_CHAIN_ID} are already defined in src/products.json`);
+    }
+
+    console.log(`Adding products from ${PRODUCTS_FILE} for chain id ${ADDRESSES_CHAIN_ID}`);
+    snapshots[ADDRESSES_CHAIN_ID] = require(path.resolve(PRODUCTS_FILE));
+  }
+
+  for (const [chainId, chainAddresses] of Object.entries(addresses)) {
+    if (chainAddresses.Cover && !snapshots[chainId]) {
+      console.warn(`Warning: no products for chain id ${chainId}, generate them with the deployments:products task`);
+    }
+  }
+
+  const outDir = path.join(__dirname, 'generated');
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, 'products.json'), JSON.stringify(snapshots, null, 2) + '\n');
+
+  return snapshots;
+};
+
 const generateAbisTs = () => {
   const outDir = path.join(__dirname, 'generated');
 
@@ -96,6 +254,84 @@ const generateAbisTs = () => {
   fs.writeFileSync(path.join(outDir, 'abis.ts'), content);
 };
 
+// generates the typechain factories and interfaces of the exported abis, exposed as @nexusmutual/deployments/types
+const generateTypes = async () => {
+  const abiFiles = glob(rootPath, ['deployments/generated/abis/*.json']);
+
+  await runTypeChain({
+    cwd: rootPath,
+    filesToProcess: abiFiles,
+    allFiles: abiFiles,
+    outDir: path.join(__dirname, 'generated/types'),
+    target: 'ethers-v5',
+  });
+
+  // maps the exported names to their contract types, used to type the getContracts instances
+  // typechain normalizes the names (i.e. wNXM becomes WNXM)
+  const contractNames = contractList.map(contract => (typeof contract === 'string' ? contract : contract[1]));
+  const typeNames = contractNames.map(name => normalizeName(name));
+  const content = [
+    `import type { ${typeNames.join(', ')} } from './types';`,
+    '',
+    'export type ContractTypes = {',
+    ...contractNames.map((name, i) => `  ${name}: ${typeNames[i]};`),
+    '};',
+  ].join('\n');
+
+  fs.writeFileSync(path.join(__dirname, 'generated/contract-types.ts'), content + '\n');
+};
+
+const sortKeys = object => Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b)));
+
+// reverse lookup of event topics and function/error selectors to the contracts declaring them
+const generateTopicsAndSelectors = () => {
+  const topics = {};
+  const selectors = {};
+
+  for (const [contract, abi] of Object.entries(readAbis(path.join(__dirname, 'generated/abis')))) {
+    const iface = new ethers.utils.Interface(abi);
+
+    for (const [signature, fragment] of Object.entries(iface.events)) {
+      const topic = iface.getEventTopic(fragment);
+      topics[topic] = [...(topics[topic] || []), { contract, name: fragment.name, signature }];
+    }
+
+    const fragments = [
+      ...Object.entries(iface.functions).map(([signature, fragment]) => ['function', signature, fragment]),
+      ...Object.entries(iface.errors).map(([signature, fragment]) => ['error', signature, fragment]),
+    ];
+
+    for (const [type, signature, fragment] of fragments) {
+      const selector = iface.getSighash(fragment);
+      selectors[selector] = [...(selectors[selector] || []), { contract, type, name: fragment.name, signature }];
+    }
+  }
+
+  const outDir = path.join(__dirname, 'generated');
+  fs.writeFileSync(path.join(outDir, 'topics.json'), JSON.stringify(sortKeys(topics), null, 2) + '\n');
+  fs.writeFileSync(path.join(outDir, 'selectors.json'), JSON.stringify(sortKeys(selectors), null, 2) + '\n');
+};
+
+// lib/constants.js is the source of truth for the enums and parameter codes, exposed as constants in the package
+const generateConstantsTs = () => {
+  const constants = require(path.join(rootPath, 'lib/constants'));
+
+  const declarations = Object.keys(constants)
+    .sort()
+    .map(name => `export const ${name} = ${JSON.stringify(constants[name], null, 2)} as const;`);
+
+  const header = '// generated from lib/constants.js by deployments/build.js';
+  fs.writeFileSync(path.join(__dirname, 'generated/constants.ts'), [header, ...declarations].join('\n\n') + '\n');
+};
+
+// StakingPoolLibrary derives the pool addresses using the hash of the MinimalBeaconProxy creation code
+const generateStakingPoolTs = () => {
+  const { bytecode } = artifacts.readArtifactSync('MinimalBeaconProxy');
+  const initCodeHash = ethers.utils.keccak256(bytecode);
+  const content = `export const STAKING_POOL_INIT_CODE_HASH = '${initCodeHash}';\n`;
+  fs.writeFileSync(path.join(__dirname, 'generated/staking-pool.ts'), content);
+};
+
 const main = async () => {
   rimraf(path.join(__dirname, './dist'));
   rimraf(path.join(__dirname, './generated'));
@@ -109,17 +345,26 @@ const main = async () => {
 
   console.log('Generating exports');
   generateExports();
+  const changelog = checkAbiChanges(version);
   generateAbisTs();
+  generateStakingPoolTs();
+  generateConstantsTs();
+  generateTopicsAndSelectors();
+  await generateTypes();
+  const addresses = generateAddresses();
+  const manifests = generateManifest(addresses);
+  const products = generateProducts(addresses);
 
   console.log('Building source');
   await build({
-    entry: ['deployments/src/index.ts'],
+    entry: ['deployments/src/index.ts', 'deployments/src/types.ts'],
     outDir: 'deployments/dist',
     format: ['cjs', 'esm'],
     splitting: false,
     sourcemap: true,
     clean: true,
     dts: true,
+    tsconfig: 'deployments/tsconfig.json',
     publicDir: 'generated', // copy generated files to dist
   });
 
@@ -127,8 +372,35 @@ const main = async () => {
   const distDataDir = path.join(__dirname, 'dist/data');
   fs.mkdirSync(distDataDir, { recursive: true });
 
-  // Copy addresses.json to dist/data
-  fs.copyFileSync(path.join(__dirname, 'src/addresses.json'), path.join(distDataDir, 'addresses.json'));
+  // Write mainnet addresses to dist/data/addresses.json and all networks to dist/data/addresses/<chainId>.json
+  const addressesOutDir = path.join(distDataDir, 'addresses/');
+  fs.mkdirSync(addressesOutDir, { recursive: true });
+  fs.writeFileSync(path.join(distDataDir, 'addresses.json'), JSON.stringify(addresses[MAINNET_CHAIN_ID], null, 2));
+
+  for (const [chainId, chainAddresses] of Object.entries(addresses)) {
+    fs.writeFileSync(path.join(addressesOutDir, `${chainId}.json`), JSON.stringify(chainAddresses, null, 2));
+  }
+
+  // Write the manifest of each network to dist/data/manifest/<chainId>.json
+  const manifestOutDir = path.join(distDataDir, 'manifest/');
+  fs.mkdirSync(manifestOutDir, { recursive: true });
+
+  for (const [chainId, manifest] of Object.entries(manifests)) {
+    fs.writeFileSync(path.join(manifestOutDir, `${chainId}.json`), JSON.stringify(manifest, null, 2));
+  }
+
+  // Write the products snapshot of each network to dist/data/products/<chainId>.json
+  const productsOutDir = path.join(distDataDir, 'products/');
+  fs.mkdirSync(productsOutDir, { recursive: true });
+
+  for (const [chainId, snapshot] of Object.entries(products)) {
+    fs.writeFileSync(path.join(productsOutDir, `${chainId}.json`), JSON.stringify(snapshot, null, 2));
+  }
+
+  // Copy topics and selectors to dist/data
+  for (const file of ['topics.json', 'selectors.json']) {
+    fs.copyFileSync(path.join(__dirname, 'generated', file), path.join(distDataDir, file));
+  }
 
   // Copy generated abis to dist/data
   const abisSrcDir = path.join(__dirname, './generated/abis/');
@@ -145,6 +417,10 @@ const main = async () => {
     }
   }
 
+  if (changelog) {
+    fs.writeFileSync(path.join(__dirname, 'dist/ABI_CHANGELOG.md'), changelog);
+  }
+
   console.log('Done');
 };
 
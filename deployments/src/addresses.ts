@@ -0,0 +1,21 @@
+import addressesByChainId from '../generated/addresses.json';
+
+export const MAINNET_CHAIN_ID = 1;
+
+// other networks may not have all the mainnet contracts, hence the looser type
+const allAddresses: Record<string, Record<string, string> | undefined> = addressesByChainId;
+
+// mainnet addresses, kept as the default for backwards compatibility
+export const addresses = addressesByChainId[MAINNET_CHAIN_ID];
+
+export const chainIds = Object.keys(addressesByChainId).map(Number);
+
+export const getAddresses = (chainId: number | string): Record<string, string> => {
+  const chainAddresses = allAddresses[String(chainId)];
+
+  if (!chainAddresses) {
+    throw new Error(`No addresses available for chain id ${chainId}`);
+  }
+
+  return chainAddresses;
+};
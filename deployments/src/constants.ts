@@ -0,0 +1,44 @@
+export * from '../generated/constants';
+
+// bitmaps are stored as uint32 in the Product struct
+const MAX_COVER_ASSET_ID = 31;
+
+const assertAssetId = (assetId: number) => {
+  if (!Number.isInteger(assetId) || assetId < 0 || assetId > MAX_COVER_ASSET_ID) {
+    throw new Error(`Invalid cover asset id ${assetId}`);
+  }
+};
+
+/**
+ * Builds the coverAssets bitmap of a product from pool asset ids.
+ * An empty bitmap means the product uses the default cover assets of the pool.
+ */
+export const toCoverAssetsBitmap = (assetIds: number[]): number =>
+  [...new Set(assetIds)].reduce((bitmap, assetId) => {
+    assertAssetId(assetId);
+    return bitmap + 2 ** assetId;
+  }, 0);
+
+/**
+ * Lists the pool asset ids set in a coverAssets bitmap.
+ */
+export const fromCoverAssetsBitmap = (bitmap: number): number[] => {
+  const assetIds = [];
+
+  for (let assetId = 0; assetId <= MAX_COVER_ASSET_ID; assetId++) {
+    if (Math.floor(bitmap / 2 ** assetId) % 2 === 1) {
+      assetIds.push(assetId);
+    }
+  }
+
+  return assetIds;
+};
+
+/**
+ * Mirrors the bitmap check of Cover.isCoverAssetSupported.
+ * The pool may still reject the asset if it's not a cover asset or if it's abandoned.
+ */
+export const isCoverAssetInBitmap = (assetId: number, bitmap: number): boolean => {
+  assertAssetId(assetId);
+  return bitmap === 0 || Math.floor(bitmap / 2 ** assetId) % 2 === 1;
+};
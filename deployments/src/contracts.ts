@@ -0,0 +1,82 @@
+import { BigNumber, BigNumberish, Contract, Signer, providers, utils } from 'ethers';
+
+import { abis } from '../generated/abis';
+import type { ContractTypes } from '../generated/contract-types';
+import { STAKING_POOL_INIT_CODE_HASH } from '../generated/staking-pool';
+import { MAINNET_CHAIN_ID, getAddresses } from './addresses';
+
+export type ContractName = keyof typeof abis;
+
+export type Contracts = Partial<ContractTypes>;
+
+export interface GetContractsOptions {
+  chainId?: number;
+}
+
+/**
+ * Computes the address of a staking pool the same way StakingPoolLibrary.getAddress does.
+ */
+export const getStakingPoolAddress = (stakingPoolFactory: string, poolId: BigNumberish): string => {
+  const salt = utils.hexZeroPad(BigNumber.from(poolId).toHexString(), 32);
+  return utils.getCreate2Address(stakingPoolFactory, salt, STAKING_POOL_INIT_CODE_HASH);
+};
+
+/**
+ * Returns ethers contract instances for all the contracts that have an address on the given chain,
+ * along with helpers for the per-pool StakingPool instances.
+ */
+export const getContracts = (
+  providerOrSigner: Signer | providers.Provider,
+  { chainId = MAINNET_CHAIN_ID }: GetContractsOptions = {},
+) => {
+  const addresses = getAddresses(chainId);
+  const instances: Record<string, Contract> = {};
+
+  for (const [name, abi] of Object.entries(abis)) {
+    const address = addresses[name];
+    if (address) {
+      instances[name] = new Contract(address, abi, providerOrSigner);
+    }
+  }
+
+  // the abis and the typechain types are generated from the same contract list
+  const contracts = instances as Contracts;
+
+  const getPoolAddress = (poolId: BigNumberish): string => {
+    const factory = addresses.StakingPoolFactory;
+    if (!factory) {
+      throw new Error(`StakingPoolFactory address not available for chain id ${chainId}`);
+    }
+    return getStakingPoolAddress(factory, poolId);
+  };
+
+  const getStakingPool = (poolId: BigNumberish) =>
+    new Contract(getPoolAddress(poolId), abis.StakingPool, providerOrSigner) as ContractTypes['StakingPool'];
+
+  // staking NFTs are tied to a pool, the pool id is read from StakingNFT
+  const getStakingPoolOfToken = async (tokenId: BigNumberish) => {
+    const { StakingNFT } = contracts;
+    if (!StakingNFT) {
+      throw new Error(`StakingNFT address not available for chain id ${chainId}`);
+    }
+    return getStakingPool(await StakingNFT.stakingPoolOf(tokenId));
+  };
+
+  // cover NFTs have a single owner and no other on-chain link, the cover data is read from Cover
+  const getCoverOfToken = async (coverId: BigNumberish) => {
+    const { Cover, CoverNFT } = contracts;
+    if (!Cover || !CoverNFT) {
+      throw new Error(`Cover or CoverNFT address not available for chain id ${chainId}`);
+    }
+    const [owner, data] = await Promise.all([CoverNFT.ownerOf(coverId), Cover.coverData(coverId)]);
+    return { coverId: BigNumber.from(coverId), owner, data };
+  };
+
+  return {
+    ...contracts,
+    getStakingPoolAddress: getPoolAddress,
+    getStakingPool,
+    getStakingPoolOfToken,
+    getCoverOfToken,
+  };
+};
@@ -1,2 +1,7 @@
-export { default as addresses } from './addresses.json';
+export * from './addresses';
+export * from './contracts';
+export * from './logs';
+export * from './manifest';
+export * from './products';
+export * as constants from './constants';
 export * from '../generated/abis';
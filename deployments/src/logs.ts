@@ -0,0 +1,87 @@
+import { utils } from 'ethers';
+
+import { abis } from '../generated/abis';
+import topicsJson from '../generated/topics.json';
+import selectorsJson from '../generated/selectors.json';
+import { MAINNET_CHAIN_ID, chainIds, getAddresses } from './addresses';
+
+export interface EventDeclaration {
+  contract: string;
+  name: string;
+  signature: string;
+}
+
+export interface SelectorDeclaration extends EventDeclaration {
+  type: 'function' | 'error';
+}
+
+export interface Log {
+  address: string;
+  topics: string[];
+  data: string;
+}
+
+export interface DecodedLog {
+  // undefined when the log is not decoded with the abi of its emitter,
+  // or when the emitter is not in addresses.json and multiple contracts declare the event
+  contract: string | undefined;
+  candidates: string[];
+  name: string;
+  signature: string;
+  args: utils.Result;
+}
+
+export interface DecodeLogOptions {
+  chainId?: number;
+}
+
+// event topic => contracts declaring the event
+export const topics: Record<string, EventDeclaration[] | undefined> = topicsJson;
+
+// function or error selector => contracts declaring the function or error
+export const selectors = selectorsJson as Record<string, SelectorDeclaration[] | undefined>;
+
+const getContractName = (address: string, chainId: number): string | undefined => {
+  // chains without addresses have no known emitters, their logs are decoded by topic only
+  if (!chainIds.includes(Number(chainId))) {
+    return undefined;
+  }
+
+  const addresses = getAddresses(chainId);
+  return Object.keys(addresses).find(name => addresses[name]?.toLowerCase() === address.toLowerCase());
+};
+
+const singleOrUndefined = (items: string[]): string | undefined => (items.length === 1 ? items[0] : undefined);
+
+/**
+ * Decodes a log emitted by any of the Nexus Mutual contracts.
+ * The emitter address is looked up in addresses.json to pick the contract when multiple ones declare the event.
+ * Returns null for unknown events.
+ */
+export const decodeLog = (log: Log, { chainId = MAINNET_CHAIN_ID }: DecodeLogOptions = {}): DecodedLog | null => {
+  const declarations = topics[log.topics[0]?.toLowerCase() ?? ''] ?? [];
+  const candidates = declarations.map(declaration => declaration.contract);
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const emitter = getContractName(log.address, chainId);
+  const contract = emitter && candidates.includes(emitter) ? emitter : singleOrUndefined(candidates);
+
+  // declarations can differ in the indexed parameters, the first one that decodes the log wins
+  const ordered = contract ? [contract, ...candidates.filter(candidate => candidate !== contract)] : candidates;
+
+  for (const candidate of ordered) {
+    const iface = new utils.Interface(abis[candidate as keyof typeof abis]);
+
+    try {
+      const { name, signature, args } = iface.parseLog(log);
+      return { contract: candidate === contract ? contract : undefined, candidates, name, signature, args };
+    } catch (e) {
+      continue;
+    }
+  }
+
+  return null;
+};
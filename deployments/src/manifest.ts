@@ -0,0 +1,27 @@
+import manifestsByChainId from '../generated/manifest.json';
+
+export interface ContractManifest {
+  address: string;
+  // block and transaction the contract (or its proxy) was deployed in
+  deployBlock: number;
+  // null when the contract was deployed by another contract, i.e. through a create2 deployer
+  deployTxHash: string | null;
+  isProxy: boolean;
+  // current implementation, null for contracts that are not proxies
+  implementation: string | null;
+  // code in NXMaster, null for contracts not registered in NXMaster
+  code: string | null;
+  legacy: boolean;
+}
+
+const manifests: Record<string, Record<string, ContractManifest> | undefined> = manifestsByChainId;
+
+export const getManifest = (chainId: number | string): Record<string, ContractManifest> => {
+  const manifest = manifests[String(chainId)];
+
+  if (!manifest) {
+    throw new Error(`No manifest available for chain id ${chainId}`);
+  }
+
+  return manifest;
+};
@@ -0,0 +1,46 @@
+import productsByChainId from '../generated/products.json';
+
+export interface ProductTypeSnapshot {
+  id: number;
+  name: string;
+  // see constants.ClaimMethod
+  claimMethod: number;
+  // in seconds
+  gracePeriod: number;
+  ipfsMetadata: string;
+}
+
+export interface ProductSnapshot {
+  id: number;
+  name: string;
+  productType: number;
+  yieldTokenAddress: string;
+  // see constants.fromCoverAssetsBitmap
+  coverAssets: number;
+  initialPriceRatio: number;
+  capacityReductionRatio: number;
+  isDeprecated: boolean;
+  useFixedPrice: boolean;
+  ipfsMetadata: string;
+  // empty when all pools are allowed
+  allowedPools: number[];
+}
+
+export interface ProductsSnapshot {
+  // block the snapshot was taken at
+  blockNumber: number;
+  productTypes: ProductTypeSnapshot[];
+  products: ProductSnapshot[];
+}
+
+const snapshots: Record<string, ProductsSnapshot | undefined> = productsByChainId;
+
+export const getProducts = (chainId: number | string): ProductsSnapshot => {
+  const snapshot = snapshots[String(chainId)];
+
+  if (!snapshot) {
+    throw new Error(`No products snapshot available for chain id ${chainId}`);
+  }
+
+  return snapshot;
+};
@@ -52,3 +52,209 @@ task('coverage').setAction(async function (args, hre, runSuper) {
   };
   return runSuper();
 });
+
+task('deployments:manifest', 'Regenerates the deployments manifest from a deployment journal or from the chain')
+  .addOptionalParam('journal', 'Deployment journal written by scripts/deploy/deploy.js, reads the chain if omitted')
+  .addOptionalParam('addresses', 'Addresses file of the deployment, defaults to the published addresses of the network')
+  .addOptionalParam('out', 'Write the manifest to this file instead of updating deployments/src/manifest.json')
+  .setAction(async function ({ journal, addresses: addressesFile, out }, hre) {
+    const fs = require('fs');
+    const path = require('path');
+    const { buildManifestFromChain, buildManifestFromJournal, readJournal } = require('../lib/deployment-manifest');
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const manifestFile = path.join(hre.config.paths.root, 'deployments/src/manifest.json');
+    const publishedAddresses = require(path.join(hre.config.paths.root, 'deployments/src/addresses.json'));
+    const addresses = addressesFile ? JSON.parse(fs.readFileSync(addressesFile, 'utf8')) : publishedAddresses[chainId];
+
+    if (!addresses) {
+      throw new Error(`No addresses found for chain id ${chainId}, use --addresses to provide them`);
+    }
+
+    console.log(journal ? `Reading journal ${journal}` : `Reading chain ${chainId} on network ${hre.network.name}`);
+    const manifest = journal
+      ? buildManifestFromJournal(readJournal(journal), addresses)
+      : await buildManifestFromChain(hre.ethers.provider, addresses);
+
+    if (out) {
+      fs.writeFileSync(out, JSON.stringify(manifest, null, 2) + '\n');
+      console.log(`Manifest written to ${out}`);
+      return;
+    }
+
+    const manifests = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+    manifests[chainId] = manifest;
+    fs.writeFileSync(manifestFile, JSON.stringify(manifests, null, 2) + '\n');
+    console.log(`Manifest for chain id ${chainId} written to ${manifestFile}`);
+  });
+
+task('deployments:products', 'Snapshots the products and product types listed in Cover')
+  .addOptionalParam('addresses', 'Addresses file of the deployment, defaults to the published addresses of the network')
+  .addOptionalParam('fromBlock', 'Block to search the metadata events from, defaults to the deploy block of Cover')
+  .addOptionalParam('out', 'Write the snapshot to this file instead of updating deployments/src/products.json')
+  .setAction(async function ({ addresses: addressesFile, fromBlock, out }, hre) {
+    const fs = require('fs');
+    const path = require('path');
+    const { buildProductsSnapshot } = require('../lib/products-snapshot');
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const productsFile = path.join(hre.config.paths.root, 'deployments/src/products.json');
+    const publishedAddresses = require(path.join(hre.config.paths.root, 'deployments/src/addresses.json'));
+    const addresses = addressesFile ? JSON.parse(fs.readFileSync(addressesFile, 'utf8')) : publishedAddresses[chainId];
+
+    if (!addresses || !addresses.Cover) {
+      throw new Error(`No Cover address found for chain id ${chainId}, use --addresses to provide it`);
+    }
+
+    // searching the events from the deploy block of Cover avoids scanning the whole chain
+    const manifests = require(path.join(hre.config.paths.root, 'deployments/src/manifest.json'));
+    const coverManifest = (manifests[chainId] && manifests[chainId].Cover) || { deployBlock: 0 };
+    const startBlock = fromBlock !== undefined ? Number(fromBlock) : coverManifest.deployBlock;
+
+    console.log(`Reading products from Cover at ${addresses.Cover} on chain ${chainId} from block ${startBlock}`);
+    const cover = await hre.ethers.getContractAt('Cover', addresses.Cover);
+    const snapshot = await buildProductsSnapshot(cover, { fromBlock: startBlock });
+    const summary = `${snapshot.products.length} products and ${snapshot.productTypes.length} product types`;
+
+    if (out) {
+      fs.writeFileSync(out, JSON.stringify(snapshot, null, 2) + '\n');
+      console.log(`Snapshot of ${summary} written to ${out}`);
+      return;
+    }
+
+    const snapshots = JSON.parse(fs.readFileSync(productsFile, 'utf8'));
+    snapshots[chainId] = snapshot;
+    fs.writeFileSync(productsFile, JSON.stringify(snapshots, null, 2) + '\n');
+    console.log(`Snapshot of ${summary} for chain id ${chainId} written to ${productsFile}`);
+  });
+
+task('deployments:verify-addresses', 'Compares the published addresses with the ones registered in NXMaster')
+  .addOptionalParam('addresses', 'Addresses file to verify, defaults to the published addresses of the network')
+  .setAction(async function ({ addresses: addressesFile }, hre) {
+    const fs = require('fs');
+    const path = require('path');
+    const { diffAddresses, formatDiff, hasMismatches, resolveAddresses } = require('../lib/address-verification');
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const publishedAddresses = require(path.join(hre.config.paths.root, 'deployments/src/addresses.json'));
+    const addresses = addressesFile ? JSON.parse(fs.readFileSync(addressesFile, 'utf8')) : publishedAddresses[chainId];
+
+    if (!addresses) {
+      throw new Error(`No addresses found for chain id ${chainId}, use --addresses to provide them`);
+    }
+
+    if (!addresses.NXMaster) {
+      throw new Error('NXMaster address is missing from the addresses file');
+    }
+
+    console.log(`Verifying addresses against NXMaster at ${addresses.NXMaster} on chain ${chainId}\n`);
+
+    const master = await hre.ethers.getContractAt('NXMaster', addresses.NXMaster);
+    const diff = diffAddresses(await resolveAddresses(master), addresses);
+    console.log(formatDiff(diff));
+
+    if (hasMismatches(diff)) {
+      console.log('\nThe addresses do not match the ones registered on chain');
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log('\nAll addresses match');
+  });
+
+task('deployments:check-invariants', 'Checks the wiring of the contracts of a deployment')
+  .addOptionalParam('addresses', 'Addresses file of the deployment, defaults to the published addresses of the network')
+  .setAction(async function ({ addresses: addressesFile }, hre) {
+    const fs = require('fs');
+    const path = require('path');
+    const { checkInvariants, formatChecklist, hasFailures } = require('../lib/deployment-invariants');
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const publishedAddresses = require(path.join(hre.config.paths.root, 'deployments/src/addresses.json'));
+    const addresses = addressesFile ? JSON.parse(fs.readFileSync(addressesFile, 'utf8')) : publishedAddresses[chainId];
+
+    if (!addresses) {
+      throw new Error(`No addresses found for chain id ${chainId}, use --addresses to provide them`);
+    }
+
+    if (!addresses.NXMaster) {
+      throw new Error('NXMaster address is missing from the addresses file');
+    }
+
+    console.log(`Checking the invariants of the deployment of NXMaster at ${addresses.NXMaster} on chain ${chainId}\n`);
+
+    const master = await hre.ethers.getContractAt('NXMaster', addresses.NXMaster);
+    const results = await checkInvariants(master);
+    console.log(formatChecklist(results));
+
+    if (hasFailures(results)) {
+      console.log('\nThe deployment breaks some invariants');
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log('\nAll invariants hold');
+  });
+
+task('deployments:check-bundles', 'Recompiles the verification bundles and checks their runtime bytecode hashes')
+  .addParam('dir', 'Directory of the verification bundles written by the deploy script')
+  .addOptionalParam('contract', 'Only check the bundles of this alias or address')
+  .setAction(async function ({ dir, contract }, hre) {
+    const fs = require('fs');
+    const path = require('path');
+    const {
+      TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD,
+      TASK_COMPILE_SOLIDITY_RUN_SOLC,
+      TASK_COMPILE_SOLIDITY_RUN_SOLCJS,
+    } = require('hardhat/builtin-tasks/task-names');
+    const { checkVerificationBundle } = require('../lib/verification-bundle');
+
+    const bundles = fs
+      .readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')))
+      .filter(
+        ({ alias, address }) => !contract || [alias, address].some(id => id.toLowerCase() === contract.toLowerCase()),
+      );
+
+    if (bundles.length === 0) {
+      throw new Error(`No verification bundles found in ${dir}`);
+    }
+
+    // the same contract deployed multiple times, i.e. the proxies, is compiled once
+    const outputs = {};
+    const compile = async ({ compilerVersion, input }) => {
+      const key = hre.ethers.utils.id(compilerVersion + JSON.stringify(input));
+
+      if (!outputs[key]) {
+        // uses the compiler cached by hardhat, only downloads it if it's missing
+        const solcVersion = compilerVersion.replace(/^v(\d+\.\d+\.\d+).*$/, '$1');
+        const solcBuild = await hre.run(TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD, { quiet: true, solcVersion });
+        outputs[key] = solcBuild.isSolcJs
+          ? await hre.run(TASK_COMPILE_SOLIDITY_RUN_SOLCJS, { input, solcJsPath: solcBuild.compilerPath })
+          : await hre.run(TASK_COMPILE_SOLIDITY_RUN_SOLC, { input, solcPath: solcBuild.compilerPath });
+      }
+
+      return outputs[key];
+    };
+
+    let failures = 0;
+
+    for (const bundle of bundles) {
+      const { matches, actual } = checkVerificationBundle(bundle, await compile(bundle));
+      console.log(`${matches ? 'OK  ' : 'FAIL'}  ${bundle.alias} at ${bundle.address} (${bundle.contract})`);
+
+      if (!matches) {
+        console.log(`      expected ${bundle.runtimeBytecodeHash}, compiled ${actual}`);
+        failures++;
+      }
+    }
+
+    if (failures > 0) {
+      console.log(`\n${failures} of ${bundles.length} bundles do not match their runtime bytecode`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`\nAll ${bundles.length} bundles match their runtime bytecode`);
+  });
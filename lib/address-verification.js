@@ -0,0 +1,144 @@
+const { ethers } = require('ethers');
+
+const { contracts: registryContracts } = require('./contract-registry');
+const { getImplementation } = require('./deployment-manifest');
+
+const { AddressZero } = ethers.constants;
+const { getAddress, hexlify, toUtf8Bytes } = ethers.utils;
+
+const AddressStatus = {
+  Ok: 'ok',
+  Mismatch: 'mismatch',
+  Missing: 'missing', // resolved on chain but not in addresses.json, only fails the check for non-legacy contracts
+  Unchecked: 'unchecked', // in addresses.json but not resolvable through NXMaster
+};
+
+// contracts that are not registered in NXMaster, resolved through the getters of the contracts that use them
+const links = [
+  { name: 'NXMToken', via: 'NXMaster', getter: 'tokenAddress' },
+  { name: 'CoverNFT', via: 'Cover', getter: 'coverNFT' },
+  { name: 'StakingNFT', via: 'Cover', getter: 'stakingNFT' },
+  { name: 'StakingPoolFactory', via: 'Cover', getter: 'stakingPoolFactory' },
+  { name: 'StakingPoolFactory', via: 'StakingProducts', getter: 'stakingPoolFactory' },
+  { name: 'StakingPoolFactory', via: 'StakingNFT', getter: 'stakingPoolFactory' },
+  { name: 'StakingPoolFactory', via: 'TokenController', getter: 'stakingPoolFactory' },
+  { name: 'PriceFeedOracle', via: 'Pool', getter: 'priceFeedOracle' },
+  { name: 'SwapOperator', via: 'Pool', getter: 'swapOperator' },
+];
+
+// legacy contracts are published under the name of their artifact, i.e. LegacyPooledStaking
+const getPublishedName = ({ name, artifact }) => (artifact ? artifact.split(':').pop() : name);
+
+/**
+ * Resolves the addresses of the contracts from NXMaster and the links between contracts.
+ * Legacy contracts that are no longer registered in NXMaster are skipped.
+ *
+ * @param {Contract} master - NXMaster instance
+ * @return {Promise<object[]>} The { name, address, source, legacy, implementation } of each resolved contract
+ */
+const resolveAddresses = async master => {
+  const { provider } = master;
+  const resolved = [{ name: 'NXMaster', address: master.address, source: 'NXMaster' }];
+
+  for (const contract of registryContracts) {
+    // the longer codes are used for parameters and are not registered in NXMaster
+    if (contract.code.length !== 2) {
+      continue;
+    }
+
+    const address = await master.getLatestAddress(hexlify(toUtf8Bytes(contract.code)));
+
+    if (address !== AddressZero) {
+      const source = `NXMaster.getLatestAddress("${contract.code}")`;
+      resolved.push({ name: getPublishedName(contract), address, source, legacy: contract.legacy === true });
+    }
+  }
+
+  for (const { name, via, getter } of links) {
+    const target = resolved.find(item => item.name === via);
+
+    if (!target) {
+      continue;
+    }
+
+    const instance = new ethers.Contract(target.address, [`function ${getter}() view returns (address)`], provider);
+    resolved.push({ name, address: await instance[getter](), source: `${via}.${getter}()` });
+  }
+
+  for (const item of resolved) {
+    item.implementation = await getImplementation(provider, item.address);
+  }
+
+  return resolved;
+};
+
+const getStatus = (expected, actual) => {
+  if (expected === undefined) {
+    return AddressStatus.Missing;
+  }
+  return getAddress(expected) === getAddress(actual) ? AddressStatus.Ok : AddressStatus.Mismatch;
+};
+
+/**
+ * Compares the resolved addresses with the ones in addresses.json.
+ *
+ * @param {object[]} resolved - The contracts returned by resolveAddresses
+ * @param {object} addresses - The contract addresses by name, as in addresses.json
+ * @return {object[]} The { name, status, expected, actual, source, legacy, implementation } of each contract
+ */
+const diffAddresses = (resolved, addresses) => {
+  const diff = resolved.map(({ name, address, source, legacy = false, implementation }) => {
+    const expected = addresses[name];
+    const status = getStatus(expected, address);
+    return { name, status, expected, actual: address, source, legacy, implementation };
+  });
+
+  for (const [name, expected] of Object.entries(addresses)) {
+    if (!resolved.some(item => item.name === name)) {
+      diff.push({ name, status: AddressStatus.Unchecked, expected });
+    }
+  }
+
+  return diff;
+};
+
+const hasMismatches = diff =>
+  diff.some(({ status, legacy }) => status === AddressStatus.Mismatch || (status === AddressStatus.Missing && !legacy));
+
+/**
+ * Formats the comparison as one line per contract.
+ *
+ * @param {object[]} diff - The result of diffAddresses
+ * @return {string} The formatted diff
+ */
+const formatDiff = diff =>
+  diff
+    .map(({ name, status, expected, actual, source, implementation }) => {
+      const impl = implementation ? ` (implementation ${implementation})` : '';
+
+      if (status === AddressStatus.Ok) {
+        return `  ok         ${name} ${actual}${impl} from ${source}`;
+      }
+
+      if (status === AddressStatus.Mismatch) {
+        return [
+          `- mismatch   ${name} ${expected} in addresses.json`,
+          `+            ${name} ${actual}${impl} from ${source}`,
+        ].join('\n');
+      }
+
+      if (status === AddressStatus.Missing) {
+        return `+ missing    ${name} ${actual}${impl} from ${source}`;
+      }
+
+      return `  unchecked  ${name} ${expected}`;
+    })
+    .join('\n');
+
+module.exports = {
+  AddressStatus,
+  resolveAddresses,
+  diffAddresses,
+  hasMismatches,
+  formatDiff,
+};
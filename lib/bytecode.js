@@ -0,0 +1,48 @@
+/**
+ * Reads the runtime bytecode of a contract along with the ranges that are only known after deployment:
+ * the immutable variables, set by the constructor, and the addresses of the linked libraries.
+ *
+ * @param {object} artifacts - The hardhat artifacts
+ * @param {string} contract - The name or fully qualified name of the contract
+ * @return {Promise<object>} The { bytecode, ranges } of the contract, ranges being { start, length } in bytes
+ */
+const getDeployedBytecode = async (artifacts, contract) => {
+  const { sourceName, contractName, deployedBytecode, deployedLinkReferences } = await artifacts.readArtifact(contract);
+  const buildInfo = await artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+  const { immutableReferences = {} } = buildInfo.output.contracts[sourceName][contractName].evm.deployedBytecode;
+
+  const linkReferences = Object.values(deployedLinkReferences).flatMap(libraries => Object.values(libraries));
+  const ranges = [...Object.values(immutableReferences), ...linkReferences].flat();
+
+  return { bytecode: deployedBytecode, ranges };
+};
+
+/**
+ * Zeroes the given ranges of a bytecode.
+ *
+ * @param {string} code - The bytecode
+ * @param {object[]} ranges - The { start, length } ranges to zero, in bytes
+ * @return {string} The lowercased bytecode with the ranges zeroed
+ */
+const maskRanges = (code, ranges) =>
+  ranges.reduce((masked, { start, length }) => {
+    const from = 2 + start * 2;
+    const to = from + length * 2;
+    return masked.slice(0, from) + '0'.repeat(length * 2) + masked.slice(to);
+  }, code.toLowerCase());
+
+/**
+ * Compares the code of a deployed contract with the expected runtime bytecode, ignoring the immutables and libraries.
+ *
+ * @param {string} code - The deployed code, as returned by getCode
+ * @param {object} expected - The { bytecode, ranges } returned by getDeployedBytecode
+ * @return {boolean} Whether the code matches
+ */
+const matchesDeployedBytecode = (code, { bytecode, ranges }) =>
+  code.length === bytecode.length && maskRanges(code, ranges) === maskRanges(bytecode, ranges);
+
+module.exports = {
+  getDeployedBytecode,
+  maskRanges,
+  matchesDeployedBytecode,
+};
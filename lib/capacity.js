@@ -0,0 +1,301 @@
+const { BigNumber } = require('ethers');
+
+const { MAX_ACTIVE_TRANCHES, getTrancheId, getBucketId, getFirstTrancheIdForCover } = require('./staking-time');
+
+// mirrors the constants in StakingPool.sol
+const COVER_TRANCHE_GROUP_SIZE = 5;
+const BUCKET_TRANCHE_GROUP_SIZE = 8;
+
+const WEIGHT_DENOMINATOR = 100;
+const GLOBAL_CAPACITY_DENOMINATOR = 10000;
+const CAPACITY_REDUCTION_DENOMINATOR = 10000;
+const NXM_PER_ALLOCATION_UNIT = BigNumber.from('10000000000000000'); // 1e18 / 100
+
+const UINT16_MASK = BigNumber.from(2).pow(16).sub(1);
+const UINT32_MASK = BigNumber.from(2).pow(32).sub(1);
+const UINT48_MASK = BigNumber.from(2).pow(48).sub(1);
+
+const sum = items => items.reduce((total, item) => total.add(item), BigNumber.from(0));
+const min = (a, b) => (a.lte(b) ? a : b);
+const valueAt = (map, key) => BigNumber.from((map && map[key]) || 0);
+
+// TrancheAllocationGroup: 5 x uint48 active allocation + 1 x uint16 last bucket id
+const unpackAllocationGroup = packed => {
+  packed = BigNumber.from(packed);
+  const allocations = [];
+
+  for (let i = 0; i < COVER_TRANCHE_GROUP_SIZE; i++) {
+    allocations.push(packed.shr(i * 48 + 16).and(UINT48_MASK));
+  }
+
+  return { allocations, lastBucketId: packed.and(UINT16_MASK).toNumber() };
+};
+
+// TrancheGroupBucket: 8 x uint32 expiring allocation
+const unpackBucketGroup = packed => {
+  packed = BigNumber.from(packed);
+  const amounts = [];
+
+  for (let i = 0; i < BUCKET_TRANCHE_GROUP_SIZE; i++) {
+    amounts.push(packed.shr(i * 32).and(UINT32_MASK));
+  }
+
+  return amounts;
+};
+
+const getAllocationGroupIds = firstTrancheId => {
+  const firstGroupId = Math.floor(firstTrancheId / COVER_TRANCHE_GROUP_SIZE);
+  const lastGroupId = Math.floor((firstTrancheId + MAX_ACTIVE_TRANCHES - 1) / COVER_TRANCHE_GROUP_SIZE);
+  return Array.from({ length: lastGroupId - firstGroupId + 1 }, (_, i) => firstGroupId + i);
+};
+
+const getBucketGroupIds = firstTrancheId => {
+  const firstGroupId = Math.floor(firstTrancheId / BUCKET_TRANCHE_GROUP_SIZE);
+  const lastGroupId = Math.floor((firstTrancheId + MAX_ACTIVE_TRANCHES - 1) / BUCKET_TRANCHE_GROUP_SIZE);
+  return Array.from({ length: lastGroupId - firstGroupId + 1 }, (_, i) => firstGroupId + i);
+};
+
+const getStoredAllocations = (allocationGroups, firstTrancheId) => {
+  const [firstGroupId] = getAllocationGroupIds(firstTrancheId);
+  const { lastBucketId } = unpackAllocationGroup(valueAt(allocationGroups, firstGroupId));
+  const storedAllocations = [];
+
+  for (let i = 0; i < MAX_ACTIVE_TRANCHES; i++) {
+    const trancheId = firstTrancheId + i;
+    const groupId = Math.floor(trancheId / COVER_TRANCHE_GROUP_SIZE);
+    const { allocations } = unpackAllocationGroup(valueAt(allocationGroups, groupId));
+    storedAllocations.push(allocations[trancheId % COVER_TRANCHE_GROUP_SIZE]);
+  }
+
+  return { storedAllocations, lastBucketId };
+};
+
+const getExpiringCoverAmounts = (bucketGroups, firstTrancheId) => {
+  const expiringCoverAmounts = [];
+
+  for (let i = 0; i < MAX_ACTIVE_TRANCHES; i++) {
+    const trancheId = firstTrancheId + i;
+    const groupId = Math.floor(trancheId / BUCKET_TRANCHE_GROUP_SIZE);
+    const amounts = unpackBucketGroup(valueAt(bucketGroups, groupId));
+    expiringCoverAmounts.push(amounts[trancheId % BUCKET_TRANCHE_GROUP_SIZE]);
+  }
+
+  return expiringCoverAmounts;
+};
+
+/**
+ * Calculates the allocations of the active tranches, with the expired covers removed.
+ * Off-chain equivalent of StakingPool.getActiveAllocations.
+ *
+ * @param {object} snapshot - The pool snapshot (see fetchCapacitySnapshot)
+ * @return {BigNumber[]} The allocated amounts in allocation units, one per active tranche
+ */
+const getActiveAllocations = ({ timestamp, allocationGroups, expiringCoverBuckets }) => {
+  const firstActiveTrancheId = getTrancheId(timestamp);
+  const currentBucketId = getBucketId(timestamp);
+
+  const stored = getStoredAllocations(allocationGroups, firstActiveTrancheId);
+  const lastBucketId = stored.lastBucketId === 0 ? currentBucketId : stored.lastBucketId;
+  const trancheAllocations = stored.storedAllocations;
+
+  for (let bucketId = lastBucketId + 1; bucketId <= currentBucketId; bucketId++) {
+    const bucketGroups = (expiringCoverBuckets && expiringCoverBuckets[bucketId]) || {};
+    const expirations = getExpiringCoverAmounts(bucketGroups, firstActiveTrancheId);
+
+    for (let i = 0; i < MAX_ACTIVE_TRANCHES; i++) {
+      trancheAllocations[i] = trancheAllocations[i].sub(expirations[i]);
+    }
+  }
+
+  return trancheAllocations;
+};
+
+/**
+ * Calculates the capacity of each of the requested tranches in allocation units.
+ * Off-chain equivalent of StakingPool.getTrancheCapacities.
+ *
+ * The product weight used by the contract is the target weight (StakingProducts.getProductTargetWeight).
+ *
+ * @param {object} snapshot - The pool snapshot (see fetchCapacitySnapshot)
+ * @param {number} firstTrancheId - The first tranche to calculate the capacity for
+ * @param {number} trancheCount - The number of tranches
+ * @return {BigNumber[]} The capacity of each tranche
+ */
+const getTrancheCapacities = (snapshot, firstTrancheId, trancheCount = MAX_ACTIVE_TRANCHES) => {
+  const { activeStake, stakeSharesSupply, trancheStakeShares } = snapshot;
+  const { globalCapacityRatio, capacityReductionRatio, targetWeight } = snapshot;
+
+  if (firstTrancheId < getTrancheId(snapshot.timestamp)) {
+    throw new Error('RequestedTrancheIsExpired');
+  }
+
+  if (BigNumber.from(stakeSharesSupply).isZero()) {
+    return Array.from({ length: trancheCount }, () => BigNumber.from(0));
+  }
+
+  const multiplier = BigNumber.from(globalCapacityRatio)
+    .mul(BigNumber.from(CAPACITY_REDUCTION_DENOMINATOR).sub(capacityReductionRatio))
+    .mul(targetWeight);
+
+  const denominator = GLOBAL_CAPACITY_DENOMINATOR * CAPACITY_REDUCTION_DENOMINATOR * WEIGHT_DENOMINATOR;
+
+  return Array.from({ length: trancheCount }, (_, i) => {
+    const trancheStake = BigNumber.from(activeStake)
+      .mul(valueAt(trancheStakeShares, firstTrancheId + i))
+      .div(stakeSharesSupply);
+    return trancheStake.mul(multiplier).div(denominator).div(NXM_PER_ALLOCATION_UNIT);
+  });
+};
+
+/**
+ * Off-chain equivalent of StakingPool.getActiveTrancheCapacities
+ *
+ * @param {object} snapshot - The pool snapshot (see fetchCapacitySnapshot)
+ * @return {object} The per tranche capacities and the total capacity, in allocation units
+ */
+const getActiveTrancheCapacities = snapshot => {
+  const firstActiveTrancheId = getTrancheId(snapshot.timestamp);
+  const trancheCapacities = getTrancheCapacities(snapshot, firstActiveTrancheId, MAX_ACTIVE_TRANCHES);
+  return { trancheCapacities, totalCapacity: sum(trancheCapacities) };
+};
+
+/**
+ * Calculates how much cover the pool can still allocate for the product for the given period.
+ * Walks the tranches exactly like StakingPool.allocate does, including the carry over of
+ * over-allocated tranches, but without a cover amount limit.
+ *
+ * @param {object} snapshot - The pool snapshot (see fetchCapacitySnapshot)
+ * @param {number} period - The cover period in seconds
+ * @param {number} gracePeriod - The product type grace period in seconds
+ * @return {object} The available capacity in allocation units and in NXM, plus the values used by pricing
+ */
+const getAvailableCapacity = (snapshot, period, gracePeriod) => {
+  const { timestamp } = snapshot;
+  const firstActiveTrancheId = getTrancheId(timestamp);
+  const firstTrancheIdToUse = getFirstTrancheIdForCover(timestamp, period, gracePeriod);
+  const startIndex = firstTrancheIdToUse - firstActiveTrancheId;
+
+  const trancheAllocations = getActiveAllocations(snapshot);
+  const trancheCapacities = getTrancheCapacities(snapshot, firstActiveTrancheId, MAX_ACTIVE_TRANCHES);
+
+  const zero = BigNumber.from(0);
+  const availablePerTranche = trancheCapacities.map(() => zero);
+  let carryOver = zero;
+
+  for (let i = 0; i < Math.min(startIndex, MAX_ACTIVE_TRANCHES); i++) {
+    const allocated = trancheAllocations[i];
+    const capacity = trancheCapacities[i];
+
+    if (allocated.gt(capacity)) {
+      carryOver = carryOver.add(allocated.sub(capacity));
+    } else if (carryOver.gt(0)) {
+      carryOver = carryOver.sub(min(carryOver, capacity.sub(allocated)));
+    }
+  }
+
+  let initialCapacityUsed = carryOver;
+  let totalCapacity = zero;
+
+  for (let i = startIndex; i < MAX_ACTIVE_TRANCHES; i++) {
+    initialCapacityUsed = initialCapacityUsed.add(trancheAllocations[i]);
+    totalCapacity = totalCapacity.add(trancheCapacities[i]);
+
+    if (trancheAllocations[i].gte(trancheCapacities[i])) {
+      carryOver = carryOver.add(trancheAllocations[i].sub(trancheCapacities[i]));
+      continue;
+    }
+
+    const available = trancheCapacities[i].sub(trancheAllocations[i]);
+
+    if (carryOver.gt(available)) {
+      carryOver = carryOver.sub(available);
+      continue;
+    }
+
+    availablePerTranche[i] = available.sub(carryOver);
+    carryOver = zero;
+  }
+
+  const availableCapacity = sum(availablePerTranche);
+
+  return {
+    availableCapacity,
+    availableCapacityInNxm: availableCapacity.mul(NXM_PER_ALLOCATION_UNIT),
+    availablePerTranche,
+    initialCapacityUsed,
+    totalCapacity,
+    trancheAllocations,
+    trancheCapacities,
+  };
+};
+
+/**
+ * Reads the pool storage needed by the capacity calculations for a product
+ *
+ * @param {object} contracts - The { stakingPool, stakingProducts, cover } ethers contract instances
+ * @param {number} productId - The product id
+ * @param {string|number} blockTag - The block to read the data at
+ * @return {Promise<object>} The pool snapshot
+ */
+const fetchCapacitySnapshot = async ({ stakingPool, stakingProducts, cover }, productId, blockTag = 'latest') => {
+  const overrides = { blockTag };
+  const { timestamp } = await stakingPool.provider.getBlock(blockTag);
+  const firstActiveTrancheId = getTrancheId(timestamp);
+  const currentBucketId = getBucketId(timestamp);
+
+  const poolId = await stakingPool.getPoolId(overrides);
+  const [activeStake, stakeSharesSupply, targetWeight, ratios] = await Promise.all([
+    stakingPool.getActiveStake(overrides),
+    stakingPool.getStakeSharesSupply(overrides),
+    stakingProducts.getProductTargetWeight(poolId, productId, overrides),
+    cover.getPriceAndCapacityRatios([productId], overrides),
+  ]);
+
+  const trancheStakeShares = {};
+  const trancheIds = Array.from({ length: MAX_ACTIVE_TRANCHES }, (_, i) => firstActiveTrancheId + i);
+  for (const trancheId of trancheIds) {
+    const { stakeShares } = await stakingPool.getTranche(trancheId, overrides);
+    trancheStakeShares[trancheId] = stakeShares;
+  }
+
+  const allocationGroups = {};
+  for (const groupId of getAllocationGroupIds(firstActiveTrancheId)) {
+    allocationGroups[groupId] = await stakingPool.trancheAllocationGroups(productId, groupId, overrides);
+  }
+
+  const { lastBucketId } = getStoredAllocations(allocationGroups, firstActiveTrancheId);
+  const expiringCoverBuckets = {};
+
+  for (let bucketId = (lastBucketId || currentBucketId) + 1; bucketId <= currentBucketId; bucketId++) {
+    expiringCoverBuckets[bucketId] = {};
+    for (const groupId of getBucketGroupIds(firstActiveTrancheId)) {
+      const packed = await stakingPool.expiringCoverBuckets(productId, bucketId, groupId, overrides);
+      expiringCoverBuckets[bucketId][groupId] = packed;
+    }
+  }
+
+  return {
+    poolId: BigNumber.from(poolId).toNumber(),
+    productId,
+    timestamp,
+    activeStake,
+    stakeSharesSupply,
+    trancheStakeShares,
+    allocationGroups,
+    expiringCoverBuckets,
+    globalCapacityRatio: ratios._globalCapacityRatio,
+    capacityReductionRatio: ratios._capacityReductionRatios[0],
+    targetWeight,
+  };
+};
+
+module.exports = {
+  NXM_PER_ALLOCATION_UNIT,
+  unpackAllocationGroup,
+  unpackBucketGroup,
+  getActiveAllocations,
+  getTrancheCapacities,
+  getActiveTrancheCapacities,
+  getAvailableCapacity,
+  fetchCapacitySnapshot,
+};
@@ -1,33 +1,17 @@
-const { toBytes8 } = require('./helpers');
+const { ContractCode, ContractTypes, InternalContractsIDs } = require('./contract-registry');
+const { getParamCodes, getParamIndexes } = require('./parameters');
 
-const StakingUintParamType = {
-  MIN_STAKE: toBytes8('MIN_STAK'),
-  MAX_EXPOSURE: toBytes8('MAX_EXPO'),
-  MIN_UNSTAKE: toBytes8('MIN_UNST'),
-  UNSTAKE_LOCK_TIME: toBytes8('UNST_LKT'),
-};
-
-const PoolUintParamType = {
-  minPoolEth: toBytes8('MIN_ETH'),
-};
-
-const PoolAddressParamType = {
-  swapOperator: toBytes8('SWP_OP'),
-  priceFeedOracle: toBytes8('PRC_FEED'),
-};
-
-const MCRUintParamType = {
-  maxMCRIncrement: toBytes8('MMIC'),
-  gearingFactor: toBytes8('GEAR'),
-  minUpdateTime: toBytes8('MUTI'),
-};
+const StakingUintParamType = getParamCodes('PooledStaking');
+const PoolUintParamType = getParamCodes('Pool');
+const PoolAddressParamType = getParamCodes('PoolAddresses');
+const MCRUintParamType = getParamCodes('MCR');
+const GovernanceUintParamType = getParamCodes('Governance');
+const NXMasterOwnerParamType = getParamCodes('NXMasterOwner');
 
-const NXMasterOwnerParamType = {
-  msWallet: toBytes8('MSWALLET'),
-  quotationAuthority: toBytes8('QUOAUTH'),
-  kycAuthority: toBytes8('KYCAUTH'),
-  emergencyAdmin: toBytes8('EMADMIN'),
-};
+// UintParams enums
+const AssessmentUintParamType = getParamIndexes('Assessment');
+const IndividualClaimsUintParamType = getParamIndexes('IndividualClaims');
+const YieldTokenIncidentsUintParamType = getParamIndexes('YieldTokenIncidents');
 
 const Role = {
   Unassigned: 0,
@@ -45,6 +29,12 @@ const CoverStatus = {
   Requested: 5,
 };
 
+// mirrors ICover.ClaimMethod
+const ClaimMethod = {
+  IndividualClaims: 0,
+  YieldTokenIncidents: 1,
+};
+
 // gov proposal categories
 const ProposalCategory = {
   uncategorized: 0,
@@ -106,56 +96,13 @@ const PoolAsset = {
   unknown: '115792089237316195423570985008687907853269984665640564039457584007913129639935',
 };
 
-const ContractTypes = {
-  Replaceable: 1,
-  Proxy: 2,
-};
-
-const InternalContractsIDs = {
-  TC: 0, // TokenController.sol
-  P1: 1, // Pool.sol
-  MR: 2, // MemberRoles.sol
-  MC: 3, // MCR.sol
-  CO: 4, // Cover.sol
-  SP: 5, // StakingProducts.sol
-  PS: 6, // LegacyPooledStaking.sol
-  GV: 7, // Governance.sol
-  GW: 8, // LegacyGateway.sol
-  CL: 9, // CoverMigrator.sol
-  AS: 10, // Assessment.sol
-  CI: 11, // IndividualClaims.sol - Claims for Individuals
-  CG: 12, // YieldTokenIncidents.sol - Claims for Groups
-  RA: 13, // Ramm.sol
-};
-
-const ContractCode = {
-  Assessment: 'AS',
-  // ClaimData: 'CD',
-  Cover: 'CO',
-  CoverMigrator: 'CL',
-  Gateway: 'GW',
-  Governance: 'GV',
-  IndividualClaims: 'CI',
-  LegacyClaimsReward: 'CR',
-  MCR: 'MC',
-  MemberRoles: 'MR',
-  NXMaster: 'NXMASTER',
-  NXMToken: 'NXMTOKEN',
-  Pool: 'P1',
-  PooledStaking: 'PS',
-  ProposalCategory: 'PC',
-  // PoolData: 'PD',
-  QuotationData: 'QD',
-  Quotation: 'QT',
-  Ramm: 'RA',
-  StakingProducts: 'SP',
-  TokenController: 'TC',
-  // TokenData: 'TD',
-  YieldTokenIncidents: 'CG',
-};
-
 module.exports = {
   Assets,
+  AssessmentUintParamType,
+  ClaimMethod,
+  IndividualClaimsUintParamType,
+  YieldTokenIncidentsUintParamType,
+  GovernanceUintParamType,
   CoverStatus,
   StakingUintParamType,
   ProposalCategory,
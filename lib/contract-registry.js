@@ -0,0 +1,234 @@
+const { hexlify, toUtf8Bytes, toUtf8String } = require('ethers').utils;
+
+// mirrors NXMaster.ContractType
+const ContractTypes = {
+  Replaceable: 1,
+  Proxy: 2,
+};
+
+// name: key used in ContractCode
+// code: contract code used in NXMaster
+// id: index in IMasterAwareV2.ID, only for contracts other internal contracts depend on
+// type: how the contract is registered in NXMaster, undefined when it's not an internal contract
+// artifact: fully qualified name of the artifact, undefined when the source is no longer in the repo
+// legacy: v1 contracts kept around for the migration and for reading historical data
+// dependencies: codes of the contracts set by changeDependentContractAddress, only for MasterAwareV2 contracts
+const contracts = [
+  {
+    name: 'TokenController',
+    code: 'TC',
+    id: 0,
+    type: ContractTypes.Proxy,
+    artifact: 'contracts/modules/token/TokenController.sol:TokenController',
+    dependencies: ['PS', 'AS', 'GV', 'P1'],
+  },
+  {
+    name: 'Pool',
+    code: 'P1',
+    id: 1,
+    type: ContractTypes.Replaceable,
+    artifact: 'contracts/modules/capital/Pool.sol:Pool',
+    dependencies: ['MC', 'RA', 'MR'],
+  },
+  {
+    name: 'MemberRoles',
+    code: 'MR',
+    id: 2,
+    type: ContractTypes.Proxy,
+    artifact: 'contracts/modules/governance/MemberRoles.sol:MemberRoles',
+    dependencies: ['TC', 'P1', 'CO', 'PS', 'AS'],
+  },
+  {
+    name: 'MCR',
+    code: 'MC',
+    id: 3,
+    type: ContractTypes.Replaceable,
+    artifact: 'contracts/modules/capital/MCR.sol:MCR',
+    dependencies: ['P1', 'MR', 'CO'],
+  },
+  {
+    name: 'Cover',
+    code: 'CO',
+    id: 4,
+    type: ContractTypes.Proxy,
+    artifact: 'contracts/modules/cover/Cover.sol:Cover',
+    dependencies: ['P1', 'TC', 'MR', 'SP'],
+  },
+  {
+    name: 'StakingProducts',
+    code: 'SP',
+    id: 5,
+    type: ContractTypes.Proxy,
+    artifact: 'contracts/modules/staking/StakingProducts.sol:StakingProducts',
+    dependencies: [],
+  },
+  {
+    name: 'PooledStaking',
+    code: 'PS',
+    id: 6,
+    type: ContractTypes.Proxy,
+    artifact: 'contracts/modules/legacy/LegacyPooledStaking.sol:LegacyPooledStaking',
+    legacy: true,
+    dependencies: ['TC', 'MR'],
+  },
+  {
+    name: 'Governance',
+    code: 'GV',
+    id: 7,
+    type: ContractTypes.Proxy,
+    artifact: 'contracts/modules/governance/Governance.sol:Governance',
+  },
+  {
+    name: 'Gateway',
+    code: 'GW',
+    id: 8,
+    type: ContractTypes.Proxy,
+    artifact: 'contracts/modules/legacy/LegacyGateway.sol:LegacyGateway',
+    legacy: true,
+    dependencies: ['MR', 'CL'],
+  },
+  {
+    name: 'CoverMigrator',
+    code: 'CL',
+    id: 9,
+    type: ContractTypes.Replaceable,
+    artifact: 'contracts/modules/cover/CoverMigrator.sol:CoverMigrator',
+    dependencies: ['CO', 'TC', 'CI'],
+  },
+  {
+    name: 'Assessment',
+    code: 'AS',
+    id: 10,
+    type: ContractTypes.Proxy,
+    artifact: 'contracts/modules/assessment/Assessment.sol:Assessment',
+    dependencies: ['TC', 'MR', 'RA'],
+  },
+  {
+    name: 'IndividualClaims',
+    code: 'CI',
+    id: 11,
+    type: ContractTypes.Proxy,
+    artifact: 'contracts/modules/assessment/IndividualClaims.sol:IndividualClaims',
+    dependencies: ['TC', 'MR', 'P1', 'CO', 'AS', 'RA'],
+  },
+  {
+    name: 'YieldTokenIncidents',
+    code: 'CG',
+    id: 12,
+    type: ContractTypes.Proxy,
+    artifact: 'contracts/modules/assessment/YieldTokenIncidents.sol:YieldTokenIncidents',
+    dependencies: ['TC', 'MR', 'P1', 'CO', 'AS', 'RA'],
+  },
+  {
+    name: 'Ramm',
+    code: 'RA',
+    id: 13,
+    type: ContractTypes.Proxy,
+    artifact: 'contracts/modules/capital/Ramm.sol:Ramm',
+    dependencies: ['P1', 'TC', 'MC'],
+  },
+  {
+    name: 'ProposalCategory',
+    code: 'PC',
+    type: ContractTypes.Proxy,
+    artifact: 'contracts/modules/governance/ProposalCategory.sol:ProposalCategory',
+  },
+  {
+    name: 'LegacyClaimsReward',
+    code: 'CR',
+    type: ContractTypes.Replaceable,
+    artifact: 'contracts/modules/legacy/LegacyClaimsReward.sol:LegacyClaimsReward',
+    legacy: true,
+  },
+  {
+    name: 'QuotationData',
+    code: 'QD',
+    artifact: 'contracts/modules/legacy/LegacyQuotationData.sol:LegacyQuotationData',
+    legacy: true,
+  },
+  { name: 'Quotation', code: 'QT', legacy: true },
+  {
+    name: 'LegacyClaimsData',
+    code: 'CD',
+    artifact: 'contracts/modules/legacy/LegacyClaimsData.sol:LegacyClaimsData',
+    legacy: true,
+  },
+  {
+    name: 'LegacyClaimProofs',
+    code: 'CP',
+    artifact: 'contracts/modules/legacy/LegacyClaimProofs.sol:LegacyClaimProofs',
+    legacy: true,
+  },
+  { name: 'SwapOperator', code: 'SO', artifact: 'contracts/modules/capital/SwapOperator.sol:SwapOperator' },
+  {
+    name: 'PriceFeedOracle',
+    code: 'PRICEORACLE',
+    artifact: 'contracts/modules/capital/PriceFeedOracle.sol:PriceFeedOracle',
+  },
+  { name: 'NXMaster', code: 'NXMASTER', artifact: 'contracts/modules/governance/NXMaster.sol:NXMaster' },
+  { name: 'NXMToken', code: 'NXMTOKEN', artifact: 'contracts/modules/token/NXMToken.sol:NXMToken' },
+];
+
+const getContractByCode = code => contracts.find(contract => contract.code === code);
+const getContractByName = name => contracts.find(contract => contract.name === name);
+
+// name => code
+const ContractCode = contracts.reduce((acc, { name, code }) => ({ ...acc, [name]: code }), {});
+
+// code => IMasterAwareV2.ID index
+const InternalContractsIDs = contracts
+  .filter(({ id }) => id !== undefined)
+  .sort((a, b) => a.id - b.id)
+  .reduce((acc, { code, id }) => ({ ...acc, [code]: id }), {});
+
+// contracts registered in NXMaster
+const internalContracts = contracts.filter(({ type }) => type !== undefined);
+
+/**
+ * Compares the registry with the contracts registered in NXMaster.
+ * Legacy contracts may or may not be registered, all other internal contracts must be.
+ *
+ * @param {Contract} master - NXMaster instance
+ * @return {Promise<string[]>} The mismatches found, empty if the registry matches
+ */
+const checkMasterContracts = async master => {
+  const [masterCodes] = await master.getInternalContracts();
+  const registeredCodes = masterCodes.map(code => toUtf8String(code));
+  const mismatches = [];
+
+  for (const code of registeredCodes) {
+    const contract = getContractByCode(code);
+
+    if (!contract) {
+      mismatches.push(`${code} is registered in NXMaster but missing from the registry`);
+      continue;
+    }
+
+    const bytesCode = hexlify(toUtf8Bytes(code));
+    const [isProxy, isReplaceable] = await Promise.all([master.isProxy(bytesCode), master.isReplaceable(bytesCode)]);
+    const masterType = (isProxy && ContractTypes.Proxy) || (isReplaceable && ContractTypes.Replaceable) || undefined;
+
+    if (masterType !== contract.type) {
+      mismatches.push(`${code} has type ${masterType} in NXMaster but ${contract.type} in the registry`);
+    }
+  }
+
+  for (const { code, legacy } of internalContracts) {
+    if (!legacy && !registeredCodes.includes(code)) {
+      mismatches.push(`${code} is in the registry but not registered in NXMaster`);
+    }
+  }
+
+  return mismatches;
+};
+
+module.exports = {
+  ContractTypes,
+  ContractCode,
+  InternalContractsIDs,
+  contracts,
+  internalContracts,
+  getContractByCode,
+  getContractByName,
+  checkMasterContracts,
+};
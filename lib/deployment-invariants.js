@@ -0,0 +1,203 @@
+const { ethers } = require('ethers');
+
+const { Assets } = require('./constants');
+const { InternalContractsIDs, checkMasterContracts, internalContracts } = require('./contract-registry');
+
+const { AddressZero } = ethers.constants;
+const { getAddress, hexlify, toUtf8Bytes } = ethers.utils;
+
+const abis = {
+  masterAware: ['function master() view returns (address)', 'function internalContracts(uint) view returns (address)'],
+  proxy: ['function proxyOwner() view returns (address)'],
+  pool: [
+    'function priceFeedOracle() view returns (address)',
+    'function getAssets() view returns (tuple(address assetAddress, bool isCoverAsset, bool isAbandoned)[])',
+  ],
+  priceFeedOracle: [
+    'function assets(address) view returns (address aggregator, uint8 decimals)',
+    'function getAssetToEthRate(address) view returns (uint)',
+  ],
+  ramm: [
+    'function slot0() view returns (uint128 nxmReserveA, uint128 nxmReserveB)',
+    'function slot1() view returns (uint128 ethReserve, uint88 budget, uint32 updatedAt, bool swapPaused)',
+  ],
+  cover: ['function stakingPoolFactory() view returns (address)'],
+  stakingPoolFactory: ['function operator() view returns (address)'],
+};
+
+const toBytes2 = code => hexlify(toUtf8Bytes(code));
+const isSameAddress = (a, b) => getAddress(a) === getAddress(b);
+
+const getLatestAddresses = async master => {
+  const addresses = {};
+
+  for (const { code } of internalContracts) {
+    addresses[code] = await master.getLatestAddress(toBytes2(code));
+  }
+
+  return addresses;
+};
+
+const checkDependencies = async (master, latest) => {
+  const details = [];
+
+  for (const { code, dependencies } of internalContracts) {
+    if (dependencies === undefined || latest[code] === AddressZero) {
+      continue;
+    }
+
+    const instance = new ethers.Contract(latest[code], abis.masterAware, master.provider);
+    const masterAddress = await instance.master();
+
+    if (!isSameAddress(masterAddress, master.address)) {
+      details.push(`${code}.master() is ${masterAddress}, expected NXMaster at ${master.address}`);
+    }
+
+    for (const dependency of dependencies) {
+      const actual = await instance.internalContracts(InternalContractsIDs[dependency]);
+
+      if (!isSameAddress(actual, latest[dependency])) {
+        details.push(`${code} has ${dependency} set to ${actual}, expected ${latest[dependency]}`);
+      }
+    }
+  }
+
+  return details;
+};
+
+const checkProxyOwnership = async (master, latest) => {
+  const details = [];
+  const governance = { name: 'Governance', address: latest.GV };
+  const expectedOwners = [{ name: 'NXMaster', address: master.address, owners: [governance] }];
+
+  // the internal proxies are upgraded either through NXMaster or by governance directly
+  for (const { code } of internalContracts) {
+    if (latest[code] !== AddressZero && (await master.isProxy(toBytes2(code)))) {
+      const owners = [{ name: 'NXMaster', address: master.address }, governance];
+      expectedOwners.push({ name: code, address: latest[code], owners });
+    }
+  }
+
+  for (const { name, address, owners } of expectedOwners) {
+    const proxy = new ethers.Contract(address, abis.proxy, master.provider);
+    const actual = await proxy.proxyOwner();
+
+    if (!owners.some(owner => isSameAddress(actual, owner.address))) {
+      const expected = owners.map(owner => `${owner.name} at ${owner.address}`).join(' or ');
+      details.push(`${name} proxy is owned by ${actual}, expected ${expected}`);
+    }
+  }
+
+  return details;
+};
+
+const checkPoolAssetOracles = async (master, latest) => {
+  const details = [];
+  const pool = new ethers.Contract(latest.P1, abis.pool, master.provider);
+  const priceFeedOracleAddress = await pool.priceFeedOracle();
+  const priceFeedOracle = new ethers.Contract(priceFeedOracleAddress, abis.priceFeedOracle, master.provider);
+
+  for (const { assetAddress, isAbandoned } of await pool.getAssets()) {
+    // eth is priced in eth and has no aggregator
+    if (isAbandoned || isSameAddress(assetAddress, Assets.ETH)) {
+      continue;
+    }
+
+    const { aggregator } = await priceFeedOracle.assets(assetAddress);
+
+    if (aggregator === AddressZero) {
+      details.push(`${assetAddress} has no aggregator in PriceFeedOracle at ${priceFeedOracleAddress}`);
+      continue;
+    }
+
+    try {
+      // reverts when the aggregator returns a non-positive answer
+      await priceFeedOracle.getAssetToEthRate(assetAddress);
+    } catch (error) {
+      details.push(`${assetAddress} rate could not be read from aggregator ${aggregator}: ${error.reason || error}`);
+    }
+  }
+
+  return details;
+};
+
+const checkRammInitialized = async (master, latest) => {
+  const details = [];
+  const ramm = new ethers.Contract(latest.RA, abis.ramm, master.provider);
+  const [{ nxmReserveA, nxmReserveB }, { ethReserve, updatedAt }] = await Promise.all([ramm.slot0(), ramm.slot1()]);
+
+  if (updatedAt === 0) {
+    details.push('Ramm state was never updated, initialize was not called');
+  }
+
+  for (const [name, value] of Object.entries({ nxmReserveA, nxmReserveB, ethReserve })) {
+    if (value.isZero()) {
+      details.push(`Ramm ${name} is zero`);
+    }
+  }
+
+  return details;
+};
+
+const checkStakingPoolFactoryOperator = async (master, latest) => {
+  const cover = new ethers.Contract(latest.CO, abis.cover, master.provider);
+  const factoryAddress = await cover.stakingPoolFactory();
+  const factory = new ethers.Contract(factoryAddress, abis.stakingPoolFactory, master.provider);
+  const operator = await factory.operator();
+
+  return isSameAddress(operator, latest.CO)
+    ? []
+    : [`StakingPoolFactory at ${factoryAddress} has operator ${operator}, expected Cover at ${latest.CO}`];
+};
+
+const invariants = [
+  { name: 'NXMaster lists every contract code', check: checkMasterContracts },
+  { name: 'Internal contracts point at the latest dependencies', check: checkDependencies },
+  { name: 'Proxies are owned by NXMaster or Governance and NXMaster by Governance', check: checkProxyOwnership },
+  { name: 'Pool assets have PriceFeedOracle aggregators', check: checkPoolAssetOracles },
+  { name: 'Ramm is initialized', check: checkRammInitialized },
+  { name: 'StakingPoolFactory operator is Cover', check: checkStakingPoolFactoryOperator },
+];
+
+/**
+ * Checks the wiring of a deployment. A check that throws fails with the error as its only detail.
+ *
+ * @param {Contract} master - NXMaster instance
+ * @return {Promise<object[]>} The { name, passed, details } of each invariant
+ */
+const checkInvariants = async master => {
+  const latest = await getLatestAddresses(master);
+  const results = [];
+
+  for (const { name, check } of invariants) {
+    try {
+      const details = await check(master, latest);
+      results.push({ name, passed: details.length === 0, details });
+    } catch (error) {
+      results.push({ name, passed: false, details: [`check failed: ${error.reason || error.message}`] });
+    }
+  }
+
+  return results;
+};
+
+const hasFailures = results => results.some(({ passed }) => !passed);
+
+/**
+ * Formats the results as a checklist, with the details of the failed invariants below them.
+ *
+ * @param {object[]} results - The result of checkInvariants
+ * @return {string} The formatted checklist
+ */
+const formatChecklist = results =>
+  results
+    .map(({ name, passed, details }) =>
+      [`[${passed ? 'pass' : 'FAIL'}] ${name}`, ...details.map(detail => `       ${detail}`)].join('\n'),
+    )
+    .join('\n');
+
+module.exports = {
+  checkInvariants,
+  hasFailures,
+  formatChecklist,
+};
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+const { contracts: registryContracts } = require('./contract-registry');
+
+const { AddressZero } = ethers.constants;
+const { getAddress, hexDataSlice, id } = ethers.utils;
+
+// mirrors UpgradeabilityProxy.IMPLEMENTATION_POSITION
+const IMPLEMENTATION_SLOT = id('org.govblocks.proxy.implementation');
+
+/**
+ * Finds the registry entry of a contract by its name in addresses.json.
+ * Legacy contracts are registered under their v1 names but published under the name of their artifact.
+ *
+ * @param {string} name - The contract name used in addresses.json
+ * @return {object|undefined} The registry entry
+ */
+const getRegistryEntry = name =>
+  registryContracts.find(contract => contract.name === name) ||
+  registryContracts.find(contract => contract.artifact && contract.artifact.split(':').pop() === name);
+
+const getStaticMetadata = name => {
+  const entry = getRegistryEntry(name);
+  return {
+    code: entry ? entry.code : null,
+    legacy: (entry && entry.legacy === true) || name.startsWith('Legacy'),
+  };
+};
+
+/**
+ * Reads the implementation of an OwnedUpgradeabilityProxy.
+ *
+ * @param {Provider} provider - The provider to read from
+ * @param {string} address - The contract address
+ * @param {string|number} [blockTag] - The block to read at
+ * @return {Promise<string|null>} The implementation address, null if the contract is not a proxy
+ */
+const getImplementation = async (provider, address, blockTag = 'latest') => {
+  const slot = await provider.getStorageAt(address, IMPLEMENTATION_SLOT, blockTag);
+  const implementation = getAddress(hexDataSlice(slot, 12));
+  return implementation === AddressZero ? null : implementation;
+};
+
+/**
+ * Finds the block a contract was deployed in using a binary search on its code.
+ * Requires an archive node when used against a public network.
+ *
+ * @param {Provider} provider - The provider to read from
+ * @param {string} address - The contract address
+ * @param {number} toBlock - A block at which the contract is known to exist
+ * @return {Promise<number>} The deployment block
+ */
+const findDeploymentBlock = async (provider, address, toBlock) => {
+  let low = 0;
+  let high = toBlock;
+
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    const code = await provider.getCode(address, middle);
+
+    if (code === '0x') {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  return low;
+};
+
+/**
+ * Finds the transaction that deployed a contract in the given block.
+ * Contracts deployed by other contracts (i.e. through a create2 deployer) can't be matched without traces.
+ *
+ * @param {Provider} provider - The provider to read from
+ * @param {string} address - The contract address
+ * @param {number} blockNumber - The deployment block
+ * @return {Promise<string|null>} The transaction hash, null if the contract was not deployed by an EOA
+ */
+const findDeploymentTransaction = async (provider, address, blockNumber) => {
+  const { transactions } = await provider.getBlock(blockNumber);
+
+  for (const hash of transactions) {
+    const { contractAddress } = await provider.getTransactionReceipt(hash);
+    if (contractAddress && getAddress(contractAddress) === getAddress(address)) {
+      return hash;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Builds the manifest of the given contracts by reading the chain.
+ *
+ * @param {Provider} provider - The provider to read from
+ * @param {object} addresses - The contract addresses by name, as in addresses.json
+ * @param {string|number} [blockTag] - The block to read the current implementations at
+ * @return {Promise<object>} The manifest entries by contract name
+ */
+const buildManifestFromChain = async (provider, addresses, blockTag = 'latest') => {
+  const { number: toBlock } = await provider.getBlock(blockTag);
+  const manifest = {};
+
+  for (const [name, address] of Object.entries(addresses)) {
+    if ((await provider.getCode(address, toBlock)) === '0x') {
+      throw new Error(`No contract found for ${name} at ${address}`);
+    }
+
+    const deployBlock = await findDeploymentBlock(provider, address, toBlock);
+    const deployTxHash = await findDeploymentTransaction(provider, address, deployBlock);
+    const implementation = await getImplementation(provider, address, toBlock);
+
+    manifest[name] = {
+      address,
+      deployBlock,
+      deployTxHash,
+      isProxy: implementation !== null,
+      implementation,
+      ...getStaticMetadata(name),
+    };
+  }
+
+  return manifest;
+};
+
+// journals written before the entries had a type only recorded deployments with a transaction hash
+const isDeployment = entry => (entry.type === undefined ? Boolean(entry.txHash) : entry.type === 'deploy');
+
+/**
+ * Builds the manifest of the given contracts from a deployment journal.
+ * The journal entries are matched by address, the first deploy entry is the deployment,
+ * the last one with an implementation holds the current implementation of a proxy.
+ * Pending entries, written before their transaction was mined, are ignored.
+ *
+ * @param {object[]} journal - The { type, address, txHash, blockNumber, implementation } journal entries
+ * @param {object} addresses - The contract addresses by name, as in addresses.json
+ * @return {object} The manifest entries by contract name
+ */
+const buildManifestFromJournal = (journal, addresses) => {
+  const manifest = {};
+
+  for (const [name, address] of Object.entries(addresses)) {
+    const entries = journal.filter(
+      entry => !entry.pending && entry.address && getAddress(entry.address) === getAddress(address),
+    );
+    const deployment = entries.find(isDeployment);
+    const upgrade = entries.filter(entry => entry.implementation).pop();
+
+    if (!deployment) {
+      throw new Error(`No deployment of ${name} at ${address} found in the journal`);
+    }
+
+    manifest[name] = {
+      address,
+      deployBlock: deployment.blockNumber,
+      deployTxHash: deployment.txHash,
+      isProxy: upgrade !== undefined,
+      implementation: upgrade ? upgrade.implementation : null,
+      ...getStaticMetadata(name),
+    };
+  }
+
+  return manifest;
+};
+
+/**
+ * Reads a deployment journal, one JSON object per line.
+ *
+ * @param {string} journalFile - Path to the journal
+ * @return {object[]} The journal entries, oldest first
+ */
+const readJournal = journalFile =>
+  fs
+    .readFileSync(journalFile, 'utf8')
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => JSON.parse(line));
+
+module.exports = {
+  IMPLEMENTATION_SLOT,
+  getImplementation,
+  findDeploymentBlock,
+  findDeploymentTransaction,
+  buildManifestFromChain,
+  buildManifestFromJournal,
+  readJournal,
+};
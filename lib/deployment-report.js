@@ -0,0 +1,119 @@
+const { ethers } = require('ethers');
+
+const { formatEther, hexDataLength, parseUnits } = ethers.utils;
+
+// EIP-170, enforced on mainnet but not on the hardhat network when allowUnlimitedContractSize is set
+const CONTRACT_SIZE_LIMIT = 24576;
+
+/**
+ * Builds the gas and cost report of a deployment from its journal.
+ *
+ * @param {Provider} provider - The provider of the network the deployment ran on
+ * @param {object[]} journal - The journal entries written by scripts/deploy/journal.js
+ * @param {object} options
+ * @param {string} options.baseFee - The base fee to compute the cost at, in gwei
+ * @return {Promise<object>} The { baseFee, steps, summary } report
+ */
+const buildReport = async (provider, journal, { baseFee }) => {
+  const baseFeeWei = parseUnits(baseFee, 'gwei');
+  const steps = [];
+
+  for (const entry of journal.filter(entry => !entry.pending)) {
+    const { step, type, description, contract, alias, address, txHash } = entry;
+    const { gasUsed } = await provider.getTransactionReceipt(txHash);
+    const { data } = await provider.getTransaction(txHash);
+    const bytecodeSize = type === 'deploy' ? hexDataLength(await provider.getCode(address)) : null;
+
+    steps.push({
+      step,
+      type,
+      description,
+      contract: alias || contract || null,
+      address: address || null,
+      bytecodeSize,
+      exceedsSizeLimit: bytecodeSize !== null && bytecodeSize > CONTRACT_SIZE_LIMIT,
+      gasUsed: gasUsed.toNumber(),
+      calldataSize: hexDataLength(data),
+      cost: formatEther(gasUsed.mul(baseFeeWei)),
+    });
+  }
+
+  const totalGas = steps.reduce((sum, { gasUsed }) => sum + gasUsed, 0);
+  const deployments = steps.filter(({ type }) => type === 'deploy');
+  const largest = deployments.reduce((max, step) => (max && max.bytecodeSize >= step.bytecodeSize ? max : step), null);
+
+  const summary = {
+    transactions: steps.length,
+    deployments: deployments.length,
+    upgrades: steps.filter(({ type }) => type === 'upgrade').length,
+    calls: steps.filter(({ type }) => type === 'call').length,
+    gasUsed: totalGas,
+    calldataSize: steps.reduce((sum, { calldataSize }) => sum + calldataSize, 0),
+    cost: formatEther(baseFeeWei.mul(totalGas)),
+    largestContract: largest && { contract: largest.contract, bytecodeSize: largest.bytecodeSize },
+    oversizedContracts: deployments.filter(step => step.exceedsSizeLimit).map(step => step.contract),
+  };
+
+  return { baseFee, steps, summary };
+};
+
+const formatTable = (header, rows) => {
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+  // text columns are left aligned, numbers right aligned
+  const alignRight = header.map((_, i) => rows.length > 0 && rows.every(row => /^[\d.]*$/.test(row[i])));
+  const formatRow = row =>
+    row
+      .map((cell, i) => (alignRight[i] ? cell.padStart(widths[i]) : cell.padEnd(widths[i])))
+      .join('  ')
+      .trimEnd();
+
+  return [formatRow(header), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(formatRow)].join('\n');
+};
+
+/**
+ * Formats the report as a table of steps followed by the summary.
+ *
+ * @param {object} report - The result of buildReport
+ * @return {string} The formatted report
+ */
+const formatReport = ({ baseFee, steps, summary }) => {
+  const header = ['step', 'type', 'description', 'bytecode', 'gas used', 'calldata', `cost at ${baseFee} gwei`];
+  const rows = steps.map(step => [
+    String(step.step),
+    step.type,
+    step.description + (step.exceedsSizeLimit ? ' (exceeds the contract size limit)' : ''),
+    step.bytecodeSize === null ? '' : String(step.bytecodeSize),
+    String(step.gasUsed),
+    String(step.calldataSize),
+    step.cost,
+  ]);
+
+  const { largestContract, oversizedContracts } = summary;
+  const lines = [
+    formatTable(header, rows),
+    '',
+    `Transactions:        ${summary.transactions}`,
+    `  deployments:       ${summary.deployments}`,
+    `  upgrades:          ${summary.upgrades}`,
+    `  calls:             ${summary.calls}`,
+    `Gas used:            ${summary.gasUsed}`,
+    `Calldata:            ${summary.calldataSize} bytes`,
+    `Cost at ${baseFee} gwei:`.padEnd(21) + `${summary.cost} ETH`,
+  ];
+
+  if (largestContract) {
+    lines.push(`Largest contract:    ${largestContract.contract} (${largestContract.bytecodeSize} bytes)`);
+  }
+
+  if (oversizedContracts.length > 0) {
+    lines.push(`Over the ${CONTRACT_SIZE_LIMIT} bytes size limit: ${oversizedContracts.join(', ')}`);
+  }
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  CONTRACT_SIZE_LIMIT,
+  buildReport,
+  formatReport,
+};
@@ -0,0 +1,249 @@
+const { ethers } = require('ethers');
+
+const { defaultAbiCoder, Interface, hexDataLength, hexDataSlice, isHexString } = ethers.utils;
+
+// Solidity panic codes, see the "Panic via assert and Error via require" section of the solidity docs
+const PanicCode = {
+  // Used for generic compiler inserted panics.
+  COMPILER: 0x00,
+  // If you call assert with an argument that evaluates to false.
+  FALSE_ASSERT: 0x01,
+  // If an arithmetic operation results in underflow or overflow outside of an unchecked { ... } block.
+  UNDER_OR_OVERFLOW: 0x11,
+  // If you divide or modulo by zero (e.g. 5 / 0 or 23 % 0).
+  DIVIDE_BY_ZERO: 0x12,
+  // If you convert a value that is too big or negative into an enum type.
+  INVALID_CONVERSION: 0x21,
+  // If you access a storage byte array that is incorrectly encoded.
+  INCORRECT_STORAGE_ENCODING: 0x22,
+  // If you call .pop() on an empty array.
+  POP_EMPTY_ARRAY: 0x31,
+  // If you access an array, bytesN or an array slice at an out-of-bounds or negative index.
+  INVALID_ARRAY_ACCESS: 0x32,
+  // If you allocate too much memory or create an array that is too large.
+  MEMORY_TOO_LARGE: 0x41,
+  // If you call a zero-initialized variable of internal function type.
+  ZERO_INITIALIZED_VARIABLE: 0x51,
+};
+
+const PanicReason = {
+  [PanicCode.COMPILER]: 'Generic compiler panic',
+  [PanicCode.FALSE_ASSERT]: 'Assertion failed',
+  [PanicCode.UNDER_OR_OVERFLOW]: 'Arithmetic underflow or overflow',
+  [PanicCode.DIVIDE_BY_ZERO]: 'Division or modulo by zero',
+  [PanicCode.INVALID_CONVERSION]: 'Invalid enum conversion',
+  [PanicCode.INCORRECT_STORAGE_ENCODING]: 'Incorrectly encoded storage byte array',
+  [PanicCode.POP_EMPTY_ARRAY]: 'Pop on empty array',
+  [PanicCode.INVALID_ARRAY_ACCESS]: 'Array index out of bounds',
+  [PanicCode.MEMORY_TOO_LARGE]: 'Too much memory allocated',
+  [PanicCode.ZERO_INITIALIZED_VARIABLE]: 'Zero initialized internal function called',
+};
+
+const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+/**
+ * Finds the revert data in an error thrown by ethers or by the hardhat provider.
+ * Depending on the provider and on whether it's a call or a transaction the data is nested differently.
+ *
+ * @param {Error} error - The error thrown by a contract call
+ * @return {string|undefined} The hex encoded revert data, if any
+ */
+const getRevertData = error => {
+  const visited = new Set();
+  const queue = [error];
+
+  while (queue.length > 0) {
+    const item = queue.shift();
+
+    if (item === null || item === undefined || visited.has(item)) {
+      continue;
+    }
+
+    if (typeof item === 'string') {
+      if (isHexString(item) && (item.length - 2) / 2 >= 4) {
+        return item;
+      }
+      continue;
+    }
+
+    if (typeof item !== 'object') {
+      continue;
+    }
+
+    visited.add(item);
+    queue.push(item.data, item.error, item.originalError);
+
+    // json rpc providers keep the raw response in the body
+    if (typeof item.body === 'string') {
+      try {
+        queue.push(JSON.parse(item.body).error);
+      } catch (e) {
+        // not json, ignore
+      }
+    }
+  }
+};
+
+/**
+ * Builds an error decoder from contract ABIs.
+ *
+ * @param {object} contracts - Map of contract name or fully qualified name to its ABI, in order of preference when
+ *   selectors collide
+ * @return {object} The decoder functions
+ */
+const createErrorDecoder = contracts => {
+  // selector => { fragment, contracts }
+  const errors = {};
+
+  for (const [contractName, abi] of Object.entries(contracts)) {
+    const contractInterface = Interface.isInterface(abi) ? abi : new Interface(abi);
+
+    for (const fragment of Object.values(contractInterface.errors)) {
+      const selector = contractInterface.getSighash(fragment);
+      errors[selector] = errors[selector] || { fragment, contracts: [] };
+      errors[selector].contracts.push(contractName);
+    }
+  }
+
+  // returned when the revert data is truncated or malformed and can't be decoded
+  const rawError = (selector, data) => ({ selector, name: null, signature: null, args: [], contracts: [], data });
+
+  /**
+   * Decodes revert data into the error name and its arguments.
+   * Falls back to the raw selector and data when the arguments can't be decoded.
+   *
+   * @param {string} data - The hex encoded revert data
+   * @return {object|null} The decoded error, null when there is no data
+   */
+  const decodeErrorData = data => {
+    if (!data || data === '0x') {
+      return null;
+    }
+
+    if (!(hexDataLength(data) >= 4)) {
+      return rawError(data, data);
+    }
+
+    const selector = hexDataSlice(data, 0, 4);
+    const encodedArgs = hexDataSlice(data, 4);
+
+    try {
+      if (selector === ERROR_STRING_SELECTOR) {
+        const [reason] = defaultAbiCoder.decode(['string'], encodedArgs);
+        return { selector, name: 'Error', signature: 'Error(string)', args: [reason], reason, contracts: [] };
+      }
+
+      if (selector === PANIC_SELECTOR) {
+        const [code] = defaultAbiCoder.decode(['uint256'], encodedArgs);
+        const reason = PanicReason[code.toNumber()] || 'Unknown panic code';
+        return { selector, name: 'Panic', signature: 'Panic(uint256)', args: [code], code: code.toNumber(), reason };
+      }
+
+      const error = errors[selector];
+
+      if (!error) {
+        return rawError(selector, data);
+      }
+
+      const { fragment, contracts } = error;
+      const args = defaultAbiCoder.decode(fragment.inputs, encodedArgs);
+
+      return { selector, name: fragment.name, signature: fragment.format(), args, contracts };
+    } catch (e) {
+      return rawError(selector, data);
+    }
+  };
+
+  /**
+   * Decodes the revert reason of an error thrown by ethers.
+   *
+   * @param {Error} error - The error thrown by a contract call
+   * @return {object|null} The decoded error, null when the error carries no revert data
+   */
+  const decodeError = error => decodeErrorData(getRevertData(error));
+
+  /**
+   * Formats an error thrown by ethers into a human-readable string.
+   * Falls back to the original error message when there is no revert data.
+   *
+   * @param {Error} error - The error thrown by a contract call
+   * @return {string} The formatted error
+   */
+  const formatError = error => {
+    const decoded = decodeError(error);
+
+    if (decoded === null) {
+      return error.reason || error.message || String(error);
+    }
+
+    if (decoded.name === 'Error') {
+      return `Error: ${decoded.reason}`;
+    }
+
+    if (decoded.name === 'Panic') {
+      return `Panic(0x${decoded.code.toString(16).padStart(2, '0')}): ${decoded.reason}`;
+    }
+
+    if (decoded.name === null) {
+      const { selector, data } = decoded;
+      const isKnown =
+        selector === ERROR_STRING_SELECTOR || selector === PANIC_SELECTOR || errors[selector] !== undefined;
+      return isKnown
+        ? `Malformed error ${selector} (data: ${data})`
+        : `Unknown custom error ${selector} (data: ${data})`;
+    }
+
+    const { fragment } = errors[decoded.selector];
+    const args = fragment.inputs.map((input, i) => {
+      const value = decoded.args[i].toString();
+      return input.name ? `${input.name}: ${value}` : value;
+    });
+
+    // contracts are keyed by fully qualified name, only the contract name is shown
+    const contractName = decoded.contracts[0].split(':').pop();
+
+    return `${contractName}.${decoded.name}(${args.join(', ')})`;
+  };
+
+  return { decodeErrorData, decodeError, formatError };
+};
+
+/**
+ * Builds an error decoder from all compiled contracts.
+ * Contracts with bytecode are preferred over interfaces and mocks when naming the contract that owns an error.
+ *
+ * @param {object} artifacts - The hardhat artifacts object (hre.artifacts)
+ * @return {Promise<object>} The decoder functions
+ */
+const loadErrorDecoder = async artifacts => {
+  const names = await artifacts.getAllFullyQualifiedNames();
+  const loaded = await Promise.all(names.map(name => artifacts.readArtifact(name)));
+
+  const rank = ({ sourceName, bytecode }) => {
+    const isMock = /\/mocks\//.test(sourceName);
+    const isDeployable = bytecode !== '0x';
+    return (isMock ? 2 : 0) + (isDeployable ? 0 : 1);
+  };
+
+  const contracts = {};
+  const sorted = loaded.filter(artifact => artifact.abi.length > 0).sort((a, b) => rank(a) - rank(b));
+
+  // keyed by fully qualified name, contracts with the same name in different sources may declare different errors
+  for (const { sourceName, contractName, abi } of sorted) {
+    const errorsOnly = abi.filter(item => item.type === 'error');
+    if (errorsOnly.length > 0) {
+      contracts[`${sourceName}:${contractName}`] = errorsOnly;
+    }
+  }
+
+  return createErrorDecoder(contracts);
+};
+
+module.exports = {
+  PanicCode,
+  PanicReason,
+  getRevertData,
+  createErrorDecoder,
+  loadErrorDecoder,
+};
@@ -0,0 +1,126 @@
+const assert = require('assert');
+const { ethers } = require('ethers');
+
+const proposalCategories = require('./proposal-categories');
+
+const { defaultAbiCoder, FunctionFragment, Interface, toUtf8String } = ethers.utils;
+
+// indexes in the values returned by categoryParamsToValues
+const CONTRACT_CODE_INDEX = 8;
+const FN_SIGNATURE_INDEX = 10;
+
+const getCategory = categoryId => {
+  const category = proposalCategories[categoryId];
+  assert(category, `Unknown proposal category ${categoryId}`);
+  return category;
+};
+
+/**
+ * Returns the action details recorded for a proposal category.
+ *
+ * @param {number} categoryId - ProposalCategory id (see lib/constants)
+ * @return {{name: string, contractCode: string, fnSignature: string}} The category action details
+ */
+const getCategoryAction = categoryId => {
+  const category = getCategory(categoryId);
+  const contractCode = toUtf8String(category[CONTRACT_CODE_INDEX]).replace(/\0/g, '');
+  return { name: category[0], contractCode, fnSignature: category[FN_SIGNATURE_INDEX] };
+};
+
+/**
+ * Returns the function fragment executed by the category's action.
+ * When the target contract ABI is passed, the fragment carries the parameter names from the ABI.
+ *
+ * @param {number} categoryId - ProposalCategory id
+ * @param {Interface|Array|string} [abi] - ABI or ethers Interface of the target contract
+ * @return {FunctionFragment} The function fragment
+ */
+const getActionFragment = (categoryId, abi) => {
+  const { name, fnSignature } = getCategoryAction(categoryId);
+  assert(fnSignature !== '', `Proposal category ${categoryId} (${name}) has no action`);
+
+  const fragment = FunctionFragment.from(fnSignature);
+
+  if (abi === undefined) {
+    return fragment;
+  }
+
+  const contractInterface = Interface.isInterface(abi) ? abi : new Interface(abi);
+  const abiFragment = Object.values(contractInterface.functions).find(fn => fn.format() === fragment.format());
+  assert(abiFragment, `Function ${fragment.format()} of category ${categoryId} not found in the given ABI`);
+
+  return abiFragment;
+};
+
+const toPositionalArgs = (fragment, args) => {
+  if (Array.isArray(args)) {
+    assert(
+      args.length === fragment.inputs.length,
+      `Expected ${fragment.inputs.length} arguments for ${fragment.format()}, got ${args.length}`,
+    );
+    return args;
+  }
+
+  const names = fragment.inputs.map(input => input.name);
+  assert(
+    names.every(name => name),
+    `Named arguments need the target contract ABI to resolve the names of ${fragment.format()}`,
+  );
+
+  const unknown = Object.keys(args).filter(key => !names.includes(key));
+  assert(unknown.length === 0, `Unknown arguments for ${fragment.format()}: ${unknown.join(', ')}`);
+
+  const missing = names.filter(name => args[name] === undefined);
+  assert(missing.length === 0, `Missing arguments for ${fragment.format()}: ${missing.join(', ')}`);
+
+  return names.map(name => args[name]);
+};
+
+/**
+ * Encodes the action data of a proposal for Governance.submitProposalWithSolution.
+ * Governance prepends the function selector itself, so only the arguments are encoded.
+ *
+ * @param {number} categoryId - ProposalCategory id
+ * @param {Array|object} args - Positional arguments, or an object keyed by parameter name
+ * @param {Interface|Array|string} [abi] - ABI of the target contract, required for named arguments
+ * @return {string} The hex encoded action data
+ */
+const encodeAction = (categoryId, args, abi) => {
+  const fragment = getActionFragment(categoryId, abi);
+  const values = toPositionalArgs(fragment, args);
+
+  try {
+    return defaultAbiCoder.encode(fragment.inputs, values);
+  } catch (e) {
+    throw new Error(`Invalid arguments for ${fragment.format()} (category ${categoryId}): ${e.reason || e.message}`);
+  }
+};
+
+/**
+ * Decodes the action data of a proposal back into its arguments.
+ *
+ * @param {number} categoryId - ProposalCategory id of the proposal
+ * @param {string} actionData - Hex encoded action, as returned by Governance.getSolutionAction
+ * @param {Interface|Array|string} [abi] - ABI of the target contract, used to name the arguments
+ * @return {object} The category action details, the full signature and the decoded arguments
+ */
+const decodeAction = (categoryId, actionData, abi) => {
+  const { name, contractCode } = getCategoryAction(categoryId);
+  const fragment = getActionFragment(categoryId, abi);
+  const args = defaultAbiCoder.decode(fragment.inputs, actionData);
+
+  return {
+    categoryId,
+    name,
+    contractCode,
+    signature: fragment.format(),
+    args,
+  };
+};
+
+module.exports = {
+  getCategoryAction,
+  getActionFragment,
+  encodeAction,
+  decodeAction,
+};
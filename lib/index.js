@@ -1,9 +1,43 @@
+const addressVerification = require('./address-verification');
+const bytecode = require('./bytecode');
+const capacity = require('./capacity');
 const constants = require('./constants');
+const contractRegistry = require('./contract-registry');
+const deploymentInvariants = require('./deployment-invariants');
+const deploymentManifest = require('./deployment-manifest');
+const deploymentReport = require('./deployment-report');
+const errors = require('./errors');
+const governanceActions = require('./governance-actions');
 const helpers = require('./helpers');
+const memberBalances = require('./member-balances');
+const membership = require('./membership');
+const parameters = require('./parameters');
+const pricing = require('./pricing');
+const productsSnapshot = require('./products-snapshot');
 const proposalCategories = require('./proposal-categories');
+const ramm = require('./ramm');
+const stakingTime = require('./staking-time');
+const verificationBundle = require('./verification-bundle');
 
 module.exports = {
+  addressVerification,
+  bytecode,
+  capacity,
   constants,
+  contractRegistry,
+  deploymentInvariants,
+  deploymentManifest,
+  deploymentReport,
+  errors,
+  governanceActions,
   helpers,
+  memberBalances,
+  membership,
+  parameters,
+  pricing,
+  productsSnapshot,
   proposalCategories,
+  ramm,
+  stakingTime,
+  verificationBundle,
 };
@@ -0,0 +1,193 @@
+const { ethers } = require('ethers');
+
+const { BigNumber } = ethers;
+const { hexDataLength, parseBytes32String, solidityKeccak256 } = ethers.utils;
+
+const LockReasonType = {
+  ClaimAssessment: 'CLA', // v1 claim assessment stake
+  CoverNote: 'CN', // v1 cover note, keccak256("CN", owner, coverId)
+  Unknown: 'UNKNOWN',
+};
+
+/**
+ * Computes the lock reason TokenController uses for a v1 cover note.
+ *
+ * @param {string} member - The cover owner
+ * @param {BigNumberish} coverId - The v1 cover id
+ * @return {string} The bytes32 lock reason
+ */
+const getCoverNoteLockReason = (member, coverId) =>
+  solidityKeccak256(['string', 'address', 'uint'], ['CN', member, coverId]);
+
+/**
+ * Decodes a lock reason returned by TokenController.getLockReasons.
+ * Cover note reasons are hashes and can only be matched against known cover ids.
+ *
+ * @param {string} reason - The bytes32 lock reason
+ * @param {object} [coverNoteReasons] - Map of cover note lock reason to cover id
+ * @return {{reason: string, type: string, coverId?: number}} The decoded lock reason
+ */
+const decodeLockReason = (reason, coverNoteReasons = {}) => {
+  const coverId = coverNoteReasons[reason.toLowerCase()];
+
+  if (coverId !== undefined) {
+    return { reason, type: LockReasonType.CoverNote, coverId: BigNumber.from(coverId).toNumber() };
+  }
+
+  let text;
+
+  try {
+    text = hexDataLength(reason) === 32 ? parseBytes32String(reason) : '';
+  } catch (e) {
+    // not a null terminated string
+    text = '';
+  }
+
+  return text === LockReasonType.ClaimAssessment
+    ? { reason, type: LockReasonType.ClaimAssessment }
+    : { reason, type: LockReasonType.Unknown };
+};
+
+/**
+ * Reads the whole NXM position of a member.
+ *
+ * The assessment stake, the legacy pooled staking deposit and rewards and the unclaimed locks are held by
+ * other contracts but count towards the member's voting power. Delegations are the deposits of the staking
+ * pools the member manages, they're the difference between totalBalanceOf and totalBalanceOfWithoutDelegations.
+ *
+ * @param {object} contracts - The { tokenController, nxm, pooledStaking, assessment, governance } instances
+ * @param {string} member - The member address
+ * @param {string|number} blockTag - The block to read the data at
+ * @return {Promise<object>} The balance breakdown
+ */
+const fetchMemberBalances = async (contracts, member, blockTag = 'latest') => {
+  const { tokenController, nxm, pooledStaking, assessment, governance } = contracts;
+  const overrides = { blockTag };
+
+  const [
+    balance,
+    reasons,
+    coverNotes,
+    stakerDeposit,
+    stakerReward,
+    stake,
+    [assessmentPendingRewards, assessmentWithdrawableRewards],
+    governanceRewards,
+    totalBalance,
+    totalBalanceWithoutDelegations,
+  ] = await Promise.all([
+    nxm.balanceOf(member, overrides),
+    tokenController.getLockReasons(member, overrides),
+    tokenController.getWithdrawableCoverNotes(member, overrides),
+    pooledStaking.stakerDeposit(member, overrides),
+    pooledStaking.stakerReward(member, overrides),
+    assessment.stakeOf(member, overrides),
+    assessment.getRewards(member, overrides),
+    governance.getPendingReward(member, overrides),
+    tokenController.totalBalanceOf(member, overrides),
+    tokenController.totalBalanceOfWithoutDelegations(member, overrides),
+  ]);
+
+  const coverNoteReasons = coverNotes.coverIds.reduce(
+    (acc, coverId) => ({ ...acc, [getCoverNoteLockReason(member, coverId).toLowerCase()]: coverId }),
+    {},
+  );
+
+  const lockReasons = await Promise.all(
+    reasons.map(async reason => ({
+      ...decodeLockReason(reason, coverNoteReasons),
+      amount: await tokenController.tokensLocked(member, reason, overrides),
+    })),
+  );
+
+  return {
+    member,
+    balance,
+    lockReasons,
+    lockedAmount: lockReasons.reduce((sum, { amount }) => sum.add(amount), BigNumber.from(0)),
+    coverNotes: {
+      coverIds: coverNotes.coverIds.map(id => id.toNumber()),
+      withdrawableAmount: coverNotes.withdrawableAmount,
+    },
+    legacyPooledStaking: { deposit: stakerDeposit, reward: stakerReward },
+    assessment: {
+      stake: stake.amount,
+      pendingRewards: assessmentPendingRewards,
+      withdrawableRewards: assessmentWithdrawableRewards,
+    },
+    governanceRewards,
+    delegations: totalBalance.sub(totalBalanceWithoutDelegations),
+    totalBalance,
+    totalBalanceWithoutDelegations,
+  };
+};
+
+// recursively converts BigNumbers to decimal strings
+const serialize = value => {
+  if (BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(serialize);
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return Object.entries(value).reduce((acc, [key, item]) => ({ ...acc, [key]: serialize(item) }), {});
+  }
+
+  return value;
+};
+
+const CSV_COLUMNS = [
+  ['member', b => b.member],
+  ['balance', b => b.balance],
+  ['lockedAmount', b => b.lockedAmount],
+  ['lockReasons', b => b.lockReasons.map(r => [r.type, r.coverId, r.amount].filter(x => x !== undefined).join(':'))],
+  ['coverNoteIds', b => b.coverNotes.coverIds],
+  ['coverNotesWithdrawable', b => b.coverNotes.withdrawableAmount],
+  ['legacyStakingDeposit', b => b.legacyPooledStaking.deposit],
+  ['legacyStakingReward', b => b.legacyPooledStaking.reward],
+  ['assessmentStake', b => b.assessment.stake],
+  ['assessmentPendingRewards', b => b.assessment.pendingRewards],
+  ['assessmentWithdrawableRewards', b => b.assessment.withdrawableRewards],
+  ['governanceRewards', b => b.governanceRewards],
+  ['delegations', b => b.delegations],
+  ['totalBalance', b => b.totalBalance],
+  ['totalBalanceWithoutDelegations', b => b.totalBalanceWithoutDelegations],
+];
+
+/**
+ * Formats balance breakdowns as CSV, one row per member. Lists are joined with semicolons.
+ *
+ * @param {object[]} balances - Results of fetchMemberBalances
+ * @return {string} The CSV content, including the header
+ */
+const toCsv = balances => {
+  const header = CSV_COLUMNS.map(([name]) => name).join(',');
+  const rows = balances.map(balance =>
+    CSV_COLUMNS.map(([, getter]) => {
+      const value = serialize(getter(balance));
+      return Array.isArray(value) ? value.join(';') : value;
+    }).join(','),
+  );
+
+  return [header, ...rows].join('\n') + '\n';
+};
+
+/**
+ * Formats balance breakdowns as JSON with amounts as decimal strings.
+ *
+ * @param {object[]} balances - Results of fetchMemberBalances
+ * @return {string} The JSON content
+ */
+const toJson = balances => JSON.stringify(serialize(balances), null, 2) + '\n';
+
+module.exports = {
+  LockReasonType,
+  getCoverNoteLockReason,
+  decodeLockReason,
+  fetchMemberBalances,
+  toCsv,
+  toJson,
+};
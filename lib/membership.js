@@ -0,0 +1,169 @@
+const assert = require('assert');
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+const { arrayify, defaultAbiCoder, formatBytes32String, getAddress, isAddress, keccak256 } = ethers.utils;
+
+// mirrors MemberRoles.MEMBERSHIP_APPROVAL
+const MEMBERSHIP_APPROVAL = formatBytes32String('MEMBERSHIP_APPROVAL');
+
+// upper bound for the nonce lookup, a member needing this many approvals is most likely abusing the service
+const MAX_NONCE_LOOKUP = 100;
+
+/**
+ * Computes the message hash MemberRoles.join reconstructs before verifying the signature.
+ *
+ * @param {object} approval - The { address, nonce, chainId } of the approval
+ * @return {string} The message hash
+ */
+const getMembershipApprovalHash = ({ address, nonce, chainId }) =>
+  keccak256(
+    defaultAbiCoder.encode(
+      ['bytes32', 'uint256', 'address', 'uint256'],
+      [MEMBERSHIP_APPROVAL, nonce, address, chainId],
+    ),
+  );
+
+/**
+ * Signs a membership approval with the kyc authority key.
+ *
+ * @param {object} approval - The { address, nonce, chainId, kycAuthSigner } of the approval
+ * @return {Promise<string>} The signature to pass to MemberRoles.join
+ */
+const signMembershipApproval = async ({ address, nonce, chainId, kycAuthSigner }) => {
+  const hash = getMembershipApprovalHash({ address, nonce, chainId });
+  return kycAuthSigner.signMessage(arrayify(hash));
+};
+
+/**
+ * Finds the lowest nonce whose approval hasn't been used to join yet.
+ *
+ * @param {Contract} memberRoles - MemberRoles instance
+ * @param {string} address - The address of the future member
+ * @param {number} chainId - The chain id the approval is signed for
+ * @param {Set<number>} [reserved] - Nonces already handed out, skipped even if unused
+ * @return {Promise<number>} The next usable nonce
+ */
+const getNextMembershipNonce = async (memberRoles, address, chainId, reserved = new Set()) => {
+  for (let nonce = 0; nonce < MAX_NONCE_LOOKUP; nonce++) {
+    if (reserved.has(nonce)) {
+      continue;
+    }
+
+    const hash = getMembershipApprovalHash({ address, nonce, chainId });
+    const used = await memberRoles.usedMessageHashes(hash);
+
+    if (!used) {
+      return nonce;
+    }
+  }
+
+  throw new Error(`No unused nonce found for ${address} in the first ${MAX_NONCE_LOOKUP} nonces`);
+};
+
+/**
+ * Creates a membership approval issuer that picks the nonce from MemberRoles
+ * and appends every issued approval to a log file, one JSON object per line.
+ * Approvals for the same address are issued one at a time and never share a nonce.
+ *
+ * @param {object} options - The { memberRoles, kycAuthSigner, chainId, logFile } of the issuer
+ * @return {Promise<object>} The issuer
+ */
+const createMembershipApprover = async ({ memberRoles, kycAuthSigner, chainId, logFile }) => {
+  const signerAddress = await kycAuthSigner.getAddress();
+  const kycAuthAddress = await memberRoles.kycAuthAddress();
+
+  assert(
+    signerAddress === kycAuthAddress,
+    `Signer ${signerAddress} is not the kyc authority set in MemberRoles (${kycAuthAddress})`,
+  );
+
+  const networkChainId = chainId || (await memberRoles.provider.getNetwork()).chainId;
+
+  // address => nonces issued by this approver
+  const reservedNonces = {};
+  // address => the last approval queued for it
+  const queues = {};
+
+  const issue = async address => {
+    assert(!(await memberRoles.isMember(address)), `${address} is already a member`);
+
+    const reserved = reservedNonces[address] || new Set();
+    const nonce = await getNextMembershipNonce(memberRoles, address, networkChainId, reserved);
+    reservedNonces[address] = reserved.add(nonce);
+
+    const signature = await signMembershipApproval({
+      address,
+      nonce,
+      chainId: networkChainId,
+      kycAuthSigner,
+    });
+
+    const approval = {
+      address,
+      nonce,
+      chainId: networkChainId,
+      signature,
+      issuedAt: new Date().toISOString(),
+    };
+
+    if (logFile) {
+      await fs.promises.appendFile(logFile, JSON.stringify(approval) + '\n', { flag: 'a' });
+    }
+
+    return approval;
+  };
+
+  /**
+   * Issues a membership approval for the given address.
+   *
+   * @param {string} address - The address of the future member
+   * @return {Promise<object>} The { address, nonce, chainId, signature, issuedAt } of the approval
+   */
+  const approve = async address => {
+    assert(isAddress(address), `Invalid address: ${address}`);
+    const checksummed = getAddress(address);
+
+    // waits for the pending approval of the same address, whether it succeeded or not
+    const previous = queues[checksummed] || Promise.resolve();
+    const current = previous.catch(() => undefined).then(() => issue(checksummed));
+    queues[checksummed] = current;
+
+    try {
+      return await current;
+    } finally {
+      if (queues[checksummed] === current) {
+        delete queues[checksummed];
+      }
+    }
+  };
+
+  return { signerAddress, chainId: networkChainId, approve };
+};
+
+/**
+ * Reads the approvals log written by the issuer.
+ *
+ * @param {string} logFile - Path to the log file
+ * @return {object[]} The issued approvals, oldest first
+ */
+const readApprovalsLog = logFile => {
+  if (!fs.existsSync(logFile)) {
+    return [];
+  }
+
+  return fs
+    .readFileSync(logFile, 'utf8')
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => JSON.parse(line));
+};
+
+module.exports = {
+  MEMBERSHIP_APPROVAL,
+  getMembershipApprovalHash,
+  signMembershipApproval,
+  getNextMembershipNonce,
+  createMembershipApprover,
+  readApprovalsLog,
+};
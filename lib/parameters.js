@@ -0,0 +1,278 @@
+const assert = require('assert');
+const { ethers } = require('ethers');
+
+const { encodeAction } = require('./governance-actions');
+const { toBytes8 } = require('./helpers');
+
+const { BigNumber } = ethers;
+const { defaultAbiCoder, FunctionFragment, getAddress, hexConcat, Interface, isAddress } = ethers.utils;
+
+const MAX_UINT8 = BigNumber.from(2).pow(8).sub(1);
+const MAX_UINT16 = BigNumber.from(2).pow(16).sub(1);
+const MAX_UINT24 = BigNumber.from(2).pow(24).sub(1);
+const MAX_UINT256 = ethers.constants.MaxUint256;
+
+const ParamUnit = {
+  Days: 'days',
+  Seconds: 'seconds',
+  BasisPoints: 'basis points', // 10000 = 100%
+  Percent: 'percent',
+  NXM: 'NXM', // whole tokens, multiplied by 1e18 in the contract
+  NXMWei: 'NXM wei',
+  Multiplier: 'multiplier',
+  Count: 'count',
+  RoleId: 'role id',
+  Address: 'address',
+};
+
+// how the parameters are passed to the update function
+const ParamKind = {
+  // fn(bytes8 code, value), one parameter per call
+  Code: 'code',
+  // fn(uint8[] paramNames, uint[] values), where paramNames are indexes of the contract's UintParams enum
+  Enum: 'enum',
+};
+
+const uint = (unit, max, min = 0) => ({ unit, min: BigNumber.from(min), max: BigNumber.from(max) });
+const address = () => ({ unit: ParamUnit.Address });
+
+// contract name => { contractCode, kind, fnSignature, categoryId?, params }
+// categoryId: ProposalCategory used to change the parameters, undefined when there is no category for it
+// params: index is the position in the UintParams enum, code is the bytes8 code
+// min and max are the values the contract can store without truncating, narrowed down where the value is a ratio
+// settable: false marks codes the contract still exposes but rejects or ignores
+const parameters = {
+  Assessment: {
+    contractCode: 'AS',
+    kind: ParamKind.Enum,
+    fnSignature: 'updateUintParameters(uint8[],uint256[])',
+    params: {
+      minVotingPeriodInDays: { index: 0, ...uint(ParamUnit.Days, MAX_UINT8) },
+      stakeLockupPeriodInDays: { index: 1, ...uint(ParamUnit.Days, MAX_UINT8) },
+      payoutCooldownInDays: { index: 2, ...uint(ParamUnit.Days, MAX_UINT8) },
+      silentEndingPeriodInDays: { index: 3, ...uint(ParamUnit.Days, MAX_UINT8) },
+    },
+  },
+  IndividualClaims: {
+    contractCode: 'CI',
+    kind: ParamKind.Enum,
+    fnSignature: 'updateUintParameters(uint8[],uint256[])',
+    params: {
+      payoutRedemptionPeriodInDays: { index: 0, ...uint(ParamUnit.Days, MAX_UINT8) },
+      minAssessmentDepositRatio: { index: 1, ...uint(ParamUnit.BasisPoints, 10000) },
+      maxRewardInNXMWad: { index: 2, ...uint(ParamUnit.NXM, MAX_UINT16) },
+      rewardRatio: { index: 3, ...uint(ParamUnit.BasisPoints, 10000) },
+    },
+  },
+  YieldTokenIncidents: {
+    contractCode: 'CG',
+    kind: ParamKind.Enum,
+    fnSignature: 'updateUintParameters(uint8[],uint256[])',
+    params: {
+      payoutRedemptionPeriodInDays: { index: 0, ...uint(ParamUnit.Days, MAX_UINT8) },
+      // part of the enum but ignored by updateUintParameters
+      expectedPayoutRatio: { index: 1, ...uint(ParamUnit.BasisPoints, 10000), settable: false },
+      payoutDeductibleRatio: { index: 2, ...uint(ParamUnit.BasisPoints, 10000) },
+      maxRewardInNXMWad: { index: 3, ...uint(ParamUnit.NXM, MAX_UINT16) },
+      rewardRatio: { index: 4, ...uint(ParamUnit.BasisPoints, 10000) },
+    },
+  },
+  MCR: {
+    contractCode: 'MC',
+    kind: ParamKind.Code,
+    fnSignature: 'updateUintParameters(bytes8,uint256)',
+    categoryId: 36, // upgradeMCRParameters
+    params: {
+      maxMCRIncrement: { code: 'MMIC', ...uint(ParamUnit.BasisPoints, MAX_UINT16) }, // per day
+      gearingFactor: { code: 'GEAR', ...uint(ParamUnit.BasisPoints, MAX_UINT24) },
+      minUpdateTime: { code: 'MUTI', ...uint(ParamUnit.Seconds, MAX_UINT16) },
+    },
+  },
+  Governance: {
+    contractCode: 'GV',
+    kind: ParamKind.Code,
+    fnSignature: 'updateUintParameters(bytes8,uint256)',
+    categoryId: 22, // updateGovernanceParameters
+    params: {
+      tokenHoldingTime: { code: 'GOVHOLD', ...uint(ParamUnit.Seconds, MAX_UINT256) },
+      maxFollowers: { code: 'MAXFOL', ...uint(ParamUnit.Count, MAX_UINT256) },
+      maxDraftTime: { code: 'MAXDRFT', ...uint(ParamUnit.Seconds, MAX_UINT256) },
+      actionWaitingTime: { code: 'ACWT', ...uint(ParamUnit.Seconds, MAX_UINT256) },
+      roleIdAllowedToCategorize: { code: 'CATROLE', ...uint(ParamUnit.RoleId, MAX_UINT256) },
+      maxVoteWeightPercentage: { code: 'MAXVTW', ...uint(ParamUnit.Percent, 100) },
+      specialResolutionMajorityPercentage: { code: 'SPRESM', ...uint(ParamUnit.Percent, 100) },
+    },
+  },
+  PooledStaking: {
+    contractCode: 'PS',
+    kind: ParamKind.Code,
+    fnSignature: 'updateUintParameters(bytes8,uint256)',
+    categoryId: 39, // updatePSParameters
+    params: {
+      MIN_STAKE: { code: 'MIN_STAK', ...uint(ParamUnit.NXMWei, MAX_UINT256) },
+      MAX_EXPOSURE: { code: 'MAX_EXPO', ...uint(ParamUnit.Multiplier, MAX_UINT256, 1) },
+      MIN_UNSTAKE: { code: 'MIN_UNST', ...uint(ParamUnit.NXMWei, MAX_UINT256) },
+      UNSTAKE_LOCK_TIME: { code: 'UNST_LKT', ...uint(ParamUnit.Seconds, MAX_UINT256) },
+    },
+  },
+  TokenController: {
+    contractCode: 'TC',
+    kind: ParamKind.Code,
+    fnSignature: 'updateUintParameters(bytes8,uint256)',
+    categoryId: 35, // updateTokenControllerParameters
+    // all codes are rejected
+    params: {},
+  },
+  Pool: {
+    contractCode: 'P1',
+    kind: ParamKind.Code,
+    fnSignature: 'updateUintParameters(bytes8,uint256)',
+    params: {
+      // removed from the pool, updateUintParameters rejects all codes
+      minPoolEth: { code: 'MIN_ETH', ...uint(ParamUnit.NXMWei, MAX_UINT256), settable: false },
+    },
+  },
+  PoolAddresses: {
+    contractCode: 'P1',
+    kind: ParamKind.Code,
+    fnSignature: 'updateAddressParameters(bytes8,address)',
+    categoryId: 40, // updatePoolAddressParameters
+    params: {
+      swapOperator: { code: 'SWP_OP', ...address() },
+      priceFeedOracle: { code: 'PRC_FEED', ...address() },
+    },
+  },
+  NXMasterOwner: {
+    contractCode: 'MS',
+    kind: ParamKind.Code,
+    fnSignature: 'updateOwnerParameters(bytes8,address)',
+    categoryId: 28, // updateOwnerParameters
+    params: {
+      // v1 owner parameters, rejected since the v2 master upgrade
+      msWallet: { code: 'MSWALLET', ...address(), settable: false },
+      quotationAuthority: { code: 'QUOAUTH', ...address(), settable: false },
+      kycAuthority: { code: 'KYCAUTH', ...address(), settable: false },
+      emergencyAdmin: { code: 'EMADMIN', ...address() },
+    },
+  },
+};
+
+const getParameters = contractName => {
+  const contract = parameters[contractName];
+  assert(contract, `Unknown parameter set ${contractName}`);
+  return contract;
+};
+
+/**
+ * Returns the catalog entry of a parameter.
+ *
+ * @param {string} contractName - Key in the parameters catalog (e.g. 'Assessment')
+ * @param {string} paramName - Parameter name (e.g. 'minVotingPeriodInDays')
+ * @return {object} The parameter details along with the details of its contract
+ */
+const getParameter = (contractName, paramName) => {
+  const { params, ...contract } = getParameters(contractName);
+  const param = params[paramName];
+  assert(param, `Unknown parameter ${paramName} of ${contractName}`);
+  return { ...contract, name: paramName, ...param, settable: param.settable !== false };
+};
+
+/**
+ * Checks the value against the parameter's type and allowed range.
+ *
+ * @param {string} contractName - Key in the parameters catalog
+ * @param {string} paramName - Parameter name
+ * @param {BigNumberish|string} value - The new value
+ * @return {BigNumber|string} The value as a BigNumber, or as a checksummed address for address parameters
+ */
+const validateValue = (contractName, paramName, value) => {
+  const { unit, min, max, settable } = getParameter(contractName, paramName);
+  assert(settable, `${contractName}.${paramName} cannot be updated`);
+
+  if (unit === ParamUnit.Address) {
+    assert(isAddress(value), `Invalid address for ${contractName}.${paramName}: ${value}`);
+    return getAddress(value);
+  }
+
+  let number;
+
+  try {
+    number = BigNumber.from(value);
+  } catch (e) {
+    throw new Error(`Invalid value for ${contractName}.${paramName}: ${value}`);
+  }
+
+  assert(
+    number.gte(min) && number.lte(max),
+    `${contractName}.${paramName} must be between ${min} and ${max} ${unit}, got ${number}`,
+  );
+
+  return number;
+};
+
+/**
+ * Builds the action that updates a contract's parameters.
+ * Code based functions take a single parameter per call, enum based ones take any number of parameters.
+ *
+ * The action data is what Governance.submitProposalWithSolution expects, the calldata includes the selector
+ * and can be sent to the contract directly by an address authorized to govern.
+ * Enum based parameters have no proposal category, categoryId is undefined for them.
+ *
+ * @param {string} contractName - Key in the parameters catalog
+ * @param {object} updates - Map of parameter name to its new value
+ * @return {{contractCode: string, categoryId: number|undefined, fnSignature: string, actionData: string, data: string}}
+ */
+const buildUpdateAction = (contractName, updates) => {
+  const { contractCode, kind, fnSignature, categoryId, params } = getParameters(contractName);
+  const names = Object.keys(updates);
+
+  assert(names.length > 0, `No parameters to update for ${contractName}`);
+  assert(
+    kind === ParamKind.Enum || names.length === 1,
+    `${contractName} takes one parameter per action, got ${names.join(', ')}`,
+  );
+
+  const values = names.map(name => validateValue(contractName, name, updates[name]));
+
+  const args =
+    kind === ParamKind.Enum
+      ? [names.map(name => params[name].index), values]
+      : [toBytes8(params[names[0]].code), values[0]];
+
+  const fragment = FunctionFragment.from(fnSignature);
+  const actionData =
+    categoryId !== undefined ? encodeAction(categoryId, args) : defaultAbiCoder.encode(fragment.inputs, args);
+
+  return {
+    contractCode,
+    categoryId,
+    fnSignature,
+    actionData,
+    data: hexConcat([Interface.getSighash(fragment), actionData]),
+  };
+};
+
+// contract name => { paramName: bytes8 code }
+const getParamCodes = contractName =>
+  Object.entries(getParameters(contractName).params).reduce(
+    (acc, [name, { code }]) => ({ ...acc, [name]: toBytes8(code) }),
+    {},
+  );
+
+// contract name => { paramName: enum index }
+const getParamIndexes = contractName =>
+  Object.entries(getParameters(contractName).params).reduce(
+    (acc, [name, { index }]) => ({ ...acc, [name]: index }),
+    {},
+  );
+
+module.exports = {
+  ParamKind,
+  ParamUnit,
+  parameters,
+  getParameter,
+  getParamCodes,
+  getParamIndexes,
+  validateValue,
+  buildUpdateAction,
+};
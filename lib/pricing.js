@@ -0,0 +1,234 @@
+const assert = require('assert');
+const { BigNumber } = require('ethers');
+
+// mirrors the constants in StakingProducts.sol
+const SURGE_PRICE_RATIO = BigNumber.from('2000000000000000000'); // 2 ether
+const SURGE_THRESHOLD_RATIO = BigNumber.from(9000); // 90.00%
+const SURGE_THRESHOLD_DENOMINATOR = BigNumber.from(10000); // 100.00%
+const PRICE_BUMP_RATIO = BigNumber.from(2000); // 20%
+const PRICE_CHANGE_PER_DAY = BigNumber.from(50); // 0.5%
+const TARGET_PRICE_DENOMINATOR = BigNumber.from(10000);
+
+const ONE_NXM = BigNumber.from('1000000000000000000');
+const ALLOCATION_UNITS_PER_NXM = BigNumber.from(100);
+const NXM_PER_ALLOCATION_UNIT = ONE_NXM.div(ALLOCATION_UNITS_PER_NXM);
+
+const ONE_DAY = 24 * 3600;
+const ONE_YEAR = 365 * ONE_DAY;
+const MAX_UINT96 = BigNumber.from(2).pow(96).sub(1);
+
+const max = (a, b) => (BigNumber.from(a).gte(b) ? BigNumber.from(a) : BigNumber.from(b));
+
+// converts an NXM amount (18 decimals) to allocation units, rounding up like StakingPool.allocate does
+const toAllocationUnits = (amount, nxmPerAllocationUnit = NXM_PER_ALLOCATION_UNIT) => {
+  amount = BigNumber.from(amount);
+  const units = amount.div(nxmPerAllocationUnit);
+  return amount.mod(nxmPerAllocationUnit).isZero() ? units : units.add(1);
+};
+
+const getBasePrice = (bumpedPrice, bumpedPriceUpdateTime, targetPrice, timestamp) => {
+  const timeSinceLastUpdate = BigNumber.from(timestamp).sub(bumpedPriceUpdateTime);
+  assert(timeSinceLastUpdate.gte(0), 'Timestamp is before the last bumped price update');
+
+  const priceDrop = PRICE_CHANGE_PER_DAY.mul(timeSinceLastUpdate).div(ONE_DAY);
+
+  // basePrice = max(targetPrice, bumpedPrice - priceDrop)
+  return BigNumber.from(bumpedPrice).lt(priceDrop.add(targetPrice))
+    ? BigNumber.from(targetPrice)
+    : BigNumber.from(bumpedPrice).sub(priceDrop);
+};
+
+const calculateFixedPricePremiumPerYear = (
+  coverAmount,
+  fixedPrice,
+  nxmPerAllocationUnit = NXM_PER_ALLOCATION_UNIT,
+  targetPriceDenominator = TARGET_PRICE_DENOMINATOR,
+) => BigNumber.from(coverAmount).mul(nxmPerAllocationUnit).mul(fixedPrice).div(targetPriceDenominator);
+
+const calculateFixedPricePremium = (
+  coverAmount,
+  period,
+  fixedPrice,
+  nxmPerAllocationUnit = NXM_PER_ALLOCATION_UNIT,
+  targetPriceDenominator = TARGET_PRICE_DENOMINATOR,
+) => {
+  const premiumPerYear = calculateFixedPricePremiumPerYear(
+    coverAmount,
+    fixedPrice,
+    nxmPerAllocationUnit,
+    targetPriceDenominator,
+  );
+
+  return premiumPerYear.mul(period).div(ONE_YEAR);
+};
+
+// calculates the premium for a given amount on surge starting with the surge start point
+const calculateSurgePremium = (amountOnSurge, totalCapacity, allocationUnitsPerNxm = ALLOCATION_UNITS_PER_NXM) => {
+  const surgePremium = BigNumber.from(amountOnSurge)
+    .mul(SURGE_PRICE_RATIO)
+    .mul(amountOnSurge)
+    .div(totalCapacity)
+    .div(2);
+
+  // amountOnSurge has two decimals
+  return surgePremium.div(allocationUnitsPerNxm);
+};
+
+// returns the yearly premium split into its base and surge components
+// all amounts and capacities are expressed in allocation units
+const calculatePremiumPerYear = (
+  basePrice,
+  coverAmount,
+  initialCapacityUsed,
+  totalCapacity,
+  nxmPerAllocationUnit = NXM_PER_ALLOCATION_UNIT,
+  allocationUnitsPerNxm = ALLOCATION_UNITS_PER_NXM,
+  targetPriceDenominator = TARGET_PRICE_DENOMINATOR,
+) => {
+  coverAmount = BigNumber.from(coverAmount);
+  initialCapacityUsed = BigNumber.from(initialCapacityUsed);
+  totalCapacity = BigNumber.from(totalCapacity);
+  assert(!totalCapacity.isZero(), 'Total capacity is zero');
+
+  const basePremium = coverAmount.mul(nxmPerAllocationUnit).mul(basePrice).div(targetPriceDenominator);
+  const finalCapacityUsed = initialCapacityUsed.add(coverAmount);
+  const surgeStartPoint = totalCapacity.mul(SURGE_THRESHOLD_RATIO).div(SURGE_THRESHOLD_DENOMINATOR);
+
+  // i < f <= s case
+  if (finalCapacityUsed.lte(surgeStartPoint)) {
+    const zero = BigNumber.from(0);
+    return { premiumPerYear: basePremium, basePremium, surgePremium: zero, surgePremiumSkipped: zero };
+  }
+
+  const amountOnSurge = finalCapacityUsed.sub(surgeStartPoint);
+  const surgePremiumTotal = calculateSurgePremium(amountOnSurge, totalCapacity, allocationUnitsPerNxm);
+
+  // s < i < f case: subtract the surge premium already paid by previous covers
+  const surgePremiumSkipped = initialCapacityUsed.gt(surgeStartPoint)
+    ? calculateSurgePremium(initialCapacityUsed.sub(surgeStartPoint), totalCapacity, allocationUnitsPerNxm)
+    : BigNumber.from(0);
+
+  const surgePremium = surgePremiumTotal.sub(surgePremiumSkipped);
+
+  return { premiumPerYear: basePremium.add(surgePremium), basePremium, surgePremium, surgePremiumSkipped };
+};
+
+/**
+ * Off-chain equivalent of StakingProducts.calculatePremium.
+ *
+ * @param {object} product StakedProduct as returned by StakingProducts.getProduct
+ * @param {BigNumberish} period cover period in seconds
+ * @param {BigNumberish} coverAmount cover amount in allocation units
+ * @param {BigNumberish} initialCapacityUsed capacity used before this cover, in allocation units
+ * @param {BigNumberish} totalCapacity total capacity of the pool for the product, in allocation units
+ * @param {BigNumberish} targetPrice max(product.targetPrice, globalMinPrice)
+ * @param {BigNumberish} timestamp block timestamp at which the cover is bought
+ * @returns {object} premium and its components, plus the product with the bumped price after the purchase
+ */
+const calculatePremium = (
+  product,
+  period,
+  coverAmount,
+  initialCapacityUsed,
+  totalCapacity,
+  targetPrice,
+  timestamp,
+  nxmPerAllocationUnit = NXM_PER_ALLOCATION_UNIT,
+  allocationUnitsPerNxm = ALLOCATION_UNITS_PER_NXM,
+  targetPriceDenominator = TARGET_PRICE_DENOMINATOR,
+) => {
+  assert(!BigNumber.from(totalCapacity).isZero(), 'Total capacity is zero');
+
+  const priceBump = PRICE_BUMP_RATIO.mul(coverAmount).div(totalCapacity);
+  const basePrice = getBasePrice(product.bumpedPrice, product.bumpedPriceUpdateTime, targetPrice, timestamp);
+  const bumpedPrice = basePrice.add(priceBump);
+  assert(bumpedPrice.lte(MAX_UINT96), 'Bumped price does not fit in uint96');
+
+  const { premiumPerYear, basePremium, surgePremium, surgePremiumSkipped } = calculatePremiumPerYear(
+    basePrice,
+    coverAmount,
+    initialCapacityUsed,
+    totalCapacity,
+    nxmPerAllocationUnit,
+    allocationUnitsPerNxm,
+    targetPriceDenominator,
+  );
+
+  return {
+    premium: premiumPerYear.mul(period).div(ONE_YEAR),
+    premiumPerYear,
+    basePrice,
+    basePremium,
+    surgePremium,
+    surgePremiumSkipped,
+    product: {
+      ...product,
+      bumpedPrice,
+      bumpedPriceUpdateTime: BigNumber.from(timestamp).mod(BigNumber.from(2).pow(32)).toNumber(),
+    },
+  };
+};
+
+/**
+ * Off-chain equivalent of StakingProducts.getPremium, minus the storage write.
+ * The returned product holds the state the contract would persist after the purchase,
+ * fixed price products are returned unchanged as the contract doesn't bump their price.
+ */
+const getPremium = ({
+  product,
+  period,
+  coverAmount,
+  initialCapacityUsed,
+  totalCapacity,
+  globalMinPrice,
+  useFixedPrice,
+  timestamp,
+  nxmPerAllocationUnit = NXM_PER_ALLOCATION_UNIT,
+  allocationUnitsPerNXM = ALLOCATION_UNITS_PER_NXM,
+}) => {
+  const targetPrice = max(product.targetPrice, globalMinPrice);
+
+  if (useFixedPrice) {
+    const premiumPerYear = calculateFixedPricePremiumPerYear(coverAmount, targetPrice, nxmPerAllocationUnit);
+    const zero = BigNumber.from(0);
+    return {
+      premium: calculateFixedPricePremium(coverAmount, period, targetPrice, nxmPerAllocationUnit),
+      premiumPerYear,
+      basePrice: targetPrice,
+      basePremium: premiumPerYear,
+      surgePremium: zero,
+      surgePremiumSkipped: zero,
+      product,
+    };
+  }
+
+  return calculatePremium(
+    product,
+    period,
+    coverAmount,
+    initialCapacityUsed,
+    totalCapacity,
+    targetPrice,
+    timestamp,
+    nxmPerAllocationUnit,
+    allocationUnitsPerNXM,
+  );
+};
+
+module.exports = {
+  SURGE_PRICE_RATIO,
+  SURGE_THRESHOLD_RATIO,
+  SURGE_THRESHOLD_DENOMINATOR,
+  PRICE_BUMP_RATIO,
+  PRICE_CHANGE_PER_DAY,
+  TARGET_PRICE_DENOMINATOR,
+  ALLOCATION_UNITS_PER_NXM,
+  NXM_PER_ALLOCATION_UNIT,
+  toAllocationUnits,
+  getBasePrice,
+  calculateFixedPricePremium,
+  calculateSurgePremium,
+  calculatePremiumPerYear,
+  calculatePremium,
+  getPremium,
+};
@@ -0,0 +1,102 @@
+const { ethers } = require('ethers');
+
+const { getAddress } = ethers.utils;
+
+/**
+ * Reads the pools allowed to stake on a product. The public getter of the allowedPools mapping returns
+ * one item at a time and reverts past the end of the array. Any other error is rethrown.
+ *
+ * @param {Contract} cover - Cover instance
+ * @param {number} productId - The product id
+ * @param {string|number} [blockTag] - The block to read at
+ * @return {Promise<number[]>} The allowed pool ids, empty if all pools are allowed
+ */
+const getAllowedPools = async (cover, productId, blockTag = 'latest') => {
+  const allowedPools = [];
+
+  for (let i = 0; ; i++) {
+    try {
+      const poolId = await cover.allowedPools(productId, i, { blockTag });
+      allowedPools.push(poolId.toNumber());
+    } catch (error) {
+      if (error.code !== 'CALL_EXCEPTION') {
+        throw error;
+      }
+
+      return allowedPools;
+    }
+  }
+};
+
+/**
+ * Reads the latest ipfs metadata of each product or product type from the ProductSet or ProductTypeSet events.
+ * The events are emitted only when the metadata is set, so the latest one is the current metadata.
+ *
+ * @param {Contract} cover - Cover instance
+ * @param {string} eventName - ProductSet or ProductTypeSet
+ * @param {number} fromBlock - The block to start searching from
+ * @param {number} toBlock - The block to search up to
+ * @return {Promise<object>} The ipfs metadata by id
+ */
+const getIpfsMetadata = async (cover, eventName, fromBlock, toBlock) => {
+  const events = await cover.queryFilter(cover.filters[eventName](), fromBlock, toBlock);
+  return events.reduce((acc, { args }) => ({ ...acc, [args.id.toString()]: args.ipfsMetadata }), {});
+};
+
+/**
+ * Snapshots the product types and products listed in Cover.
+ *
+ * @param {Contract} cover - Cover instance
+ * @param {object} [options]
+ * @param {number} [options.fromBlock] - The block to search the metadata events from, i.e. the deploy block of Cover
+ * @param {string|number} [options.blockTag] - The block to take the snapshot at
+ * @return {Promise<object>} The { blockNumber, productTypes, products } snapshot
+ */
+const buildProductsSnapshot = async (cover, { fromBlock = 0, blockTag = 'latest' } = {}) => {
+  const { number: blockNumber } = await cover.provider.getBlock(blockTag);
+  const overrides = { blockTag: blockNumber };
+
+  const productTypesMetadata = await getIpfsMetadata(cover, 'ProductTypeSet', fromBlock, blockNumber);
+  const productsMetadata = await getIpfsMetadata(cover, 'ProductSet', fromBlock, blockNumber);
+
+  const productTypesCount = (await cover.productTypesCount(overrides)).toNumber();
+  const productTypes = [];
+
+  for (let id = 0; id < productTypesCount; id++) {
+    const { claimMethod, gracePeriod } = await cover.productTypes(id, overrides);
+    productTypes.push({
+      id,
+      name: await cover.productTypeNames(id, overrides),
+      claimMethod,
+      gracePeriod,
+      ipfsMetadata: productTypesMetadata[id] || '',
+    });
+  }
+
+  const products = [];
+  const productsCount = (await cover.productsCount(overrides)).toNumber();
+
+  for (let id = 0; id < productsCount; id++) {
+    const product = await cover.products(id, overrides);
+    products.push({
+      id,
+      name: await cover.productNames(id, overrides),
+      productType: product.productType,
+      yieldTokenAddress: getAddress(product.yieldTokenAddress),
+      coverAssets: product.coverAssets,
+      initialPriceRatio: product.initialPriceRatio,
+      capacityReductionRatio: product.capacityReductionRatio,
+      isDeprecated: product.isDeprecated,
+      useFixedPrice: product.useFixedPrice,
+      ipfsMetadata: productsMetadata[id] || '',
+      allowedPools: await getAllowedPools(cover, id, blockNumber),
+    });
+  }
+
+  return { blockNumber, productTypes, products };
+};
+
+module.exports = {
+  getAllowedPools,
+  buildProductsSnapshot,
+};
@@ -0,0 +1,583 @@
+const assert = require('assert');
+const { BigNumber } = require('ethers');
+
+const ONE_ETHER = BigNumber.from('1000000000000000000');
+const ether = amount => ONE_ETHER.mul(amount);
+
+// mirrors the constants in Ramm.sol
+const LIQ_SPEED_PERIOD = BigNumber.from(24 * 3600);
+const RATCHET_PERIOD = BigNumber.from(24 * 3600);
+const RATCHET_DENOMINATOR = BigNumber.from(10000);
+const PRICE_BUFFER = BigNumber.from(100);
+const PRICE_BUFFER_DENOMINATOR = BigNumber.from(10000);
+const GRANULARITY = 3;
+const PERIOD_SIZE = 3 * 24 * 3600;
+
+const FAST_LIQUIDITY_SPEED = ether(1500);
+const TARGET_LIQUIDITY = ether(5000);
+const LIQ_SPEED_A = ether(100);
+const LIQ_SPEED_B = ether(100);
+const NORMAL_RATCHET_SPEED = BigNumber.from(400);
+const FAST_RATCHET_SPEED = BigNumber.from(5000);
+
+const UINT112_MODULO = BigNumber.from(2).pow(112);
+const UINT256_MODULO = BigNumber.from(2).pow(256);
+
+const min = (a, b) => (BigNumber.from(a).lte(b) ? BigNumber.from(a) : BigNumber.from(b));
+const max = (a, b) => (BigNumber.from(a).gte(b) ? BigNumber.from(a) : BigNumber.from(b));
+
+const divCeil = (a, b) => {
+  a = BigNumber.from(a);
+  const result = a.div(b);
+  return a.mod(b).isZero() ? result : result.add(1);
+};
+
+/**
+ * Normalizes a State struct as returned by Ramm.loadState or Ramm._getReserves
+ *
+ * @param {object} state - The state struct (ethers Result or plain object)
+ * @return {object} The state with all fields as BigNumbers
+ */
+const toState = state => ({
+  nxmA: BigNumber.from(state.nxmA),
+  nxmB: BigNumber.from(state.nxmB),
+  eth: BigNumber.from(state.eth),
+  budget: BigNumber.from(state.budget),
+  ratchetSpeedB: BigNumber.from(state.ratchetSpeedB),
+  timestamp: BigNumber.from(state.timestamp),
+});
+
+/**
+ * Returns the ratchet speed below book value for the given budget.
+ * The contract doesn't store the speed, Ramm.loadState derives it from the budget.
+ *
+ * @param {BigNumberish} budget - The remaining ETH budget
+ * @return {BigNumber} The ratchet speed
+ */
+const getRatchetSpeedB = budget => (BigNumber.from(budget).isZero() ? NORMAL_RATCHET_SPEED : FAST_RATCHET_SPEED);
+
+/**
+ * Builds a State from the values returned by Ramm.getReserves at the given block timestamp
+ *
+ * @param {object} reserves - The getReserves result: { _ethReserve, nxmA, nxmB, _budget }
+ * @param {BigNumberish} timestamp - The timestamp of the block getReserves was called at
+ * @return {object} The state
+ */
+const stateFromReserves = ({ _ethReserve, nxmA, nxmB, _budget }, timestamp) =>
+  toState({
+    nxmA,
+    nxmB,
+    eth: _ethReserve,
+    budget: _budget,
+    ratchetSpeedB: getRatchetSpeedB(_budget),
+    timestamp,
+  });
+
+const toObservation = observation => ({
+  timestamp: BigNumber.from(observation.timestamp),
+  priceCumulativeAbove: BigNumber.from(observation.priceCumulativeAbove),
+  priceCumulativeBelow: BigNumber.from(observation.priceCumulativeBelow),
+});
+
+const toContext = context => ({
+  capital: BigNumber.from(context.capital),
+  supply: BigNumber.from(context.supply),
+  mcr: BigNumber.from(context.mcr),
+});
+
+const calculateInjected = (eth, budget, context, elapsed) => {
+  const timeLeftOnBudget = budget.mul(LIQ_SPEED_PERIOD).div(FAST_LIQUIDITY_SPEED);
+  const maxToInject = context.capital.gt(context.mcr.add(TARGET_LIQUIDITY))
+    ? min(TARGET_LIQUIDITY.sub(eth), context.capital.sub(context.mcr).sub(TARGET_LIQUIDITY))
+    : BigNumber.from(0);
+
+  if (elapsed.lte(timeLeftOnBudget)) {
+    return min(elapsed.mul(FAST_LIQUIDITY_SPEED).div(LIQ_SPEED_PERIOD), maxToInject);
+  }
+
+  const injectedFast = timeLeftOnBudget.mul(FAST_LIQUIDITY_SPEED).div(LIQ_SPEED_PERIOD);
+  const injectedSlow = elapsed.sub(timeLeftOnBudget).mul(LIQ_SPEED_B).div(LIQ_SPEED_PERIOD);
+
+  return min(maxToInject, injectedFast.add(injectedSlow));
+};
+
+const adjustEth = (eth, budget, context, elapsed) => {
+  let injected = BigNumber.from(0);
+  let extracted = BigNumber.from(0);
+
+  if (eth.lt(TARGET_LIQUIDITY)) {
+    injected = calculateInjected(eth, budget, context, elapsed);
+    eth = eth.add(injected);
+    budget = budget.gt(injected) ? budget.sub(injected) : BigNumber.from(0);
+  } else {
+    extracted = min(elapsed.mul(LIQ_SPEED_A).div(LIQ_SPEED_PERIOD), eth.sub(TARGET_LIQUIDITY));
+    eth = eth.sub(extracted);
+  }
+
+  return { eth, budget, injected, extracted };
+};
+
+const calculateNxm = (state, eth, elapsed, context, isAbove) => {
+  const stateNxm = isAbove ? state.nxmA : state.nxmB;
+  const nxm = stateNxm.mul(eth).div(state.eth);
+
+  const buffer = isAbove ? PRICE_BUFFER_DENOMINATOR.add(PRICE_BUFFER) : PRICE_BUFFER_DENOMINATOR.sub(PRICE_BUFFER);
+  const bufferedCapital = context.capital.mul(buffer).div(PRICE_BUFFER_DENOMINATOR);
+  const bookValueNxm = eth.mul(context.supply).div(bufferedCapital);
+
+  if (isAbove) {
+    const ratchet = bufferedCapital
+      .mul(nxm)
+      .mul(elapsed)
+      .mul(NORMAL_RATCHET_SPEED)
+      .div(RATCHET_PERIOD)
+      .div(RATCHET_DENOMINATOR);
+
+    if (bufferedCapital.mul(nxm).add(ratchet).gt(eth.mul(context.supply))) {
+      return bookValueNxm;
+    }
+
+    const nxmDrop = context.capital
+      .mul(nxm)
+      .mul(elapsed)
+      .mul(NORMAL_RATCHET_SPEED)
+      .div(context.supply)
+      .div(RATCHET_PERIOD)
+      .div(RATCHET_DENOMINATOR);
+
+    assert(eth.gt(nxmDrop), 'Ratchet above underflow');
+    return eth.mul(nxm).div(eth.sub(nxmDrop));
+  }
+
+  const ratchet = context.capital
+    .mul(nxm)
+    .mul(elapsed)
+    .mul(state.ratchetSpeedB)
+    .div(RATCHET_PERIOD)
+    .div(RATCHET_DENOMINATOR);
+
+  if (bufferedCapital.mul(nxm).lt(eth.mul(context.supply).add(ratchet))) {
+    return bookValueNxm;
+  }
+
+  const nxmIncrease = context.capital
+    .mul(nxm)
+    .mul(elapsed)
+    .mul(state.ratchetSpeedB)
+    .div(context.supply)
+    .div(RATCHET_PERIOD)
+    .div(RATCHET_DENOMINATOR);
+
+  return eth.mul(nxm).div(eth.add(nxmIncrease));
+};
+
+// off-chain equivalent of Ramm._getReserves, the ratchet speed is carried over like the contract does
+const calculateReserves = (state, context, timestamp) => {
+  state = toState(state);
+  context = toContext(context);
+  timestamp = BigNumber.from(timestamp);
+
+  const elapsed = timestamp.sub(state.timestamp);
+  assert(elapsed.gte(0), 'Timestamp is before the state timestamp');
+
+  const { eth, budget, injected, extracted } = adjustEth(state.eth, state.budget, context, elapsed);
+
+  const nxmA = calculateNxm(state, eth, elapsed, context, true);
+  const nxmB = calculateNxm(state, eth, elapsed, context, false);
+
+  return {
+    state: { nxmA, nxmB, eth, budget, ratchetSpeedB: state.ratchetSpeedB, timestamp },
+    injected,
+    extracted,
+  };
+};
+
+/**
+ * Projects the RAMM state forward in time, applying liquidity injection/extraction and the ratchets.
+ * Off-chain equivalent of Ramm._getReserves, except the ratchet speed of the returned state is derived
+ * from the new budget, as Ramm.loadState would once the state is stored.
+ *
+ * @param {object} state - The state to project from (see toState)
+ * @param {object} context - The protocol context: { capital, supply, mcr }
+ * @param {BigNumberish} timestamp - The timestamp to project to
+ * @return {object} The projected state and the injected and extracted ETH amounts
+ */
+const getReserves = (state, context, timestamp) => {
+  const reserves = calculateReserves(state, context, timestamp);
+  const { budget } = reserves.state;
+  return { ...reserves, state: { ...reserves.state, ratchetSpeedB: getRatchetSpeedB(budget) } };
+};
+
+const getSpotPrices = state => ({
+  spotPriceA: ONE_ETHER.mul(state.eth).div(state.nxmA),
+  spotPriceB: ONE_ETHER.mul(state.eth).div(state.nxmB),
+});
+
+const getBookValue = ({ capital, supply }) => ONE_ETHER.mul(capital).div(supply);
+
+/* ========== ORACLE ========== */
+
+const observationIndexOf = timestamp => divCeil(timestamp, PERIOD_SIZE).mod(GRANULARITY).toNumber();
+
+const calculateTimeOnRatchetAndBV = (previousState, timeElapsed, ratchetSpeedB, supply, capital, isAbove) => {
+  const prevNxm = isAbove ? previousState.nxmA : previousState.nxmB;
+  const currentRatchetSpeed = isAbove ? NORMAL_RATCHET_SPEED : ratchetSpeedB;
+  const bufferMultiplier = isAbove
+    ? PRICE_BUFFER_DENOMINATOR.add(PRICE_BUFFER)
+    : PRICE_BUFFER_DENOMINATOR.sub(PRICE_BUFFER);
+
+  const ethTerm = previousState.eth.mul(supply);
+  const nxmTerm = bufferMultiplier.mul(capital).mul(prevNxm).div(PRICE_BUFFER_DENOMINATOR);
+
+  const innerLeft = isAbove ? ethTerm : nxmTerm;
+  const innerRight = isAbove ? nxmTerm : ethTerm;
+  const inner = innerLeft.gt(innerRight) ? innerLeft.sub(innerRight) : BigNumber.from(0);
+
+  const maxTimeOnRatchet = inner.isZero()
+    ? BigNumber.from(0)
+    : inner.mul(RATCHET_DENOMINATOR).mul(RATCHET_PERIOD).div(capital.mul(prevNxm).mul(currentRatchetSpeed));
+
+  const timeOnRatchet = min(timeElapsed, maxTimeOnRatchet);
+  return { timeOnRatchet, timeOnBV: timeElapsed.sub(timeOnRatchet) };
+};
+
+const calculatePriceCumulative = (previousState, state, timeElapsed, capital, supply, isAbove) => {
+  const { timeOnRatchet, timeOnBV } = calculateTimeOnRatchetAndBV(
+    previousState,
+    timeElapsed,
+    state.ratchetSpeedB,
+    supply,
+    capital,
+    isAbove,
+  );
+
+  let cumulativePrice = BigNumber.from(0);
+
+  if (!timeOnRatchet.isZero()) {
+    const prevNxm = isAbove ? previousState.nxmA : previousState.nxmB;
+    const currentNxm = isAbove ? state.nxmA : state.nxmB;
+    const onRatchet = ONE_ETHER.mul(previousState.eth.mul(currentNxm).add(state.eth.mul(prevNxm)))
+      .mul(timeOnRatchet)
+      .div(prevNxm.mul(currentNxm).mul(2));
+    cumulativePrice = cumulativePrice.add(onRatchet);
+  }
+
+  if (!timeOnBV.isZero()) {
+    const bufferMultiplier = isAbove
+      ? PRICE_BUFFER_DENOMINATOR.add(PRICE_BUFFER)
+      : PRICE_BUFFER_DENOMINATOR.sub(PRICE_BUFFER);
+    const onBV = ONE_ETHER.mul(timeOnBV).mul(capital).mul(bufferMultiplier).div(supply.mul(PRICE_BUFFER_DENOMINATOR));
+    cumulativePrice = cumulativePrice.add(onBV);
+  }
+
+  return cumulativePrice;
+};
+
+// off-chain equivalent of Ramm.getObservation
+const getObservation = (previousState, state, previousObservation, capital, supply) => {
+  const timeElapsed = state.timestamp.sub(previousState.timestamp);
+  const priceCumulativeAbove = calculatePriceCumulative(previousState, state, timeElapsed, capital, supply, true);
+  const priceCumulativeBelow = calculatePriceCumulative(previousState, state, timeElapsed, capital, supply, false);
+
+  // cumulative prices are stored as uint112 and are allowed to overflow
+  return {
+    timestamp: state.timestamp,
+    priceCumulativeAbove: priceCumulativeAbove.add(previousObservation.priceCumulativeAbove).mod(UINT112_MODULO),
+    priceCumulativeBelow: priceCumulativeBelow.add(previousObservation.priceCumulativeBelow).mod(UINT112_MODULO),
+  };
+};
+
+/**
+ * Calculates the observations the contract would store at the given timestamp.
+ * Off-chain equivalent of Ramm._updateTwap.
+ *
+ * @param {object} initialState - The last stored state
+ * @param {Array} observations - The 3 stored observations
+ * @param {object} context - The protocol context: { capital, supply, mcr }
+ * @param {BigNumberish} timestamp - The timestamp to project to
+ * @return {Array} The 3 updated observations
+ */
+const updateTwap = (initialState, observations, context, timestamp) => {
+  initialState = toState(initialState);
+  observations = observations.map(toObservation);
+  context = toContext(context);
+  timestamp = BigNumber.from(timestamp);
+
+  const endIdx = divCeil(timestamp, PERIOD_SIZE).toNumber();
+
+  let previousState = initialState;
+  let previousObservation = observations[observationIndexOf(initialState.timestamp)];
+  const newObservations = [];
+
+  for (let idx = endIdx - 2; idx <= endIdx; idx++) {
+    const observationTimestamp = min(timestamp, BigNumber.from(idx).mul(PERIOD_SIZE));
+    const observationIndex = idx % GRANULARITY;
+
+    if (observationTimestamp.lte(previousState.timestamp)) {
+      newObservations[observationIndex] = observations[observationIndex];
+      continue;
+    }
+
+    const { state } = calculateReserves(previousState, context, observationTimestamp);
+    newObservations[observationIndex] = getObservation(
+      previousState,
+      state,
+      previousObservation,
+      context.capital,
+      context.supply,
+    );
+
+    previousState = state;
+    previousObservation = newObservations[observationIndex];
+  }
+
+  return newObservations;
+};
+
+// off-chain equivalent of Ramm._getInternalPrice
+const getInternalPrice = (state, observations, capital, supply, timestamp) => {
+  state = toState(state);
+  observations = observations.map(toObservation);
+  capital = BigNumber.from(capital);
+  supply = BigNumber.from(supply);
+
+  const currentIdx = observationIndexOf(timestamp);
+  const firstObservation = observations[(currentIdx + 1) % GRANULARITY];
+  const currentObservation = observations[currentIdx];
+
+  const { spotPriceA, spotPriceB } = getSpotPrices(state);
+
+  // the contract does these subtractions unchecked, the uint112 differences wrap around
+  const elapsed = BigNumber.from(timestamp).sub(firstObservation.timestamp);
+  const averagePriceA = currentObservation.priceCumulativeAbove
+    .sub(firstObservation.priceCumulativeAbove)
+    .add(UINT112_MODULO)
+    .mod(UINT112_MODULO)
+    .div(elapsed);
+  const averagePriceB = currentObservation.priceCumulativeBelow
+    .sub(firstObservation.priceCumulativeBelow)
+    .add(UINT112_MODULO)
+    .mod(UINT112_MODULO)
+    .div(elapsed);
+
+  const priceA = min(averagePriceA, spotPriceA);
+  const priceB = max(averagePriceB, spotPriceB);
+  const internalPrice = priceA
+    .add(priceB)
+    .sub(ONE_ETHER.mul(capital).div(supply))
+    .add(UINT256_MODULO)
+    .mod(UINT256_MODULO);
+
+  const maxPrice = ONE_ETHER.mul(3).mul(capital).div(supply); // 300% BV
+  const minPrice = ONE_ETHER.mul(35).mul(capital).div(supply).div(100); // 35% BV
+
+  return max(min(internalPrice, maxPrice), minPrice);
+};
+
+/* ========== SWAPS ========== */
+
+/**
+ * Loads everything needed to quote swaps off-chain from the deployed contracts in one go.
+ *
+ * @param {object} contracts - The { ramm, pool, tokenController, mcr } ethers contract instances
+ * @param {string|number} blockTag - The block to read the data at
+ * @return {Promise<object>} The RAMM snapshot to pass to projectState and the quote functions
+ */
+const fetchRammState = async ({ ramm, pool, tokenController, mcr }, blockTag = 'latest') => {
+  const overrides = { blockTag };
+  const [state, observations, context, limits, swapPaused] = await Promise.all([
+    ramm.loadState(overrides),
+    Promise.all([0, 1, 2].map(i => ramm.observations(i, overrides))),
+    Promise.all([
+      pool.getPoolValueInEth(overrides),
+      tokenController.totalSupply(overrides),
+      mcr.getMCR(overrides),
+    ]).then(([capital, supply, mcr]) => ({ capital, supply, mcr })),
+    Promise.all([
+      ramm.ethReleased(overrides),
+      ramm.ethLimit(overrides),
+      ramm.nxmReleased(overrides),
+      ramm.nxmLimit(overrides),
+    ]).then(([ethReleased, ethLimit, nxmReleased, nxmLimit]) => ({ ethReleased, ethLimit, nxmReleased, nxmLimit })),
+    ramm.swapPaused(overrides),
+  ]);
+
+  return {
+    state: toState(state),
+    observations: observations.map(toObservation),
+    context: toContext(context),
+    ethReleased: BigNumber.from(limits.ethReleased),
+    ethLimit: BigNumber.from(limits.ethLimit),
+    nxmReleased: BigNumber.from(limits.nxmReleased),
+    nxmLimit: BigNumber.from(limits.nxmLimit),
+    swapPaused,
+  };
+};
+
+/**
+ * Projects a RAMM snapshot to the given timestamp without any swap
+ *
+ * @param {object} rammState - The snapshot returned by fetchRammState
+ * @param {BigNumberish} timestamp - The timestamp to project to
+ * @return {object} The projected state, observations, spot prices, book value and internal price
+ */
+const projectState = (rammState, timestamp) => {
+  const { context } = rammState;
+  const { state, injected, extracted } = getReserves(rammState.state, context, timestamp);
+  const observations = updateTwap(rammState.state, rammState.observations, context, timestamp);
+
+  return {
+    state,
+    observations,
+    injected,
+    extracted,
+    ...getSpotPrices(state),
+    bookValue: getBookValue(context),
+    internalPrice: getInternalPrice(state, observations, context.capital, context.supply, timestamp),
+  };
+};
+
+const swapError = (name, message) => {
+  const error = new Error(message ? `${name}: ${message}` : name);
+  error.name = name;
+  return error;
+};
+
+/**
+ * Quotes the NXM received for the given ETH amount if swapped at the given timestamp.
+ * Throws errors named after the custom errors the contract would revert with.
+ *
+ * @param {BigNumberish} ethIn - The ETH amount to swap
+ * @param {object} rammState - The snapshot returned by fetchRammState
+ * @param {BigNumberish} timestamp - The timestamp of the block the swap would be included in
+ * @return {object} The NXM out amount and the RAMM snapshot after the swap, including the pool capital and NXM supply
+ */
+const quoteEthForNxm = (ethIn, rammState, timestamp) => {
+  ethIn = BigNumber.from(ethIn);
+  assert(ethIn.gt(0), 'ETH amount must be greater than 0');
+
+  if (rammState.swapPaused) {
+    throw swapError('SwapPaused');
+  }
+
+  const { state, injected, extracted } = getReserves(rammState.state, rammState.context, timestamp);
+  const observations = updateTwap(rammState.state, rammState.observations, rammState.context, timestamp);
+
+  const k = state.eth.mul(state.nxmA);
+  const newEth = state.eth.add(ethIn);
+  const newNxmA = k.div(newEth);
+  const newNxmB = state.nxmB.mul(newEth).div(state.eth);
+  const nxmOut = state.nxmA.sub(newNxmA);
+
+  const nxmReleased = BigNumber.from(rammState.nxmReleased).add(nxmOut);
+  const nxmLimit = BigNumber.from(rammState.nxmLimit);
+
+  if (nxmLimit.gt(0) && nxmReleased.gt(nxmLimit.mul(ONE_ETHER))) {
+    throw swapError('NxmCircuitBreakerHit', `${nxmReleased} NXM released exceeds the limit of ${nxmLimit} NXM`);
+  }
+
+  return {
+    amountOut: nxmOut,
+    injected,
+    extracted,
+    rammState: {
+      ...rammState,
+      state: { ...state, nxmA: newNxmA, nxmB: newNxmB, eth: newEth },
+      observations,
+      // the pool receives the ETH and the NXM out is minted
+      context: {
+        ...rammState.context,
+        capital: BigNumber.from(rammState.context.capital).add(ethIn),
+        supply: BigNumber.from(rammState.context.supply).add(nxmOut),
+      },
+      nxmReleased,
+    },
+  };
+};
+
+/**
+ * Quotes the ETH received for the given NXM amount if swapped at the given timestamp.
+ * Throws errors named after the custom errors the contract would revert with.
+ *
+ * @param {BigNumberish} nxmIn - The NXM amount to swap
+ * @param {object} rammState - The snapshot returned by fetchRammState
+ * @param {BigNumberish} timestamp - The timestamp of the block the swap would be included in
+ * @return {object} The ETH out amount and the RAMM snapshot after the swap, including the pool capital and NXM supply
+ */
+const quoteNxmForEth = (nxmIn, rammState, timestamp) => {
+  nxmIn = BigNumber.from(nxmIn);
+  assert(nxmIn.gt(0), 'NXM amount must be greater than 0');
+
+  if (rammState.swapPaused) {
+    throw swapError('SwapPaused');
+  }
+
+  const { context } = rammState;
+  const { state, injected, extracted } = getReserves(rammState.state, context, timestamp);
+  const observations = updateTwap(rammState.state, rammState.observations, context, timestamp);
+
+  const k = state.eth.mul(state.nxmB);
+  const newNxmB = state.nxmB.add(nxmIn);
+  const newEth = k.div(newNxmB);
+  const newNxmA = state.nxmA.mul(newEth).div(state.eth);
+  const ethOut = state.eth.sub(newEth);
+
+  if (BigNumber.from(context.capital).sub(ethOut).lt(context.mcr)) {
+    throw swapError('NoSwapsInBufferZone');
+  }
+
+  const ethReleased = BigNumber.from(rammState.ethReleased).add(ethOut);
+  const ethLimit = BigNumber.from(rammState.ethLimit);
+
+  if (ethLimit.gt(0) && ethReleased.gt(ethLimit.mul(ONE_ETHER))) {
+    throw swapError('EthCircuitBreakerHit', `${ethReleased} ETH released exceeds the limit of ${ethLimit} ETH`);
+  }
+
+  return {
+    amountOut: ethOut,
+    injected,
+    extracted,
+    rammState: {
+      ...rammState,
+      state: { ...state, nxmA: newNxmA, nxmB: newNxmB, eth: newEth },
+      observations,
+      // the pool sends the ETH out and the NXM in is burned
+      context: {
+        ...context,
+        capital: BigNumber.from(context.capital).sub(ethOut),
+        supply: BigNumber.from(context.supply).sub(nxmIn),
+      },
+      ethReleased,
+    },
+  };
+};
+
+module.exports = {
+  LIQ_SPEED_PERIOD,
+  RATCHET_PERIOD,
+  RATCHET_DENOMINATOR,
+  PRICE_BUFFER,
+  PRICE_BUFFER_DENOMINATOR,
+  GRANULARITY,
+  PERIOD_SIZE,
+  FAST_LIQUIDITY_SPEED,
+  TARGET_LIQUIDITY,
+  LIQ_SPEED_A,
+  LIQ_SPEED_B,
+  NORMAL_RATCHET_SPEED,
+  FAST_RATCHET_SPEED,
+  toState,
+  getRatchetSpeedB,
+  stateFromReserves,
+  getReserves,
+  getSpotPrices,
+  getBookValue,
+  observationIndexOf,
+  getObservation,
+  updateTwap,
+  getInternalPrice,
+  fetchRammState,
+  projectState,
+  quoteEthForNxm,
+  quoteNxmForEth,
+};
@@ -0,0 +1,127 @@
+const { BigNumber } = require('ethers');
+
+// mirrors the constants in StakingPool.sol
+const BUCKET_DURATION = 28 * 24 * 3600;
+const TRANCHE_DURATION = 91 * 24 * 3600;
+const MAX_ACTIVE_TRANCHES = 8; // 7 whole quarters + 1 partial quarter
+
+// accepts numbers, strings and BigNumbers, returns a js number
+const toSeconds = value => BigNumber.from(value).toNumber();
+
+const divCeil = (a, b) => Math.floor((a + b - 1) / b);
+
+/**
+ * Returns the id of the tranche the timestamp falls into, i.e. the first active tranche at that time.
+ *
+ * @param {BigNumberish} timestamp - Unix timestamp in seconds
+ * @return {number} The tranche id
+ */
+const getTrancheId = timestamp => Math.floor(toSeconds(timestamp) / TRANCHE_DURATION);
+
+/**
+ * Returns the id of the bucket the timestamp falls into.
+ *
+ * @param {BigNumberish} timestamp - Unix timestamp in seconds
+ * @return {number} The bucket id
+ */
+const getBucketId = timestamp => Math.floor(toSeconds(timestamp) / BUCKET_DURATION);
+
+const getTrancheStart = trancheId => toSeconds(trancheId) * TRANCHE_DURATION;
+const getBucketStart = bucketId => toSeconds(bucketId) * BUCKET_DURATION;
+
+// a tranche or bucket expires at the start of the next one
+const getTrancheExpiration = trancheId => (toSeconds(trancheId) + 1) * TRANCHE_DURATION;
+const getBucketExpiration = bucketId => (toSeconds(bucketId) + 1) * BUCKET_DURATION;
+
+/**
+ * Returns the seconds left until the tranche expires, zero if already expired.
+ * Same as StakingPool.getTimeLeftOfTranche.
+ *
+ * @param {BigNumberish} trancheId - The tranche id
+ * @param {BigNumberish} timestamp - Unix timestamp in seconds
+ * @return {number} Seconds until expiration
+ */
+const getTimeLeftOfTranche = (trancheId, timestamp) =>
+  Math.max(getTrancheExpiration(trancheId) - toSeconds(timestamp), 0);
+
+const getTimeLeftOfBucket = (bucketId, timestamp) => Math.max(getBucketExpiration(bucketId) - toSeconds(timestamp), 0);
+
+const isTrancheExpired = (trancheId, timestamp) => getTrancheExpiration(trancheId) <= toSeconds(timestamp);
+const isBucketExpired = (bucketId, timestamp) => getBucketExpiration(bucketId) <= toSeconds(timestamp);
+
+/**
+ * Returns the first tranche that can back a cover bought at the given timestamp.
+ * The tranche must not expire before the cover and its grace period end.
+ *
+ * @param {BigNumberish} timestamp - Unix timestamp in seconds at which the cover is bought
+ * @param {BigNumberish} period - Cover period in seconds
+ * @param {BigNumberish} gracePeriod - Product type grace period in seconds
+ * @return {number} The tranche id
+ */
+const getFirstTrancheIdForCover = (timestamp, period, gracePeriod) =>
+  getTrancheId(toSeconds(timestamp) + toSeconds(period) + toSeconds(gracePeriod));
+
+/**
+ * Returns the bucket in which a cover bought at the given timestamp expires.
+ * Covers are expired at bucket granularity, rounding the expiration up.
+ *
+ * @param {BigNumberish} timestamp - Unix timestamp in seconds at which the cover is bought
+ * @param {BigNumberish} period - Cover period in seconds
+ * @return {number} The bucket id
+ */
+const getCoverExpirationBucketId = (timestamp, period) =>
+  divCeil(toSeconds(timestamp) + toSeconds(period), BUCKET_DURATION);
+
+/**
+ * Returns the range of tranches a deposit can target at the given timestamp.
+ * Mirrors the checks in StakingPool.depositTo.
+ *
+ * @param {BigNumberish} timestamp - Unix timestamp in seconds
+ * @return {{firstActiveTrancheId: number, maxTrancheId: number}} The first and last valid tranche ids
+ */
+const getActiveTrancheRange = timestamp => {
+  const firstActiveTrancheId = getTrancheId(timestamp);
+  const maxTrancheId = firstActiveTrancheId + MAX_ACTIVE_TRANCHES - 1;
+  return { firstActiveTrancheId, maxTrancheId };
+};
+
+/**
+ * Lists the tranches a deposit can target at the given timestamp.
+ * When a cover period is passed, only the tranches that can also back that cover are returned.
+ *
+ * @param {BigNumberish} timestamp - Unix timestamp in seconds
+ * @param {BigNumberish} [period] - Cover period in seconds
+ * @param {BigNumberish} [gracePeriod] - Product type grace period in seconds
+ * @return {number[]} The tranche ids
+ */
+const getDepositTrancheIds = (timestamp, period = 0, gracePeriod = 0) => {
+  const { maxTrancheId } = getActiveTrancheRange(timestamp);
+  const firstTrancheId = getFirstTrancheIdForCover(timestamp, period, gracePeriod);
+  const trancheIds = [];
+
+  for (let trancheId = firstTrancheId; trancheId <= maxTrancheId; trancheId++) {
+    trancheIds.push(trancheId);
+  }
+
+  return trancheIds;
+};
+
+module.exports = {
+  BUCKET_DURATION,
+  TRANCHE_DURATION,
+  MAX_ACTIVE_TRANCHES,
+  getTrancheId,
+  getBucketId,
+  getTrancheStart,
+  getBucketStart,
+  getTrancheExpiration,
+  getBucketExpiration,
+  getTimeLeftOfTranche,
+  getTimeLeftOfBucket,
+  isTrancheExpired,
+  isBucketExpired,
+  getFirstTrancheIdForCover,
+  getCoverExpirationBucketId,
+  getActiveTrancheRange,
+  getDepositTrancheIds,
+};
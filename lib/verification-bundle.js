@@ -0,0 +1,131 @@
+const { ethers } = require('ethers');
+
+const { maskRanges } = require('./bytecode');
+
+const { getAddress, keccak256 } = ethers.utils;
+
+// keeps the bytecode, the abi and the metadata, which is all an explorer needs to verify a contract
+const OUTPUT_SELECTION = { '*': { '*': ['abi', 'evm.bytecode', 'evm.deployedBytecode', 'metadata'] } };
+
+const getImmutableRanges = ({ immutableReferences = {} }) => Object.values(immutableReferences).flat();
+
+/**
+ * Replaces the library placeholders of a bytecode with the library addresses.
+ *
+ * @param {string} bytecode - The bytecode, as output by the compiler
+ * @param {object} linkReferences - The link references of the bytecode, by source and library name
+ * @param {object} libraries - The library addresses, by fully qualified name
+ * @return {string} The linked bytecode
+ */
+const linkBytecode = (bytecode, linkReferences, libraries) => {
+  let linked = bytecode.startsWith('0x') ? bytecode : `0x${bytecode}`;
+
+  for (const [sourceName, sourceLibraries] of Object.entries(linkReferences)) {
+    for (const [libraryName, ranges] of Object.entries(sourceLibraries)) {
+      const address = libraries[`${sourceName}:${libraryName}`];
+
+      if (!address) {
+        throw new Error(`Missing address of the ${sourceName}:${libraryName} library`);
+      }
+
+      for (const { start, length } of ranges) {
+        const from = 2 + start * 2;
+        linked = linked.slice(0, from) + address.slice(2).toLowerCase() + linked.slice(from + length * 2);
+      }
+    }
+  }
+
+  return linked;
+};
+
+// hardhat accepts both the short and the fully qualified name of the libraries
+const resolveLibraries = (linkReferences, libraries = {}) => {
+  const resolved = {};
+
+  for (const [sourceName, sourceLibraries] of Object.entries(linkReferences)) {
+    for (const libraryName of Object.keys(sourceLibraries)) {
+      const fqName = `${sourceName}:${libraryName}`;
+      const address = libraries[fqName] || libraries[libraryName];
+
+      if (!address) {
+        throw new Error(`Missing address of the ${fqName} library`);
+      }
+
+      resolved[fqName] = getAddress(address);
+    }
+  }
+
+  return resolved;
+};
+
+/**
+ * Builds a self-contained verification bundle of a deployed contract: the standard json input with only the sources
+ * the contract was compiled from, the compiler version, the abi encoded constructor arguments, the linked libraries
+ * and the hash of the runtime bytecode. The immutable variables are set by the constructor, so they are zeroed in
+ * the hashed bytecode and their positions are included in the bundle.
+ *
+ * @param {object} artifacts - The hardhat artifacts
+ * @param {object} contract - The { address, fqName, alias, constructorArgs, libraries } of the deployed contract
+ * @param {string} code - The deployed code, as returned by getCode
+ * @return {Promise<object>} The verification bundle
+ */
+const buildVerificationBundle = async (artifacts, contract, code) => {
+  const { address, fqName, alias, constructorArgs = [], libraries } = contract;
+  const { sourceName, contractName, abi, linkReferences } = await artifacts.readArtifact(fqName);
+  const buildInfo = await artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+
+  const { metadata, evm } = buildInfo.output.contracts[sourceName][contractName];
+  const { sources: usedSources } = JSON.parse(metadata);
+  const sources = Object.keys(usedSources).reduce(
+    (acc, source) => ({ ...acc, [source]: buildInfo.input.sources[source] }),
+    {},
+  );
+
+  const immutableReferences = getImmutableRanges(evm.deployedBytecode);
+
+  return {
+    address: getAddress(address),
+    contract: `${sourceName}:${contractName}`,
+    alias: alias || contractName,
+    compilerVersion: `v${buildInfo.solcLongVersion}`,
+    input: {
+      language: buildInfo.input.language,
+      sources,
+      settings: { ...buildInfo.input.settings, outputSelection: OUTPUT_SELECTION },
+    },
+    constructorArgs: new ethers.utils.Interface(abi).encodeDeploy(constructorArgs),
+    libraries: resolveLibraries(linkReferences, libraries),
+    immutableReferences,
+    runtimeBytecodeHash: keccak256(maskRanges(code, immutableReferences)),
+  };
+};
+
+/**
+ * Compares the runtime bytecode compiled from the input of a bundle with the bytecode hash in the bundle.
+ *
+ * @param {object} bundle - The verification bundle
+ * @param {object} output - The compiler output of the bundle input
+ * @return {object} The { matches, expected, actual } runtime bytecode hashes
+ */
+const checkVerificationBundle = (bundle, output) => {
+  const [sourceName, contractName] = bundle.contract.split(/:(?=[^:]+$)/);
+  const compiled = output.contracts && output.contracts[sourceName] && output.contracts[sourceName][contractName];
+
+  if (!compiled) {
+    const errors = (output.errors || []).filter(({ severity }) => severity === 'error');
+    const reason = errors.map(({ formattedMessage }) => formattedMessage).join('\n');
+    throw new Error(`${bundle.contract} is missing from the compiler output${reason ? `:\n${reason}` : ''}`);
+  }
+
+  const { object, linkReferences = {} } = compiled.evm.deployedBytecode;
+  const linked = linkBytecode(object, linkReferences, bundle.libraries);
+  const actual = keccak256(maskRanges(linked, getImmutableRanges(compiled.evm.deployedBytecode)));
+
+  return { matches: actual === bundle.runtimeBytecodeHash, expected: bundle.runtimeBytecodeHash, actual };
+};
+
+module.exports = {
+  buildVerificationBundle,
+  checkVerificationBundle,
+  linkBytecode,
+};
@@ -1,16 +1,25 @@
 const fs = require('fs');
-const { ethers, network, run, tenderly } = require('hardhat');
+const { artifacts, ethers, network, run, tenderly } = require('hardhat');
 const path = require('path');
 
+const { getContractByCode } = require('../../lib/contract-registry');
+const { loadErrorDecoder } = require('../../lib/errors');
 const { hex } = require('../../lib/helpers');
 const proposalCategories = require('../../lib/proposal-categories');
-const products = require('../v2-migration/output/migratableProducts.json');
+const { getPoolValueInEth, loadProfile } = require('./profile');
 const verifier = require('./verifier')();
-const { setEtherBalance } = require('../../test/utils').evm;
-
-const { AddressZero, MaxUint256, WeiPerEther } = ethers.constants;
-const { parseEther, parseUnits } = ethers.utils;
-const { ABI_DIR, ADDRESSES_FILE, INITIAL_MEMBERS = '' } = process.env;
+const { impersonateAccount, setEtherBalance } = require('../../test/utils').evm;
+
+const { AddressZero, MaxUint256 } = ethers.constants;
+const { parseEther } = ethers.utils;
+const {
+  ABI_DIR,
+  ADDRESSES_FILE,
+  DEPLOYMENT_JOURNAL,
+  DEPLOYMENT_PROFILE = 'local',
+  INITIAL_MEMBERS = '',
+  VERIFICATION_BUNDLE_DIR,
+} = process.env;
 
 if (!ABI_DIR || !ADDRESSES_FILE) {
   console.log('ABI_DIR and ADDRESSES_FILE env vars are required');
@@ -22,95 +31,10 @@ if (network.name === 'tenderly' && typeof tenderly === 'undefined') {
   process.exit(1);
 }
 
-const CAPITAL_POOL_VALUE = parseEther('146000');
-const DAI_ETH_RATE = parseEther('0.00050');
-const POOL_BALANCE_DAI = parseEther('5040000');
-const POOL_BALANCE_ETH = CAPITAL_POOL_VALUE.sub(DAI_ETH_RATE.mul(POOL_BALANCE_DAI).div(WeiPerEther));
-
-const BONDING_CURVE_PRICE = parseEther('0.0286');
-const SPOT_PRICE_B = parseEther('0.01');
-const TOKEN_SUPPLY = parseEther('6760000');
+const journal = require('./journal')(DEPLOYMENT_JOURNAL);
 
 const PROXY_CONTRACT = 'contracts/modules/governance/external/OwnedUpgradeabilityProxy.sol:OwnedUpgradeabilityProxy';
 
-const claimMethod = { claim: 0, incident: 1 };
-const productTypes = [
-  {
-    productTypeName: 'Protocol',
-    productTypeId: MaxUint256,
-    ipfsMetadata: 'protocolCoverIPFSHash',
-    productType: {
-      descriptionIpfsHash: 'protocolCoverIPFSHash',
-      claimMethod: claimMethod.claim,
-      gracePeriod: 30,
-    },
-  },
-  {
-    productTypeName: 'Custody',
-    productTypeId: MaxUint256,
-    ipfsMetadata: 'custodyCoverIPFSHash',
-    productType: {
-      descriptionIpfsHash: 'custodyCoverIPFSHash',
-      claimMethod: claimMethod.claim,
-      gracePeriod: 90,
-    },
-  },
-  {
-    productTypeName: 'Yield Token',
-    productTypeId: MaxUint256,
-    ipfsMetadata: 'yieldTokenCoverIPFSHash',
-    productType: {
-      descriptionIpfsHash: 'yieldTokenCoverIPFSHash',
-      claimMethod: claimMethod.incident,
-      gracePeriod: 14,
-    },
-  },
-  {
-    productTypeName: 'Stakewise ETH2 Staking',
-    productTypeId: MaxUint256,
-    ipfsMetadata: 'eth2slashingCoverIPFSHash',
-    productType: {
-      descriptionIpfsHash: 'eth2slashingCoverIPFSHash',
-      claimMethod: claimMethod.claim,
-      gracePeriod: 30,
-    },
-  },
-  {
-    productTypeName: 'Sherlock',
-    productTypeId: MaxUint256,
-    ipfsMetadata: 'sherlockCoverIPFSHash',
-    productType: {
-      descriptionIpfsHash: 'sherlockCoverIPFSHash',
-      claimMethod: claimMethod.claim,
-      gracePeriod: 30,
-    },
-  },
-];
-
-// TODO: use the name from the productTypes array above
-const productTypeNames = ['protocol', 'custodian', 'token', 'eth2slashing', 'sherlock'];
-
-// source: https://docs.chain.link/docs/price-feeds-migration-august-2020
-const CHAINLINK_DAI_ETH = {
-  mainnet: '0x773616E4d11A78F511299002da57A0a94577F1f4',
-  rinkeby: '0x2bA49Aaa16E6afD2a993473cfB70Fa8559B523cF',
-};
-
-const CHAINLINK_STETH_ETH = {
-  mainnet: '0x716BB759A5f6faCdfF91F0AfB613133d510e1573',
-  rinkeby: '0x525cD3ca0601Ab455af06A4c179C26Ad7da34bA9', // mock, returns price = 1 eth
-};
-
-const CHAINLINK_ETH_USD = {
-  mainnet: '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419',
-  rinkeby: '0x0000000000000000000000000000000000000000', // missing
-};
-
-const CHAINLINK_ENZYME_VAULT = {
-  mainnet: '0xCc72039A141c6e34a779eF93AEF5eB4C82A893c7',
-  rinkeby: '0x0000000000000000000000000000000000000000', // missing
-};
-
 async function main() {
   // Remove verbose logs
   // await network.provider.send('hardhat_setLoggingEnabled', [false]);
@@ -121,27 +45,44 @@ async function main() {
   const [ownerSigner] = await ethers.getSigners();
   const { address: owner } = ownerSigner;
 
+  const profile = loadProfile(DEPLOYMENT_PROFILE);
+
   console.log(`Using network: ${network.name}`);
   console.log(`Using deployer address: ${owner}`);
+  console.log(`Using deployment profile: ${DEPLOYMENT_PROFILE}`);
 
   await setEtherBalance(owner, parseEther('100'));
 
   const OwnedUpgradeabilityProxy = await ethers.getContractFactory('OwnedUpgradeabilityProxy');
 
+  if (journal.completedSteps() > 0) {
+    console.log(`Resuming the deployment from ${DEPLOYMENT_JOURNAL}, ${journal.completedSteps()} steps completed`);
+  }
+
+  // deployment block of each contract deployed by the script
+  const deployBlocks = {};
+
   const deployImmutable = async (contract, constructorArgs = [], options = {}) => {
     const { alias, abiFilename, overrides = {}, libraries } = options;
     const Contract = await ethers.getContractFactory(contract, { libraries });
-    const instance = await Contract.deploy(...constructorArgs, overrides);
-    await instance.deployed();
-    verifier.add(instance.address, contract, { constructorArgs, libraries, alias, abiFilename });
-    return instance;
+    const { address, blockNumber } = await journal.deploy(
+      `deploy ${alias || contract}`,
+      { contract, alias },
+      contract,
+      () => Contract.getDeployTransaction(...constructorArgs, overrides),
+    );
+    deployBlocks[address] = blockNumber;
+    verifier.add(address, contract, { constructorArgs, libraries, alias, abiFilename });
+    return Contract.attach(address);
   };
 
   const deployProxy = async (contract, constructorArgs = [], options = {}) => {
     const { alias, abiFilename, overrides = {}, libraries } = options;
     const impl = await deployImmutable(contract, constructorArgs, { overrides, libraries });
-    const proxy = await OwnedUpgradeabilityProxy.deploy(impl.address);
-    await proxy.deployed();
+    const details = { contract, alias, implementation: impl.address };
+    const proxy = await journal.deploy(`deploy ${alias || contract} proxy`, details, PROXY_CONTRACT, () =>
+      OwnedUpgradeabilityProxy.getDeployTransaction(impl.address),
+    );
     const implFqName = contract;
     const opts = { constructorArgs: [impl.address], abiFilename, alias, isProxy: true, libraries, implFqName };
     verifier.add(proxy.address, PROXY_CONTRACT, opts);
@@ -152,7 +93,12 @@ async function main() {
     const { alias, abiFilename, overrides = {}, libraries } = options;
     const impl = await deployImmutable(contract, constructorArgs, { overrides, libraries });
     const proxy = await ethers.getContractAt('OwnedUpgradeabilityProxy', proxyAddress);
-    await proxy.upgradeTo(impl.address);
+    const details = { type: 'upgrade', contract, alias, address: proxyAddress, implementation: impl.address };
+    await journal.execute(
+      `upgrade ${alias || contract}`,
+      () => proxy.populateTransaction.upgradeTo(impl.address),
+      details,
+    );
     const implFqName = contract;
     const opts = { constructorArgs: [impl.address], alias, abiFilename, isProxy: true, libraries, implFqName };
     verifier.add(proxy.address, PROXY_CONTRACT, opts);
@@ -164,32 +110,54 @@ async function main() {
 
   const transferProxyOwnership = async (proxyAddress, newOwner) => {
     const proxy = await ethers.getContractAt('OwnedUpgradeabilityProxy', proxyAddress);
-    await proxy.transferProxyOwnership(newOwner);
+    await journal.execute(`transfer ${proxyAddress} proxy ownership`, () =>
+      proxy.populateTransaction.transferProxyOwnership(newOwner),
+    );
   };
 
-  console.log('Deploying DAI');
-  const dai = await deployImmutable(
-    'contracts/mocks/Tokens/ERC20MintableDetailed.sol:ERC20MintableDetailed',
-    ['DAI Mock', 'DAI', 18],
-    { alias: 'DAI', abiFilename: 'ERC20' },
-  );
+  const deployAsset = async ({ symbol, address, mock }) => {
+    if (address) {
+      console.log(`Using ${symbol} at ${address}`);
+      return ethers.getContractAt('ERC20Mock', address);
+    }
 
-  console.log('Deploying stETH');
-  const stETH = await deployImmutable(
-    'contracts/mocks/Tokens/ERC20MintableDetailed.sol:ERC20MintableDetailed',
-    ['stETH Mock', 'stETH', 18],
-    { alias: 'stETH', abiFilename: 'ERC20' },
-  );
+    console.log(`Deploying ${symbol}`);
+    return deployImmutable(
+      'contracts/mocks/Tokens/ERC20MintableDetailed.sol:ERC20MintableDetailed',
+      [mock.name, symbol, mock.decimals],
+      { alias: symbol, abiFilename: 'ERC20' },
+    );
+  };
 
-  console.log('Deploying Enzyme Vault');
-  const enzymeVault = await deployImmutable(
-    'contracts/mocks/Tokens/ERC20MintableDetailed.sol:ERC20MintableDetailed',
-    ['enzymeVault Mock', 'enzymeVault', 18],
-    { alias: 'enzymeVault', abiFilename: 'ERC20' },
-  );
+  // returns the address of the price feed, deploying a mock aggregator when the profile doesn't provide one
+  const deployOracle = async ({ alias, address, mock }) => {
+    if (address) {
+      return address;
+    }
+
+    console.log(`Deploying ${alias} aggregator`);
+    const aggregator = await deployImmutable('ChainlinkAggregatorMock', [], {
+      alias,
+      abiFilename: 'EACAggregatorProxy',
+    });
+    await journal.execute(`${alias}.setLatestAnswer`, () =>
+      aggregator.populateTransaction.setLatestAnswer(mock.answer),
+    );
+    await journal.execute(`${alias}.setDecimals`, () => aggregator.populateTransaction.setDecimals(mock.decimals));
+    return aggregator.address;
+  };
+
+  // in the order expected by the LegacyPool constructor
+  const assetTokens = [];
+
+  for (const asset of profile.assets) {
+    assetTokens.push(await deployAsset(asset));
+  }
+
+  const [dai, stETH, enzymeVault] = assetTokens;
 
   console.log('Deploying NXMToken');
-  const tk = await deployImmutable('NXMToken', [owner, TOKEN_SUPPLY]);
+  const tk = await deployImmutable('NXMToken', [owner, profile.tokenSupply]);
 
   console.log('Deploying wNXM');
   await deployImmutable('wNXM', [tk.address]);
@@ -215,7 +183,9 @@ async function main() {
   console.log('Deploying testnet LegacyQuotationData');
   // Replaced LegacyQuotationData with TestnetQuotationData for ability to create old v1 covers locally
   const qd = await deployImmutable('TestnetQuotationData', [owner, owner]);
-  await qd.changeMasterAddress(master.address);
+  await journal.execute('LegacyQuotationData.changeMasterAddress', () =>
+    qd.populateTransaction.changeMasterAddress(master.address),
+  );
 
   console.log('Deploying disposable LegacyGateway');
   const gw = await deployProxy('DisposableGateway', [qd.address, tk.address]);
@@ -279,12 +249,24 @@ async function main() {
     stakingPool.address,
   ]);
 
+  // the rates of the existing oracles are read from the chain, the mock ones are in the profile
+  const rates = {};
+
+  for (const { symbol, oracle } of profile.assets) {
+    if (oracle.address) {
+      const aggregator = await ethers.getContractAt('Aggregator', oracle.address);
+      rates[symbol] = await aggregator.latestAnswer();
+    }
+  }
+
   console.log('Deploying Ramm');
-  const ramm = await deployProxy('DisposableRamm', [SPOT_PRICE_B]);
-  await ramm.initialize(
-    POOL_BALANCE_ETH, // FIXME: need to pass pool value, not just eth balance
-    TOKEN_SUPPLY, // here we don't check it actually matches, make sure it's correct
-    BONDING_CURVE_PRICE,
+  const ramm = await deployProxy('DisposableRamm', [profile.ramm.spotPriceB]);
+  await journal.execute('Ramm.initialize', () =>
+    ramm.populateTransaction.initialize(
+      getPoolValueInEth(profile, rates),
+      profile.members.reduce((supply, { nxm }) => supply.add(nxm), profile.tokenSupply),
+      profile.ramm.bondingCurvePrice,
+    ),
   );
 
   console.log('Deploying CoverViewer');
@@ -297,7 +279,8 @@ async function main() {
   const cg = await deployProxy('YieldTokenIncidents', [tk.address, coverNFT.address]);
   const ci = await deployProxy('IndividualClaims', [tk.address, coverNFT.address]);
   const assessment = await deployProxy('Assessment', [tk.address]);
-  const coverMigrator = await deployProxy('CoverMigrator', [qd.address, productsV1.address]);
+  // CoverMigrator is registered as a replaceable contract, not as a proxy
+  const coverMigrator = await deployImmutable('CoverMigrator', [qd.address, productsV1.address]);
 
   console.log('Deploying legacy claims data and claim proofs contract');
   await deployImmutable('TestnetClaimProofs');
@@ -316,71 +299,40 @@ async function main() {
     '0',
   ]);
 
-  if (typeof CHAINLINK_DAI_ETH[network.name] === 'undefined') {
-    console.log('Deploying chainlink dai-eth aggregator');
-    const chainlinkDaiMock = await deployImmutable('ChainlinkAggregatorMock', [], {
-      alias: 'Chainlink-DAI-ETH',
-      abiFilename: 'EACAggregatorProxy',
-    });
-    await chainlinkDaiMock.setLatestAnswer(DAI_ETH_RATE);
-    await chainlinkDaiMock.setDecimals(18);
-    CHAINLINK_DAI_ETH[network.name] = chainlinkDaiMock.address;
-  }
+  const assetOracles = [];
 
-  if (typeof CHAINLINK_STETH_ETH[network.name] === 'undefined') {
-    console.log('Deploying chainlink steth-eth aggregator');
-    const chainlinkStEthMock = await deployImmutable('ChainlinkAggregatorMock', [], {
-      alias: 'Chainlink-STETH-ETH',
-      abiFilename: 'EACAggregatorProxy',
-    });
-    await chainlinkStEthMock.setLatestAnswer(parseEther('1.003')); // almost 1:1
-    await chainlinkStEthMock.setDecimals(18);
-    CHAINLINK_STETH_ETH[network.name] = chainlinkStEthMock.address;
+  for (const { oracle } of profile.assets) {
+    assetOracles.push(await deployOracle(oracle));
   }
 
-  if (typeof CHAINLINK_ENZYME_VAULT[network.name] === 'undefined') {
-    console.log('Deploying chainlink enzyme vault aggregator');
-    const chainlinkEnzymeVaultMock = await deployImmutable('ChainlinkAggregatorMock', [], {
-      alias: 'Chainlink-ENZYME-VAULT',
-      abiFilename: 'EACAggregatorProxy',
-    });
-    await chainlinkEnzymeVaultMock.setLatestAnswer(parseEther('1.003')); // almost 1:1
-    await chainlinkEnzymeVaultMock.setDecimals(18);
-    CHAINLINK_ENZYME_VAULT[network.name] = chainlinkEnzymeVaultMock.address;
-  }
-
-  // only used by frontend
-  if (typeof CHAINLINK_ETH_USD[network.name] === 'undefined') {
-    console.log('Deploying chainlink eth-usd aggregator');
-    const chainlinkEthUsdMock = await deployImmutable('ChainlinkAggregatorMock', [], {
-      alias: 'Chainlink-ETH-USD',
-      abiFilename: 'EACAggregatorProxy',
-    });
-    await chainlinkEthUsdMock.setLatestAnswer(parseUnits('1234.56', 8));
-    await chainlinkEthUsdMock.setDecimals(8);
-    CHAINLINK_ETH_USD[network.name] = chainlinkEthUsdMock.address;
+  // not used by the pool, i.e. the eth-usd feed is only used by the frontend
+  for (const oracle of profile.oracles) {
+    await deployOracle(oracle);
   }
 
   console.log('Deploying PriceFeedOracle');
   const priceFeedOracle = await deployImmutable('PriceFeedOracle', [
-    [dai.address, stETH.address, enzymeVault.address],
-    [CHAINLINK_DAI_ETH[network.name], CHAINLINK_STETH_ETH[network.name], CHAINLINK_ENZYME_VAULT[network.name]],
-    [18, 18, 18],
+    assetTokens.map(token => token.address),
+    assetOracles,
+    profile.assets.map(({ decimals }) => decimals),
   ]);
 
   console.log('Deploying disposable MCR');
   const disposableMCR = await deployImmutable('DisposableMCR', [
-    parseEther('10000'), // mcrEth
-    parseEther('10000'), // desiredMCR
-    (await ethers.provider.getBlock('latest')).timestamp - 60, // lastUpdateTime
-    500, // maxMCRIncrement
-    48000, // gearingFactor
-    3600, // minUpdateTime
+    profile.mcr.mcr, // mcrEth
+    profile.mcr.desiredMCR,
+    // lastUpdateTime, taken from a previous step rather than the latest block so that it's the same when resuming
+    (await ethers.provider.getBlock(deployBlocks[priceFeedOracle.address])).timestamp - 60,
+    profile.mcr.maxMCRIncrement,
+    profile.mcr.gearingFactor,
+    profile.mcr.minUpdateTime,
   ]);
   // deploy MCR with DisposableMCR as a fake master
   const mcr = await deployImmutable('MCR', [disposableMCR.address, 0]);
   // trigger initialize and update master address
-  await disposableMCR.initializeNextMcr(mcr.address, master.address);
+  await journal.execute('DisposableMCR.initializeNextMcr', () =>
+    disposableMCR.populateTransaction.initializeNextMcr(mcr.address, master.address),
+  );
 
   console.log('Deploying Pool');
   const legacyPoolParameters = [master, priceFeedOracle, swapOperator, dai, stETH, enzymeVault, tk].map(x => x.address);
@@ -389,141 +341,166 @@ async function main() {
   const pool = await deployImmutable('Pool', poolParameters);
 
   console.log('Funding the Pool and minting tokens');
-  await setEtherBalance(pool.address, POOL_BALANCE_ETH);
-  await dai.mint(pool.address, POOL_BALANCE_DAI);
+  await setEtherBalance(pool.address, profile.pool.ethBalance);
+
+  for (const [i, { symbol, mock, holder, poolBalance }] of profile.assets.entries()) {
+    if (poolBalance.isZero()) {
+      continue;
+    }
+
+    if (mock) {
+      await journal.execute(`${symbol}.mint`, () => assetTokens[i].populateTransaction.mint(pool.address, poolBalance));
+      continue;
+    }
+
+    // existing tokens can only be transferred from an impersonated holder, i.e. on a fork
+    console.log(`Transferring ${symbol} from ${holder}`);
+    await impersonateAccount(holder);
+    await setEtherBalance(holder, parseEther('1'));
+    const holderSigner = await ethers.getSigner(holder);
+    await journal.execute(
+      `${symbol}.transfer`,
+      () => assetTokens[i].connect(holderSigner).populateTransaction.transfer(pool.address, poolBalance),
+      { from: holder },
+    );
+  }
 
   console.log('Initializing contracts');
-  const replaceableContractCodes = ['MC', 'P1', 'CL'];
-  const replaceableContractAddresses = [mcr, pool, coverMigrator].map(x => x.address);
-
-  const proxyContractCodes = ['GV', 'MR', 'PC', 'PS', 'TC', 'GW', 'CO', 'CG', 'CI', 'AS', 'SP', 'RA'];
-  const proxyContractAddresses = [
-    { address: owner }, // as governance
-    mr,
-    pc,
-    ps,
-    tc,
-    gw,
-    cover,
-    cg,
-    ci,
-    assessment,
-    stakingProducts,
-    ramm,
-  ].map(x => x.address);
-
-  const addresses = [...replaceableContractAddresses, ...proxyContractAddresses];
-  const codes = [...replaceableContractCodes, ...proxyContractCodes].map(hex);
-  const types = [
-    ...replaceableContractCodes.map(() => '1'), // replaceable aka "upgradable"
-    ...proxyContractCodes.map(() => '2'), // proxy
-  ];
+  // the contract types are taken from the registry
+  const internalContracts = {
+    MC: mcr,
+    P1: pool,
+    CL: coverMigrator,
+    GV: { address: owner }, // as governance
+    MR: mr,
+    PC: pc,
+    PS: ps,
+    TC: tc,
+    GW: gw,
+    CO: cover,
+    CG: cg,
+    CI: ci,
+    AS: assessment,
+    SP: stakingProducts,
+    RA: ramm,
+  };
+
+  const codes = Object.keys(internalContracts);
+  const types = codes.map(code => getContractByCode(code).type);
+  const addresses = codes.map(code => internalContracts[code].address);
 
   console.log('Initializing NXMaster');
-  await master.initialize(
-    ownerSigner.address,
-    tk.address,
-    ownerSigner.address,
-    codes, // codes
-    types, // types
-    addresses, // addresses
+  await journal.execute('NXMaster.initialize', () =>
+    master.populateTransaction.initialize(
+      ownerSigner.address,
+      tk.address,
+      ownerSigner.address,
+      codes.map(hex), // codes
+      types, // types
+      addresses, // addresses
+    ),
   );
 
   console.log('Initializing TokenController');
-  await tc.initialize(master.address, ps.address, assessment.address);
+  await journal.execute('TokenController.initialize', () =>
+    tc.populateTransaction.initialize(master.address, ps.address, assessment.address),
+  );
 
   console.log('Initializing MemberRoles');
-  const initialMembers = [
-    owner,
-    ...INITIAL_MEMBERS.split(',')
-      .map(x => x.trim())
-      .filter(a => ethers.utils.isAddress(a)),
-  ];
-
-  const initialTokens = initialMembers.map(() => '0');
-
-  await mr.initialize(
-    owner,
-    master.address,
-    tc.address,
-    initialMembers,
-    initialTokens,
-    [owner], // advisory board members
+  const envMembers = INITIAL_MEMBERS.split(',')
+    .map(x => x.trim())
+    .filter(a => ethers.utils.isAddress(a))
+    .map(address => ({ address, nxm: '0', advisoryBoard: false }));
+
+  const initialMembers = [{ address: owner, nxm: '0', advisoryBoard: true }, ...profile.members, ...envMembers];
+  const advisoryBoardMembers = initialMembers.filter(member => member.advisoryBoard);
+
+  await journal.execute('MemberRoles.initialize', () =>
+    mr.populateTransaction.initialize(
+      owner,
+      master.address,
+      tc.address,
+      initialMembers.map(member => member.address),
+      initialMembers.map(member => member.nxm),
+      advisoryBoardMembers.map(member => member.address),
+    ),
   );
 
   console.log('Initializing Governance');
-  await gv.initialize(
-    600, // 10 minutes
-    600, // 10 minutes
-    5,
-    40,
-    75,
-    300, // 5 minutes
+  await journal.execute('Governance.initialize', () =>
+    gv.populateTransaction.initialize(
+      600, // 10 minutes
+      600, // 10 minutes
+      5,
+      40,
+      75,
+      300, // 5 minutes
+    ),
   );
 
   console.log('Initializing PooledStaking');
-  await ps.initialize(
-    tc.address,
-    parseEther('2'), // min stake
-    parseEther('2'), // min unstake
-    10, // max exposure
-    600, // unstake lock time
+  await journal.execute('PooledStaking.initialize', () =>
+    ps.populateTransaction.initialize(
+      tc.address,
+      parseEther('2'), // min stake
+      parseEther('2'), // min unstake
+      10, // max exposure
+      600, // unstake lock time
+    ),
   );
 
   console.log('Initializing LegacyGateway');
-  await gw.initialize(master.address, dai.address);
+  await journal.execute('LegacyGateway.initialize', () =>
+    gw.populateTransaction.initialize(master.address, dai.address),
+  );
 
   console.log('Add covered products');
-  await cover.changeMasterAddress(master.address);
-  await cover.changeDependentContractAddress();
-  await cover.setProductTypes(productTypes);
-
-  const addProductsParams = products.map(product => {
-    const underlyingToken = ['ETH', 'DAI'].indexOf(product.underlyingToken);
-    const productType = productTypeNames.indexOf(product.type);
-    const yieldTokenAddress = product.coveredToken || '0x0000000000000000000000000000000000000000';
-
-    let coverAssets =
-      underlyingToken === -1
-        ? 0 // when no underlyingToken is present use the global fallback
-        : 1 << underlyingToken; // 0b01 for ETH and 0b10 for DAI
-
-    if (product.legacyProductId === '0x35D1b3F3D7966A1DFe207aa4514C12a259A0492B') {
-      coverAssets = 1; // only ETH for MakerDAO
-    }
+  await journal.execute('Cover.changeMasterAddress', () =>
+    cover.populateTransaction.changeMasterAddress(master.address),
+  );
+  await journal.execute('Cover.changeDependentContractAddress', () =>
+    cover.populateTransaction.changeDependentContractAddress(),
+  );
+  await journal.execute('Cover.setProductTypes', () =>
+    cover.populateTransaction.setProductTypes(
+      profile.productTypes.map(({ name, claimMethod, gracePeriod, ipfsMetadata }) => ({
+        productTypeName: name,
+        productTypeId: MaxUint256,
+        ipfsMetadata,
+        productType: { claimMethod, gracePeriod },
+      })),
+    ),
+  );
 
-    return {
-      productName: product.name,
-      productId: MaxUint256,
-      ipfsMetadata: '',
-      product: {
-        productType,
-        yieldTokenAddress,
-        coverAssets,
-        initialPriceRatio: 100,
-        capacityReductionRatio: 0,
-        isDeprecated: false,
-        useFixedPrice: false,
-      },
-      allowedPools: [],
-    };
-  });
+  const addProductsParams = profile.products.map(({ name, ipfsMetadata, allowedPools, ...product }) => ({
+    productName: name,
+    productId: MaxUint256,
+    ipfsMetadata,
+    product,
+    allowedPools,
+  }));
 
   console.log('Setting Cover products.');
-  await cover.setProducts(addProductsParams);
+  await journal.execute('Cover.setProducts', () => cover.populateTransaction.setProducts(addProductsParams));
   const productsStored = await cover.getProducts();
   console.log(`${productsStored.length} products added.`);
   // fs.writeFileSync('products.json', JSON.stringify(productsStored, null, 2));
 
   console.log('Adding proposal categories');
-  await pc.initialize(mr.address);
+  await journal.execute('ProposalCategory.initialize', () => pc.populateTransaction.initialize(mr.address));
   for (const category of proposalCategories) {
-    await pc.addInitialCategory(...category);
+    await journal.execute('ProposalCategory.addInitialCategory', () =>
+      pc.populateTransaction.addInitialCategory(...category),
+    );
   }
 
   console.log('Switching governance address');
-  await gv.changeMasterAddress(master.address);
-  await master.switchGovernanceAddress(gv.address);
+  await journal.execute('Governance.changeMasterAddress', () =>
+    gv.populateTransaction.changeMasterAddress(master.address),
+  );
+  await journal.execute('NXMaster.switchGovernanceAddress', () =>
+    master.populateTransaction.switchGovernanceAddress(gv.address),
+  );
 
   console.log('Upgrading to non-disposable contracts');
   await upgradeProxy(mr.address, 'MemberRoles', [tk.address]);
@@ -539,7 +516,7 @@ async function main() {
   await upgradeProxy(gv.address, 'Governance');
   await upgradeProxy(gw.address, 'LegacyGateway', [qd.address, tk.address]);
   await upgradeProxy(cover.address, 'Cover', [coverNFT.address, stakingNFT.address, spf.address, stakingPool.address]);
-  await upgradeProxy(ramm.address, 'Ramm', [SPOT_PRICE_B]);
+  await upgradeProxy(ramm.address, 'Ramm', [profile.ramm.spotPriceB]);
 
   console.log('Transferring ownership of proxy contracts');
   // transfer ownership to master contract
@@ -550,6 +527,7 @@ async function main() {
   await transferProxyOwnership(gv.address, master.address);
   await transferProxyOwnership(gw.address, master.address);
   await transferProxyOwnership(cover.address, master.address);
+  await transferProxyOwnership(stakingProducts.address, master.address);
   await transferProxyOwnership(cg.address, master.address);
   await transferProxyOwnership(ci.address, master.address);
   await transferProxyOwnership(assessment.address, master.address);
@@ -583,6 +561,10 @@ async function main() {
     console.log('Contract verifications skipped');
   }
 
+  if (VERIFICATION_BUNDLE_DIR) {
+    await verifier.writeBundles(path.resolve(VERIFICATION_BUNDLE_DIR));
+  }
+
   const addressesFile = path.resolve(ADDRESSES_FILE);
   const abiDir = path.resolve(ABI_DIR);
 
@@ -634,8 +616,16 @@ async function main() {
 if (require.main === module) {
   main()
     .then(() => process.exit(0))
-    .catch(error => {
+    .catch(async error => {
       console.error('An unexpected error encountered:', error);
+
+      try {
+        const { formatError } = await loadErrorDecoder(artifacts);
+        console.error('Decoded error:', formatError(error));
+      } catch (decodingError) {
+        console.error('The error could not be decoded:', decodingError);
+      }
+
       process.exit(1);
     });
 }
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+
+const { DEVNET_MEMBERS = '10', DEVNET_STAKING_POOLS = '3' } = process.env;
+
+// derives the private keys of the accounts of the in-process hardhat network
+const getPrivateKeys = (ethers, { mnemonic, path: hdPath, initialIndex, count }) => {
+  const hdNode = ethers.utils.HDNode.fromMnemonic(mnemonic);
+  const keys = {};
+
+  for (let i = initialIndex; i < initialIndex + count; i++) {
+    const { address, privateKey } = hdNode.derivePath(`${hdPath}/${i}`);
+    keys[address] = privateKey;
+  }
+
+  return keys;
+};
+
+// Starts a hardhat node, deploys the protocol and seeds it with members, staking pools, covers, claims and an incident
+const main = async () => {
+  const { ethers, network, run } = require('hardhat');
+  const { task } = require('hardhat/config');
+
+  if (network.name !== 'hardhat') {
+    throw new Error(`The devnet runs on the in-process hardhat network, got ${network.name}`);
+  }
+
+  const deploy = require('./deploy');
+  const seed = require('./seed');
+
+  const getServer = () => {
+    return new Promise(resolve => {
+      task('node:server-ready', (args, _, runSuper) => {
+        runSuper();
+        resolve(args.server);
+      });
+    });
+  };
+
+  console.log('[>] Starting hardhat node');
+  run('node').catch(e => {
+    console.error(e);
+    process.exit(1);
+  });
+
+  console.log('[>] Waiting for hardhat node to be ready');
+  const server = await getServer();
+
+  console.log('[>] Starting the deployment');
+  await deploy();
+
+  console.log('[>] Seeding the deployment');
+  const addresses = JSON.parse(fs.readFileSync(path.resolve(process.env.ADDRESSES_FILE), 'utf8'));
+  const scenario = { members: parseInt(DEVNET_MEMBERS, 10), stakingPools: parseInt(DEVNET_STAKING_POOLS, 10) };
+  const accounts = await seed(addresses, scenario);
+
+  const privateKeys = getPrivateKeys(ethers, network.config.accounts);
+  console.log('[i] Accounts');
+
+  for (const { role, address } of accounts) {
+    console.log(`${address}  ${privateKeys[address]}  ${role}`);
+  }
+
+  const { hostname, port } = server._config;
+  console.log(`[i] RPC listening at http://${hostname}:${port}`);
+  console.log(`[i] Chain ID ${network.config.chainId}`);
+
+  await server.waitUntilClosed();
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('An unexpected error encountered:', error);
+    process.exit(1);
+  });
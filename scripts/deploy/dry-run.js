@@ -0,0 +1,54 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { DRY_RUN_BASE_FEE = '30', DRY_RUN_REPORT } = process.env;
+
+// Runs the full deployment against the in-process hardhat network and reports the gas used by every step
+const main = async () => {
+  const { ethers, network } = require('hardhat');
+  const { readJournal } = require('../../lib/deployment-manifest');
+  const { buildReport, formatReport } = require('../../lib/deployment-report');
+
+  if (network.name !== 'hardhat') {
+    throw new Error(`The dry run runs on the in-process hardhat network, got ${network.name}`);
+  }
+
+  if (!process.env.ENABLE_OPTIMIZER) {
+    // the config is loaded before this script runs, the env var has to be set by the caller
+    console.log('[!] ENABLE_OPTIMIZER is not set, the bytecode sizes and gas used are of the unoptimized contracts');
+  }
+
+  // the deployment output is thrown away, the journal is always a new one
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dry-run-'));
+  process.env.ABI_DIR = path.join(outputDir, 'abis');
+  process.env.ADDRESSES_FILE = path.join(outputDir, 'addresses.json');
+  process.env.DEPLOYMENT_JOURNAL = path.join(outputDir, 'journal.jsonl');
+
+  try {
+    const deploy = require('./deploy');
+
+    console.log('[>] Starting the deployment');
+    await deploy();
+
+    console.log('[>] Building the report');
+    const journal = readJournal(process.env.DEPLOYMENT_JOURNAL);
+    const report = await buildReport(ethers.provider, journal, { baseFee: DRY_RUN_BASE_FEE });
+
+    console.log(formatReport(report));
+
+    if (DRY_RUN_REPORT) {
+      fs.writeFileSync(DRY_RUN_REPORT, JSON.stringify(report, null, 2));
+      console.log(`[i] Report written to ${DRY_RUN_REPORT}`);
+    }
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('An unexpected error encountered:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const { artifacts, ethers } = require('hardhat');
+
+const { getDeployedBytecode, matchesDeployedBytecode } = require('../../lib/bytecode');
+const { readJournal } = require('../../lib/deployment-manifest');
+
+const { AddressZero } = ethers.constants;
+const { defaultAbiCoder, getAddress, keccak256 } = ethers.utils;
+
+// Records every transaction sent by the deploy script, one JSON object per line, so that a failed deployment can be
+// resumed: the steps found in the journal are verified against the chain and skipped instead of being sent again.
+// Without a journal file the steps are executed without being recorded.
+//
+// step - index of the step in the deploy script
+// type - deploy, upgrade or call
+// description - identifies the step, used to detect changes in the deploy script between runs
+// dataHash - hash of the target, data and value of the transaction, i.e. the constructor args of deploys and the call
+//            data of calls. detects changed arguments between runs, missing from journals written before it was added
+// txHash, blockNumber - the transaction of the step
+// address - the deployed contract for deploys, the proxy for upgrades
+// implementation - the implementation of the proxy for proxy deploys and upgrades
+// pending - written with the sender, its nonce and the current block before the transaction is sent, followed by the
+//           complete entry once it's mined. lets a resumed run find a transaction sent right before a crash
+module.exports = journalFile => {
+  const completed = {};
+  let nextStep = 0;
+
+  if (journalFile && fs.existsSync(journalFile)) {
+    // the entry written after the transaction is mined replaces the pending one
+    readJournal(journalFile).forEach(entry => (completed[entry.step] = entry));
+  }
+
+  const append = entry => journalFile && fs.appendFileSync(journalFile, JSON.stringify(entry) + '\n');
+
+  const fail = (entry, reason) => {
+    throw new Error(
+      `Step ${entry.step} "${entry.description}" of ${journalFile} ${reason}. ` +
+        `Delete the journal to start a new deployment.`,
+    );
+  };
+
+  const hashTransaction = ({ to, data, value }) =>
+    keccak256(defaultAbiCoder.encode(['address', 'bytes', 'uint'], [to || AddressZero, data || '0x', value || 0]));
+
+  const getCompleted = (description, dataHash) => {
+    const step = nextStep++;
+    const entry = completed[step];
+
+    if (entry && entry.description !== description) {
+      fail(entry, `does not match the current step "${description}", the deploy script has changed`);
+    }
+
+    if (entry && entry.dataHash !== undefined && entry.dataHash !== dataHash) {
+      fail(entry, 'was sent with different arguments, the deploy script or the deployment profile has changed');
+    }
+
+    return { step, entry };
+  };
+
+  // finds the transaction of a pending step by the nonce of its sender, returns null if it wasn't sent or reverted
+  const getPendingReceipt = async entry => {
+    const { from, nonce, blockNumber } = entry;
+
+    if ((await ethers.provider.getTransactionCount(from)) <= nonce) {
+      if ((await ethers.provider.getTransactionCount(from, 'pending')) > nonce) {
+        fail(entry, `was sent but is not mined yet, wait for the transaction with nonce ${nonce} of ${from}`);
+      }
+      return null;
+    }
+
+    const latestBlock = await ethers.provider.getBlockNumber();
+
+    for (let number = blockNumber; number <= latestBlock; number++) {
+      const { transactions } = await ethers.provider.getBlockWithTransactions(number);
+      const tx = transactions.find(tx => getAddress(tx.from) === getAddress(from) && tx.nonce === nonce);
+
+      if (tx) {
+        const receipt = await ethers.provider.getTransactionReceipt(tx.hash);
+        return receipt.status === 1 ? receipt : null;
+      }
+    }
+
+    fail(entry, `was not found on chain, the nonce ${nonce} of ${from} was used by another transaction`);
+  };
+
+  const verifyTransaction = async entry => {
+    const receipt = await ethers.provider.getTransactionReceipt(entry.txHash);
+
+    if (!receipt || receipt.status !== 1) {
+      fail(entry, `was not found on chain (transaction ${entry.txHash})`);
+    }
+
+    return receipt;
+  };
+
+  const verifyDeployment = async (entry, artifact) => {
+    const receipt = await verifyTransaction(entry);
+
+    if (!receipt.contractAddress || getAddress(receipt.contractAddress) !== getAddress(entry.address)) {
+      fail(entry, `did not deploy a contract at ${entry.address}`);
+    }
+
+    const code = await ethers.provider.getCode(entry.address);
+    const expected = await getDeployedBytecode(artifacts, artifact);
+
+    if (!matchesDeployedBytecode(code, expected)) {
+      fail(entry, `deployed code at ${entry.address} does not match the ${artifact} artifact`);
+    }
+  };
+
+  const record = async (description, details, getTransaction, verify) => {
+    const transaction = await getTransaction();
+    const dataHash = hashTransaction(transaction);
+    const { step, entry: completedEntry } = getCompleted(description, dataHash);
+    const toEntry = ({ contractAddress, transactionHash: txHash, blockNumber }) => ({
+      step,
+      description,
+      ...details,
+      dataHash,
+      ...(details.type === 'deploy' && { address: contractAddress }),
+      txHash,
+      blockNumber,
+    });
+
+    if (completedEntry && !completedEntry.pending) {
+      await verify(completedEntry);
+      console.log(`Skipping step ${step} "${description}", sent in ${completedEntry.txHash}`);
+      return completedEntry;
+    }
+
+    const pendingReceipt = completedEntry && (await getPendingReceipt(completedEntry));
+
+    if (pendingReceipt) {
+      const entry = toEntry(pendingReceipt);
+      append(entry);
+      await verify(entry);
+      console.log(`Skipping step ${step} "${description}", mined after the previous run stopped`);
+      return entry;
+    }
+
+    if (completedEntry) {
+      console.log(`Step ${step} "${description}" was not mined in the previous run, sending it again`);
+    }
+
+    const from = details.from || (await ethers.getSigners())[0].address;
+    const nonce = await ethers.provider.getTransactionCount(from);
+    const blockNumber = await ethers.provider.getBlockNumber();
+    append({ step, description, ...details, dataHash, from, nonce, blockNumber, pending: true });
+
+    const signer = await ethers.getSigner(from);
+    const tx = await signer.sendTransaction(transaction);
+
+    const entry = toEntry(await tx.wait());
+    append(entry);
+    return entry;
+  };
+
+  /**
+   * Deploys a contract, or verifies its deployment if the step was completed by a previous run.
+   *
+   * @param {string} description - The description of the step
+   * @param {object} details - The { contract, alias, implementation } recorded in the journal
+   * @param {string} artifact - The artifact of the deployed contract, used to verify the code on chain
+   * @param {function} getTransaction - Returns the deploy transaction, i.e. ContractFactory.getDeployTransaction
+   * @return {Promise<object>} The journal entry of the deployment
+   */
+  const deploy = async (description, details, artifact, getTransaction) =>
+    record(description, { type: 'deploy', ...details }, getTransaction, entry => verifyDeployment(entry, artifact));
+
+  /**
+   * Sends a transaction, or verifies it was mined if the step was completed by a previous run.
+   *
+   * @param {string} description - The description of the step
+   * @param {function} getTransaction - Returns the transaction to send, i.e. contract.populateTransaction.method()
+   * @param {object} [details] - The { type, address, contract, alias, implementation } recorded in the journal
+   *                             and the sender of the transaction if it's not the deployer
+   * @return {Promise<object>} The journal entry of the transaction
+   */
+  const execute = async (description, getTransaction, details = {}) =>
+    record(description, { type: 'call', ...details }, getTransaction, verifyTransaction);
+
+  const completedSteps = () => Object.values(completed).filter(entry => !entry.pending).length;
+
+  return { deploy, execute, completedSteps };
+};
@@ -0,0 +1,331 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const { ClaimMethod } = require('../../lib/constants');
+
+const { AddressZero } = ethers.constants;
+const { BigNumber } = ethers;
+const { getAddress, isAddress, parseEther, parseUnits } = ethers.utils;
+
+const PROFILES_DIR = path.join(__dirname, 'profiles');
+
+// the legacy pool takes the assets as constructor args, so the profile has to list exactly these, in this order
+const POOL_ASSETS = ['DAI', 'stETH', 'enzymeVault'];
+
+/*
+ * A deployment profile is a JSON file describing the parameters of a deployment:
+ *
+ * tokenSupply    - initial NXM supply minted to the deployer, in NXM
+ * assets         - the pool assets besides ETH, keyed by symbol. each asset either has an `address` or a `mock`
+ *                  ({ name, decimals }) deployed in its place, a `poolBalance` funded to the pool and an `oracle`
+ * oracles        - other price feeds deployed or referenced by the deployment, keyed by alias
+ * pool           - { ethBalance } funded to the pool, in ETH
+ * mcr            - { mcr, desiredMCR, maxMCRIncrement, gearingFactor, minUpdateTime } of the initial MCR
+ * ramm           - { spotPriceB, bondingCurvePrice }, in ETH
+ * members        - [{ address, nxm, advisoryBoard }] enrolled alongside the deployer
+ * productTypes   - [{ name, claimMethod, gracePeriod, ipfsMetadata }], gracePeriod in seconds
+ * products       - [{ name, productType, coverAssets, yieldTokenAddress, initialPriceRatio, capacityReductionRatio,
+ *                  isDeprecated, useFixedPrice, allowedPools, ipfsMetadata }]
+ *                  productType is the name of a product type and coverAssets a list of asset symbols
+ *
+ * An oracle either has an `address` or a `mock` ({ answer, decimals }) deployed in its place.
+ * Assets funded from an existing token need a `holder` to transfer the pool balance from, which only works on forks.
+ */
+
+class ProfileValidationError extends Error {
+  constructor(profileName, errors) {
+    super(`Invalid deployment profile ${profileName}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ProfileValidationError';
+    this.errors = errors;
+  }
+}
+
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isInteger = value => Number.isInteger(value) && value >= 0;
+
+const isDecimal = (value, decimals = 18) => {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  try {
+    parseUnits(value, decimals);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validates a deployment profile.
+ *
+ * @param {object} profile - The profile as read from the JSON file
+ * @return {string[]} The validation errors, empty if the profile is valid
+ */
+const validateProfile = profile => {
+  const errors = [];
+
+  const expect = (condition, message) => condition || errors.push(message);
+  const expectDecimal = (value, name, decimals) =>
+    expect(isDecimal(value, decimals), `${name} must be a decimal string`);
+  const expectInteger = (value, name) => expect(isInteger(value), `${name} must be a non-negative integer`);
+  const expectAddress = (value, name) => expect(isAddress(value), `${name} must be an address`);
+
+  const expectSource = (item, name, validateMock) => {
+    if (!isObject(item)) {
+      return errors.push(`${name} must be an object`);
+    }
+
+    if ((item.address === undefined) === (item.mock === undefined)) {
+      return errors.push(`${name} must have either an address or a mock`);
+    }
+
+    if (item.address !== undefined) {
+      return expectAddress(item.address, `${name}.address`);
+    }
+
+    return isObject(item.mock)
+      ? validateMock(item.mock, `${name}.mock`)
+      : errors.push(`${name}.mock must be an object`);
+  };
+
+  const validateOracleMock = (mock, name) => {
+    expectInteger(mock.decimals, `${name}.decimals`);
+    expectDecimal(mock.answer, `${name}.answer`, isInteger(mock.decimals) ? mock.decimals : 18);
+  };
+
+  const validateOracle = (oracle, name) => expectSource(oracle, name, validateOracleMock);
+
+  if (!isObject(profile)) {
+    return ['the profile must be an object'];
+  }
+
+  expectDecimal(profile.tokenSupply, 'tokenSupply');
+
+  const assets = isObject(profile.assets) ? profile.assets : {};
+  expect(isObject(profile.assets), 'assets must be an object');
+  expect(
+    Object.keys(assets).join() === POOL_ASSETS.join(),
+    `assets must list ${POOL_ASSETS.join(', ')} in this order, got ${Object.keys(assets).join(', ')}`,
+  );
+
+  for (const [symbol, asset] of Object.entries(assets)) {
+    const name = `assets.${symbol}`;
+
+    expectSource(asset, name, (mock, mockName) => {
+      expect(typeof mock.name === 'string', `${mockName}.name must be a string`);
+      expectInteger(mock.decimals, `${mockName}.decimals`);
+    });
+
+    if (!isObject(asset)) {
+      continue;
+    }
+
+    expectInteger(asset.decimals, `${name}.decimals`);
+    expect(!asset.mock || asset.mock.decimals === asset.decimals, `${name}.mock.decimals must match ${name}.decimals`);
+    expectDecimal(asset.poolBalance, `${name}.poolBalance`);
+    expect(
+      asset.holder === undefined || (asset.address !== undefined && isAddress(asset.holder)),
+      `${name}.holder must be an address and is only allowed for existing tokens`,
+    );
+
+    const fundsExistingToken = asset.address !== undefined && isDecimal(asset.poolBalance) && +asset.poolBalance > 0;
+    expect(
+      !fundsExistingToken || asset.holder !== undefined,
+      `${name}.holder is required to fund the pool with an existing token`,
+    );
+    expect(isObject(asset.oracle) && typeof asset.oracle.alias === 'string', `${name}.oracle.alias must be a string`);
+    validateOracle(asset.oracle, `${name}.oracle`);
+  }
+
+  expect(isObject(profile.oracles), 'oracles must be an object');
+
+  for (const [alias, oracle] of Object.entries(isObject(profile.oracles) ? profile.oracles : {})) {
+    validateOracle(oracle, `oracles.${alias}`);
+  }
+
+  const { pool = {}, mcr = {}, ramm = {} } = profile;
+  expectDecimal(pool.ethBalance, 'pool.ethBalance');
+  expectDecimal(mcr.mcr, 'mcr.mcr');
+  expectDecimal(mcr.desiredMCR, 'mcr.desiredMCR');
+  expectInteger(mcr.maxMCRIncrement, 'mcr.maxMCRIncrement');
+  expectInteger(mcr.gearingFactor, 'mcr.gearingFactor');
+  expectInteger(mcr.minUpdateTime, 'mcr.minUpdateTime');
+  expectDecimal(ramm.spotPriceB, 'ramm.spotPriceB');
+  expectDecimal(ramm.bondingCurvePrice, 'ramm.bondingCurvePrice');
+
+  const members = Array.isArray(profile.members) ? profile.members : [];
+  expect(Array.isArray(profile.members), 'members must be an array');
+
+  members.forEach((member, i) => {
+    expectAddress(member.address, `members[${i}].address`);
+    expectDecimal(member.nxm, `members[${i}].nxm`);
+    expect(typeof member.advisoryBoard === 'boolean', `members[${i}].advisoryBoard must be a boolean`);
+  });
+
+  const productTypes = Array.isArray(profile.productTypes) ? profile.productTypes : [];
+  const productTypeNames = productTypes.map(productType => productType.name);
+  expect(Array.isArray(profile.productTypes), 'productTypes must be an array');
+
+  productTypes.forEach((productType, i) => {
+    const name = `productTypes[${i}]`;
+    expect(typeof productType.name === 'string', `${name}.name must be a string`);
+    expect(productTypeNames.indexOf(productType.name) === i, `${name}.name must be unique`);
+    expect(ClaimMethod[productType.claimMethod] !== undefined, `${name}.claimMethod must be one of ClaimMethod`);
+    expectInteger(productType.gracePeriod, `${name}.gracePeriod`);
+    expect(typeof productType.ipfsMetadata === 'string', `${name}.ipfsMetadata must be a string`);
+  });
+
+  const coverAssetSymbols = ['ETH', ...Object.keys(assets)];
+  const products = Array.isArray(profile.products) ? profile.products : [];
+  expect(Array.isArray(profile.products), 'products must be an array');
+
+  products.forEach((product, i) => {
+    const name = `products[${i}]`;
+    expect(typeof product.name === 'string', `${name}.name must be a string`);
+    expect(productTypeNames.includes(product.productType), `${name}.productType must be the name of a product type`);
+    expect(
+      Array.isArray(product.coverAssets) && product.coverAssets.every(symbol => coverAssetSymbols.includes(symbol)),
+      `${name}.coverAssets must be a list of ${coverAssetSymbols.join(', ')}`,
+    );
+    expect(
+      product.yieldTokenAddress === undefined || isAddress(product.yieldTokenAddress),
+      `${name}.yieldTokenAddress must be an address`,
+    );
+    expectInteger(product.initialPriceRatio, `${name}.initialPriceRatio`);
+    expectInteger(product.capacityReductionRatio, `${name}.capacityReductionRatio`);
+    expect(typeof product.isDeprecated === 'boolean', `${name}.isDeprecated must be a boolean`);
+    expect(typeof product.useFixedPrice === 'boolean', `${name}.useFixedPrice must be a boolean`);
+    expect(
+      Array.isArray(product.allowedPools) && product.allowedPools.every(isInteger),
+      `${name}.allowedPools must be a list of pool ids`,
+    );
+    expect(typeof product.ipfsMetadata === 'string', `${name}.ipfsMetadata must be a string`);
+  });
+
+  return errors;
+};
+
+const parseOracle = oracle => ({
+  alias: oracle.alias,
+  address: oracle.address && getAddress(oracle.address),
+  mock: oracle.mock && { answer: parseUnits(oracle.mock.answer, oracle.mock.decimals), decimals: oracle.mock.decimals },
+});
+
+/**
+ * Converts the amounts of a valid profile to BigNumbers and resolves the product types and cover assets.
+ *
+ * @param {object} profile - A valid profile
+ * @return {object} The parsed profile
+ */
+const parseProfile = profile => {
+  const coverAssetSymbols = ['ETH', ...Object.keys(profile.assets)];
+
+  const assets = Object.entries(profile.assets).map(([symbol, asset]) => ({
+    symbol,
+    address: asset.address && getAddress(asset.address),
+    mock: asset.mock,
+    decimals: asset.decimals,
+    poolBalance: parseUnits(asset.poolBalance, asset.decimals),
+    holder: asset.holder && getAddress(asset.holder),
+    oracle: parseOracle(asset.oracle),
+  }));
+
+  const oracles = Object.entries(profile.oracles).map(([alias, oracle]) => parseOracle({ ...oracle, alias }));
+
+  const productTypes = profile.productTypes.map(({ name, claimMethod, gracePeriod, ipfsMetadata }) => ({
+    name,
+    claimMethod: ClaimMethod[claimMethod],
+    gracePeriod,
+    ipfsMetadata,
+  }));
+
+  const products = profile.products.map(product => ({
+    ...product,
+    productType: profile.productTypes.findIndex(productType => productType.name === product.productType),
+    // an empty bitmap means the product uses the default cover assets of the pool
+    coverAssets: product.coverAssets.reduce((bitmap, symbol) => bitmap | (1 << coverAssetSymbols.indexOf(symbol)), 0),
+    yieldTokenAddress: product.yieldTokenAddress ? getAddress(product.yieldTokenAddress) : AddressZero,
+  }));
+
+  return {
+    tokenSupply: parseEther(profile.tokenSupply),
+    assets,
+    oracles,
+    pool: { ethBalance: parseEther(profile.pool.ethBalance) },
+    mcr: {
+      ...profile.mcr,
+      mcr: parseEther(profile.mcr.mcr),
+      desiredMCR: parseEther(profile.mcr.desiredMCR),
+    },
+    ramm: {
+      spotPriceB: parseEther(profile.ramm.spotPriceB),
+      bondingCurvePrice: parseEther(profile.ramm.bondingCurvePrice),
+    },
+    members: profile.members.map(({ address, nxm, advisoryBoard }) => ({
+      address: getAddress(address),
+      nxm: parseEther(nxm),
+      advisoryBoard,
+    })),
+    productTypes,
+    products,
+  };
+};
+
+/**
+ * Computes the value of the pool funded by a parsed profile, in ETH. The assets are converted at the answers of
+ * their mock oracles, or at the given rates for the oracles referenced by address. As in PriceFeedOracle, a rate
+ * is the amount of wei one unit of the asset is worth.
+ *
+ * @param {object} profile - A parsed profile
+ * @param {object} [rates] - The rates of the assets with existing oracles, by symbol
+ * @return {BigNumber} The pool value
+ */
+const getPoolValueInEth = (profile, rates = {}) =>
+  profile.assets.reduce((poolValue, { symbol, decimals, poolBalance, oracle }) => {
+    if (poolBalance.isZero()) {
+      return poolValue;
+    }
+
+    const rate = oracle.mock ? oracle.mock.answer : rates[symbol];
+
+    if (rate === undefined) {
+      throw new Error(`The ${symbol} rate is required to compute the pool value`);
+    }
+
+    return poolValue.add(poolBalance.mul(rate).div(BigNumber.from(10).pow(decimals)));
+  }, profile.pool.ethBalance);
+
+/**
+ * Loads, validates and parses a deployment profile.
+ *
+ * @param {string} profileNameOrPath - The name of a profile in scripts/deploy/profiles or the path to a profile
+ * @return {object} The parsed profile
+ */
+const loadProfile = profileNameOrPath => {
+  const profileFile = profileNameOrPath.endsWith('.json')
+    ? path.resolve(profileNameOrPath)
+    : path.join(PROFILES_DIR, `${profileNameOrPath}.json`);
+
+  if (!fs.existsSync(profileFile)) {
+    throw new Error(`Deployment profile ${profileNameOrPath} not found at ${profileFile}`);
+  }
+
+  const profile = JSON.parse(fs.readFileSync(profileFile, 'utf8'));
+  const errors = validateProfile(profile);
+
+  if (errors.length > 0) {
+    throw new ProfileValidationError(profileNameOrPath, errors);
+  }
+
+  return parseProfile(profile);
+};
+
+module.exports = {
+  POOL_ASSETS,
+  ProfileValidationError,
+  validateProfile,
+  parseProfile,
+  getPoolValueInEth,
+  loadProfile,
+};
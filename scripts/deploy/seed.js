@@ -0,0 +1,279 @@
+const fs = require('fs');
+const { artifacts, ethers, network } = require('hardhat');
+const path = require('path');
+
+const { PoolAsset, Role } = require('../../lib/constants');
+const { loadErrorDecoder } = require('../../lib/errors');
+const { daysToSeconds } = require('../../lib/helpers');
+const { signMembershipApproval } = require('../../lib/membership');
+const { getDepositTrancheIds } = require('../../lib/staking-time');
+const { impersonateAccount, setEtherBalance, setNextBlockTime, mineNextBlock } = require('../../test/utils').evm;
+
+const { AddressZero, MaxUint256 } = ethers.constants;
+const { formatEther, parseEther, parseUnits } = ethers.utils;
+
+// mirrors Cover.NXM_ASSET_ID
+const NXM_ASSET_ID = 255;
+
+const STAKE_PER_DEPOSIT = parseEther('10000');
+const ASSESSOR_STAKE = parseEther('1000');
+// spent on the premiums of the covers bought with NXM
+const SPENDABLE_NXM = parseEther('10000');
+
+// products listed in every staking pool, picked to cover all the product types of the local profile
+// 0 - Argent (protocol), 1 - dydx (protocol), 28 - Binance (custody), 38 - Curve sETH LP (yield token, ETH only)
+const POOL_PRODUCTS = [0, 1, 28, 38];
+const INCIDENT_PRODUCT_ID = 38;
+
+// bought in turn by the members, the first one is claimed and accepted, the second one has an open claim
+const COVERS = [
+  { productId: 0, coverAsset: 'ETH', paymentAsset: 'ETH', amount: '1', periodInDays: 60 },
+  { productId: 1, coverAsset: 'DAI', paymentAsset: 'NXM', amount: '2000', periodInDays: 90 },
+  { productId: 28, coverAsset: 'DAI', paymentAsset: 'NXM', amount: '5000', periodInDays: 180 },
+  { productId: 38, coverAsset: 'ETH', paymentAsset: 'ETH', amount: '2', periodInDays: 30 },
+];
+
+const getImpersonatedSigner = async address => {
+  await impersonateAccount(address);
+  await setEtherBalance(address, parseEther('1'));
+  return ethers.getSigner(address);
+};
+
+const getEvent = async (tx, contract, eventName) => {
+  const { logs } = await tx.wait();
+  const event = logs
+    .filter(log => log.address === contract.address)
+    .map(log => contract.interface.parseLog(log))
+    .find(({ name }) => name === eventName);
+  return event.args;
+};
+
+/**
+ * Seeds a deployment with protocol activity: members, staking pools with deposits across tranches,
+ * covers in several assets, an accepted claim, an open claim and an incident.
+ * Relies on account impersonation and time travel, so it only runs on a hardhat network.
+ *
+ * @param {object} addresses - The deployed addresses, as written to ADDRESSES_FILE by the deploy script
+ * @param {object} scenario
+ * @param {number} scenario.members - The number of members to enroll
+ * @param {number} scenario.stakingPools - The number of staking pools to create, each managed by a different member
+ * @return {Promise<object[]>} The { role, address } of the accounts used by the scenario
+ */
+const seed = async (addresses, { members: memberCount, stakingPools: stakingPoolCount }) => {
+  const [deployer, ...signers] = await ethers.getSigners();
+
+  if (memberCount < Math.max(stakingPoolCount, 3) || memberCount > signers.length) {
+    throw new Error(`The scenario needs between ${Math.max(stakingPoolCount, 3)} and ${signers.length} members`);
+  }
+
+  const members = signers.slice(0, memberCount);
+  const assessors = members.slice(-2);
+
+  const mr = await ethers.getContractAt('MemberRoles', addresses.MemberRoles);
+  const tk = await ethers.getContractAt('NXMToken', addresses.NXMToken);
+  const cover = await ethers.getContractAt('Cover', addresses.Cover);
+  const stakingProducts = await ethers.getContractAt('StakingProducts', addresses.StakingProducts);
+  const spf = await ethers.getContractAt('StakingPoolFactory', addresses.StakingPoolFactory);
+  const ic = await ethers.getContractAt('IndividualClaims', addresses.IndividualClaims);
+  const yt = await ethers.getContractAt('YieldTokenIncidents', addresses.YieldTokenIncidents);
+  const as = await ethers.getContractAt('Assessment', addresses.Assessment);
+  const governanceSigner = await getImpersonatedSigner(addresses.Governance);
+  // the token controller is the only one allowed to mint NXM
+  const tokenControllerSigner = await getImpersonatedSigner(addresses.TokenController);
+
+  console.log(`Enrolling ${memberCount} members`);
+  // the deployer signs the membership approvals
+  await mr.connect(governanceSigner).setKycAuthAddress(deployer.address);
+  const joiningFee = await mr.joiningFee();
+  const { chainId } = await ethers.provider.getNetwork();
+  const memberNXM = STAKE_PER_DEPOSIT.mul(stakingPoolCount).add(ASSESSOR_STAKE).add(SPENDABLE_NXM);
+
+  for (const member of members) {
+    if (!(await mr.checkRole(member.address, Role.Member))) {
+      const approval = { address: member.address, nonce: 0, chainId, kycAuthSigner: deployer };
+      const signature = await signMembershipApproval(approval);
+      await mr.join(member.address, 0, signature, { value: joiningFee });
+    }
+
+    await tk.connect(tokenControllerSigner).mint(member.address, memberNXM);
+    await tk.connect(member).approve(addresses.TokenController, MaxUint256);
+  }
+
+  console.log(`Creating ${stakingPoolCount} staking pools`);
+  const stakingPools = [];
+
+  for (let i = 0; i < stakingPoolCount; i++) {
+    const manager = members[i];
+    const productParams = POOL_PRODUCTS.map(productId => ({
+      productId,
+      weight: Math.floor(100 / POOL_PRODUCTS.length),
+      initialPrice: 0, // overridden by the product initial price
+      targetPrice: 200 + i * 50, // 2%, 2.5%, ...
+    }));
+
+    const tx = await cover.connect(manager).createStakingPool(false, 5 + i, 20, productParams, '');
+    const { poolId, stakingPoolAddress } = await getEvent(tx, spf, 'StakingPoolCreated');
+    stakingPools.push({ poolId: poolId.toNumber(), manager, address: stakingPoolAddress });
+  }
+
+  console.log('Depositing to the staking pools');
+  const maxPeriod = daysToSeconds(Math.max(...COVERS.map(({ periodInDays }) => periodInDays)));
+  const gracePeriods = [];
+
+  for (const productId of POOL_PRODUCTS) {
+    const { productType } = await cover.products(productId);
+    const { gracePeriod } = await cover.productTypes(productType);
+    gracePeriods.push(gracePeriod);
+  }
+
+  const maxGracePeriod = Math.max(...gracePeriods);
+  const { timestamp: now } = await ethers.provider.getBlock('latest');
+  // the tranches that can back all the covers of the scenario
+  const trancheIds = getDepositTrancheIds(now, maxPeriod, maxGracePeriod);
+
+  for (const [i, { address }] of stakingPools.entries()) {
+    const stakingPool = await ethers.getContractAt('StakingPool', address);
+
+    // every member deposits to one of the tranches, the manager to the last one
+    for (const [j, member] of members.entries()) {
+      const trancheId = members[i] === member ? trancheIds[trancheIds.length - 1] : trancheIds[j % trancheIds.length];
+      await stakingPool.connect(member).depositTo(STAKE_PER_DEPOSIT, trancheId, 0, AddressZero);
+    }
+  }
+
+  // recalculates the effective weights now that the pools have stake
+  for (const { poolId, manager } of stakingPools) {
+    const params = POOL_PRODUCTS.map(productId => ({
+      productId,
+      recalculateEffectiveWeight: true,
+      setTargetWeight: false,
+      targetWeight: 0,
+      setTargetPrice: false,
+      targetPrice: 0,
+    }));
+    await stakingProducts.connect(manager).setProducts(poolId, params);
+  }
+
+  console.log('Buying covers');
+  const covers = [];
+
+  for (const [i, member] of members.entries()) {
+    const { productId, coverAsset, paymentAsset, amount, periodInDays } = COVERS[i % COVERS.length];
+    const { poolId } = stakingPools[i % stakingPools.length];
+    const coverAmount = parseUnits(amount, 18);
+
+    const tx = await cover.connect(member).buyCover(
+      {
+        coverId: 0, // new cover
+        owner: member.address,
+        productId,
+        coverAsset: PoolAsset[coverAsset],
+        amount: coverAmount,
+        period: daysToSeconds(periodInDays),
+        maxPremiumInAsset: coverAmount, // the premium is way lower, the excess eth is refunded
+        paymentAsset: paymentAsset === 'NXM' ? NXM_ASSET_ID : PoolAsset[paymentAsset],
+        commissionRatio: 0,
+        commissionDestination: AddressZero,
+        ipfsData: '',
+      },
+      [{ poolId, skip: false, coverAmountInAsset: coverAmount }],
+      { value: paymentAsset === 'ETH' ? coverAmount : 0 },
+    );
+
+    const { coverId } = await getEvent(tx, cover, 'CoverEdited');
+    covers.push({ coverId: coverId.toNumber(), owner: member, productId, coverAsset, amount: coverAmount });
+  }
+
+  const submitClaim = async ({ coverId, owner, coverAsset, amount }) => {
+    const { period } = await cover.coverSegmentWithRemainingAmount(coverId, 0);
+    const [deposit] = await ic.getAssessmentDepositAndReward(amount, period, PoolAsset[coverAsset]);
+    const tx = await ic.connect(owner).submitClaim(coverId, 0, amount, '', { value: deposit });
+    const { claimId } = await getEvent(tx, ic, 'ClaimSubmitted');
+    return ic.claims(claimId);
+  };
+
+  const [acceptedCover, openCover] = covers;
+
+  console.log(`Submitting a claim on cover ${acceptedCover.coverId} and accepting it`);
+  const { assessmentId } = await submitClaim(acceptedCover);
+
+  for (const assessor of assessors) {
+    await as.connect(assessor).castVotes([assessmentId], [true], [''], ASSESSOR_STAKE);
+  }
+
+  // fast forwards past the voting and the cooldown periods, the payout can then be redeemed
+  const { poll } = await as.assessments(assessmentId);
+  const { payoutCooldownInDays } = await as.config();
+  await setNextBlockTime(poll.end + daysToSeconds(payoutCooldownInDays) + 1);
+  await mineNextBlock();
+
+  console.log(`Submitting an open claim on cover ${openCover.coverId}`);
+  await submitClaim(openCover);
+
+  console.log(`Submitting an incident on product ${INCIDENT_PRODUCT_ID}`);
+  const { timestamp: incidentDate } = await ethers.provider.getBlock('latest');
+  await yt.connect(governanceSigner).submitIncident(
+    INCIDENT_PRODUCT_ID,
+    parseEther('1.1'), // price before
+    incidentDate - daysToSeconds(1),
+    parseEther('100'), // expected payout in NXM
+    '',
+  );
+
+  const stakedNXM = STAKE_PER_DEPOSIT.mul(members.length * stakingPools.length);
+  console.log(`Staked ${formatEther(stakedNXM)} NXM in ${stakingPools.length} pools, bought ${covers.length} covers`);
+
+  return [
+    { role: 'deployer, kyc authority', address: deployer.address },
+    ...members.map((member, i) => {
+      const roles = ['member'];
+      i < stakingPools.length && roles.push(`staking pool ${stakingPools[i].poolId} manager`);
+      assessors.includes(member) && roles.push('assessor');
+      member === acceptedCover.owner && roles.push(`cover ${acceptedCover.coverId} owner, accepted claim`);
+      member === openCover.owner && roles.push(`cover ${openCover.coverId} owner, open claim`);
+      return { role: roles.join(', '), address: member.address };
+    }),
+  ];
+};
+
+// seeds an existing deployment, i.e. a hardhat node started separately
+const main = async () => {
+  const { ADDRESSES_FILE, DEVNET_MEMBERS = '10', DEVNET_STAKING_POOLS = '3' } = process.env;
+
+  if (!ADDRESSES_FILE) {
+    console.log('ADDRESSES_FILE env var is required');
+    process.exit(1);
+  }
+
+  if (!['hardhat', 'localhost'].includes(network.name)) {
+    console.log('The seed script impersonates accounts and can only run on a hardhat node');
+    process.exit(1);
+  }
+
+  const addresses = JSON.parse(fs.readFileSync(path.resolve(ADDRESSES_FILE), 'utf8'));
+  const scenario = { members: parseInt(DEVNET_MEMBERS, 10), stakingPools: parseInt(DEVNET_STAKING_POOLS, 10) };
+  const accounts = await seed(addresses, scenario);
+
+  for (const { role, address } of accounts) {
+    console.log(`${address}  ${role}`);
+  }
+};
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(async error => {
+      console.error('An unexpected error encountered:', error);
+
+      try {
+        const { formatError } = await loadErrorDecoder(artifacts);
+        console.error('Decoded error:', formatError(error));
+      } catch (decodingError) {
+        console.error('The error could not be decoded:', decodingError);
+      }
+
+      process.exit(1);
+    });
+}
+
+module.exports = seed;
@@ -1,5 +1,9 @@
-const { ethers, run, config } = require('hardhat');
+const fs = require('fs');
+const { artifacts, ethers, run, config } = require('hardhat');
+const path = require('path');
+
 const { sleep, to } = require(`${config.paths.root}/lib/helpers`);
+const { buildVerificationBundle } = require(`${config.paths.root}/lib/verification-bundle`);
 
 module.exports = () => {
   const contracts = {};
@@ -9,15 +13,18 @@ module.exports = () => {
   // abiFilename - will append ".json" and dump the abi there (for ui). ex: ERC20
   // alias - same contract can be deployed multiple times and refered to differently. ex: DAI
   const add = (address, fqName, options = {}) => {
-    const { constructorArgs, libraries, isProxy } = options;
+    const { libraries, isProxy } = options;
     const implFqName = options.implFqName || fqName;
     const shortImplName = implFqName.split(':').pop();
     const alias = options.alias || shortImplName;
     const abiFilename = options.abiFilename || shortImplName;
 
-    if (contracts[address]) {
-      const previousName = contracts[address].alias;
-      console.log(`Replacing ${previousName} with ${alias} at ${address}`);
+    // a proxy is added again when upgraded, but it keeps the constructor args it was deployed with
+    const previous = contracts[address];
+    const constructorArgs = previous && previous.fqName === fqName ? previous.constructorArgs : options.constructorArgs;
+
+    if (previous) {
+      console.log(`Replacing ${previous.alias} with ${alias} at ${address}`);
     }
 
     contracts[address] = { address, fqName, implFqName, abiFilename, alias, constructorArgs, libraries, isProxy };
@@ -91,5 +98,19 @@ module.exports = () => {
     }
   };
 
-  return { add, dump, submit, contracts: () => contracts, getContractList };
+  // writes a verification bundle per contract, to verify them on any explorer later or check them offline
+  const writeBundles = async bundleDir => {
+    fs.mkdirSync(bundleDir, { recursive: true });
+
+    for (const contract of Object.values(contracts)) {
+      const code = await ethers.provider.getCode(contract.address);
+      const bundle = await buildVerificationBundle(artifacts, contract, code);
+      const bundleFile = path.join(bundleDir, `${bundle.alias}-${bundle.address}.json`);
+      fs.writeFileSync(bundleFile, JSON.stringify(bundle, null, 2));
+    }
+
+    console.log(`Wrote ${Object.keys(contracts).length} verification bundles to ${bundleDir}`);
+  };
+
+  return { add, dump, submit, writeBundles, contracts: () => contracts, getContractList };
 };
@@ -0,0 +1,113 @@
+require('dotenv').config();
+const fs = require('fs');
+const { ethers } = require('hardhat');
+
+const addressesByChainId = require('../deployments/src/addresses.json');
+const { fetchMemberBalances, toCsv, toJson } = require('../lib/member-balances');
+const { Role } = require('../lib/constants');
+
+const { isAddress } = ethers.utils;
+
+const usage = () => {
+  console.log('Usage: HARDHAT_NETWORK=<network> node scripts/member-balances.js [options] [address...]');
+  console.log('');
+  console.log('Prints the NXM balance breakdown of the given members, or of all active members if none are given.');
+  console.log('');
+  console.log('Options:');
+  console.log('  --csv              Output CSV instead of JSON');
+  console.log('  --out <file>       Write the output to a file instead of stdout');
+  console.log('  --block <number>   Read the balances at the given block');
+};
+
+const parseArgs = argv => {
+  const args = { format: 'json', out: undefined, blockTag: 'latest', members: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--help' || arg === '-h') {
+      usage();
+      process.exit(0);
+    }
+
+    if (arg === '--csv') {
+      args.format = 'csv';
+      continue;
+    }
+
+    if (arg === '--out') {
+      args.out = argv[++i];
+      continue;
+    }
+
+    if (arg === '--block') {
+      args.blockTag = parseInt(argv[++i], 10);
+      continue;
+    }
+
+    if (!isAddress(arg)) {
+      console.error(`Invalid address: ${arg}`);
+      usage();
+      process.exit(1);
+    }
+
+    args.members.push(arg);
+  }
+
+  return args;
+};
+
+const getActiveMembers = async (memberRoles, blockTag) => {
+  const count = await memberRoles.membersLength(Role.Member, { blockTag });
+  const members = [];
+
+  for (let i = 0; i < count; i++) {
+    const [member, active] = await memberRoles.memberAtIndex(Role.Member, i, { blockTag });
+    if (active) {
+      members.push(member);
+    }
+  }
+
+  return members;
+};
+
+async function main() {
+  const { format, out, blockTag, members: requestedMembers } = parseArgs(process.argv.slice(2));
+  const { chainId } = await ethers.provider.getNetwork();
+  const addresses = addressesByChainId[chainId];
+
+  if (!addresses) {
+    throw new Error(`No addresses found for chain id ${chainId} in deployments/src/addresses.json`);
+  }
+
+  const contracts = {
+    tokenController: await ethers.getContractAt('TokenController', addresses.TokenController),
+    nxm: await ethers.getContractAt('NXMToken', addresses.NXMToken),
+    pooledStaking: await ethers.getContractAt('LegacyPooledStaking', addresses.LegacyPooledStaking),
+    assessment: await ethers.getContractAt('Assessment', addresses.Assessment),
+    governance: await ethers.getContractAt('Governance', addresses.Governance),
+  };
+
+  const memberRoles = await ethers.getContractAt('MemberRoles', addresses.MemberRoles);
+  const members = requestedMembers.length > 0 ? requestedMembers : await getActiveMembers(memberRoles, blockTag);
+  const balances = [];
+
+  for (const member of members) {
+    console.error(`Fetching balances of ${member}`);
+    balances.push(await fetchMemberBalances(contracts, member, blockTag));
+  }
+
+  const output = format === 'csv' ? toCsv(balances) : toJson(balances);
+
+  if (out) {
+    fs.writeFileSync(out, output);
+    console.error(`Written ${balances.length} members to ${out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main().catch(e => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,136 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const addressesByChainId = require('../deployments/src/addresses.json');
+const { createMembershipApprover } = require('../lib/membership');
+
+const {
+  PROVIDER_URL,
+  KYC_AUTH_PRIVATE_KEY,
+  KYC_AUTH_KEYSTORE,
+  KYC_AUTH_KEYSTORE_PASSWORD,
+  MEMBER_ROLES_ADDRESS,
+  APPROVALS_AUTH_TOKEN,
+  APPROVALS_LOG = path.join(__dirname, '../membership-approvals.log'),
+  HOST = '127.0.0.1',
+  PORT = '3001',
+} = process.env;
+
+const MAX_BODY_SIZE = 1024;
+
+const memberRolesAbi = [
+  'function kycAuthAddress() view returns (address)',
+  'function isMember(address member) view returns (bool)',
+  'function usedMessageHashes(bytes32 hash) view returns (bool)',
+];
+
+const loadSigner = async provider => {
+  if (KYC_AUTH_PRIVATE_KEY) {
+    return new ethers.Wallet(KYC_AUTH_PRIVATE_KEY, provider);
+  }
+
+  if (KYC_AUTH_KEYSTORE) {
+    const json = fs.readFileSync(KYC_AUTH_KEYSTORE, 'utf8');
+    const wallet = await ethers.Wallet.fromEncryptedJson(json, KYC_AUTH_KEYSTORE_PASSWORD || '');
+    return wallet.connect(provider);
+  }
+
+  throw new Error('Either KYC_AUTH_PRIVATE_KEY or KYC_AUTH_KEYSTORE must be set');
+};
+
+const readBody = req =>
+  new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+
+const respond = (res, status, data) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+const isAuthorized = (req, authToken) => {
+  const expected = Buffer.from(`Bearer ${authToken}`);
+  const actual = Buffer.from(req.headers.authorization || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+const createHandler = (approver, authToken) => async (req, res) => {
+  if (req.method === 'GET' && req.url === '/health') {
+    return respond(res, 200, { signer: approver.signerAddress, chainId: approver.chainId });
+  }
+
+  if (req.method !== 'POST' || req.url !== '/approvals') {
+    return respond(res, 404, { error: 'Not found' });
+  }
+
+  if (!isAuthorized(req, authToken)) {
+    return respond(res, 401, { error: 'Unauthorized' });
+  }
+
+  let address;
+
+  try {
+    ({ address } = JSON.parse(await readBody(req)));
+  } catch (e) {
+    return respond(res, 400, { error: 'Expected a JSON body with an address field' });
+  }
+
+  try {
+    const approval = await approver.approve(address);
+    console.log(`Issued approval for ${approval.address} with nonce ${approval.nonce}`);
+    return respond(res, 200, approval);
+  } catch (e) {
+    // assertion errors are caused by the request, anything else is on our side
+    const status = e.code === 'ERR_ASSERTION' ? 400 : 500;
+    console.error(`Failed to issue approval for ${address}: ${e.message}`);
+    return respond(res, status, { error: e.message });
+  }
+};
+
+async function main() {
+  if (!APPROVALS_AUTH_TOKEN) {
+    throw new Error('APPROVALS_AUTH_TOKEN must be set, requests must send it as a bearer token');
+  }
+
+  const provider = new ethers.providers.JsonRpcProvider(PROVIDER_URL);
+  const kycAuthSigner = await loadSigner(provider);
+  const { chainId } = await provider.getNetwork();
+  const memberRolesAddress = MEMBER_ROLES_ADDRESS || (addressesByChainId[chainId] || {}).MemberRoles;
+
+  if (!memberRolesAddress) {
+    throw new Error(`MemberRoles address unknown for chain id ${chainId}, set MEMBER_ROLES_ADDRESS`);
+  }
+
+  const memberRoles = new ethers.Contract(memberRolesAddress, memberRolesAbi, provider);
+
+  const approver = await createMembershipApprover({ memberRoles, kycAuthSigner, logFile: APPROVALS_LOG });
+  const server = http.createServer(createHandler(approver, APPROVALS_AUTH_TOKEN));
+
+  server.listen(parseInt(PORT, 10), HOST, () => {
+    console.log(`Signing membership approvals as ${approver.signerAddress} on chain ${approver.chainId}`);
+    console.log(`Logging issued approvals to ${APPROVALS_LOG}`);
+    console.log(`Listening on http://${HOST}:${PORT}`);
+  });
+}
+
+if (require.main === module) {
+  main().catch(e => {
+    console.error(e);
+    process.exit(1);
+  });
+}
+
+module.exports = { createHandler };
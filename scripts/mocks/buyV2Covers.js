@@ -1,5 +1,7 @@
-const { network, ethers } = require('hardhat');
+const { artifacts, network, ethers } = require('hardhat');
 const { BigNumber } = require('ethers');
+
+const { loadErrorDecoder } = require('../../lib/errors');
 const { AddressZero } = ethers.constants;
 const { formatEther, parseEther, formatUnits } = ethers.utils;
 
@@ -146,7 +148,15 @@ async function main() {
   process.exit(0);
 }
 
-main().catch(error => {
+main().catch(async error => {
   console.error('An unexpected error encountered:', error);
+
+  try {
+    const { formatError } = await loadErrorDecoder(artifacts);
+    console.error('Decoded error:', formatError(error));
+  } catch (decodingError) {
+    console.error('The error could not be decoded:', decodingError);
+  }
+
   process.exit(1);
 });
@@ -3,6 +3,8 @@ const { CONTRACTS_ADDRESSES: Addresses } = require(process.env.CONFIG_FILE);
 const { bytesToHex, hexToBytes } = require('ethereum-cryptography/utils');
 const { keccak256 } = require('ethereum-cryptography/keccak');
 
+const { getActiveTrancheRange } = require('../../lib/staking-time');
+
 const { BigNumber } = ethers;
 const { AddressZero, MaxUint256 } = ethers.constants;
 const { getCreate2Address, formatEther, parseEther, hexValue } = ethers.utils;
@@ -84,8 +86,7 @@ async function main() {
 
   // staking inputs
   const { timestamp: now } = await ethers.provider.getBlock('latest');
-  const firstActiveTrancheId = Math.floor(now / (91 * 24 * 3600));
-  const lastActiveTrancheId = firstActiveTrancheId + 7;
+  const { maxTrancheId: lastActiveTrancheId } = getActiveTrancheRange(now);
 
   console.log('Deposit to staking pool id: 1');
   const stakingPoolOne = await getStakingPool(1, owner);
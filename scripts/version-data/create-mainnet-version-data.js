@@ -2,79 +2,33 @@ const fs = require('fs');
 const path = require('path');
 const ethers = require('ethers');
 
-const artifactByCode = {
-  CD: 'contracts/modules/claims/ClaimsData.sol/ClaimsData.json',
-  CL: 'contracts/modules/claims/Claims.sol/Claims.json',
-  CP: 'contracts/modules/claims/ClaimProofs.sol/ClaimProofs.json',
-  CR: 'contracts/modules/claims/ClaimsReward.sol/ClaimsReward.json',
-  GV: 'contracts/modules/governance/Governance.sol/Governance.json',
-  GW: 'contracts/modules/cover/Gateway.sol/Gateway.json',
-  CI: 'contracts/modules/claims/IndividualClaims.sol/IndividualClaims.json',
-  CG: 'contracts/modules/claims/YieldTokenIncidents.sol/YieldTokenIncidents.json',
-  AS: 'contracts/modules/claims/Assessment.sol/Assessment.json',
-  CO: 'contracts/modules/claims/Cover.sol/Cover.json',
-  MC: 'contracts/modules/capital/MCR.sol/MCR.json',
-  MR: 'contracts/modules/governance/MemberRoles.sol/MemberRoles.json',
-  NXMASTER: 'contracts/modules/governance/NXMaster.sol/NXMaster.json',
-  NXMTOKEN: 'contracts/modules/token/NXMToken.sol/NXMToken.json',
-  P1: 'contracts/modules/capital/Pool.sol/Pool.json',
-  PC: 'contracts/modules/governance/ProposalCategory.sol/ProposalCategory.json',
-  PS: 'contracts/modules/staking/PooledStaking.sol/PooledStaking.json',
-  QD: 'contracts/modules/cover/QuotationData.sol/QuotationData.json',
-  QT: 'contracts/modules/cover/Quotation.sol/Quotation.json',
-  SO: 'contracts/modules/capital/SwapOperator.sol/SwapOperator.json',
-  TC: 'contracts/modules/token/TokenController.sol/TokenController.json',
-  TD: 'contracts/modules/token/TokenData.sol/TokenData.json',
-  TF: 'contracts/modules/token/TokenFunctions.sol/TokenFunctions.json',
-  PRICEORACLE: 'contracts/modules/oracles/PriceFeedOracle.sol/PriceFeedOracle.json',
-  TWAP: 'contracts/modules/oracles/TwapOracle.sol/TwapOracle.json',
-  DF: 'contracts/modules/distributor/DistributorFactory.sol/DistributorFactory.json',
-  CSI: '../scripts/external/CommunityStakingIncentives.json',
-  // external
-  DAI: '@openzeppelin/contracts/token/ERC20/ERC20.sol/ERC20.json',
-  stETH: '@openzeppelin/contracts/token/ERC20/ERC20.sol/ERC20.json',
-  'CHAINLINK-DAI-ETH': 'contracts/modules/oracles/PriceFeedOracle.sol/Aggregator.json',
-};
+const { getContractByName } = require('../../lib/contract-registry');
 
-const contractCodeByName = {
-  LegacyClaimsData: 'CD',
-  LegacyClaims: 'CL',
-  LegacyClaimsReward: 'CR',
-  LegacyClaimProofs: 'CP',
-  QuotationData: 'QD',
-  Quotation: 'QT',
-  PooledStaking: 'PS',
-  TokenFunctions: 'TF',
-  PriceFeedOracle: 'PRICEORACLE',
-  TwapOracle: 'TWAP',
-  CommunityStakingIncentives: 'CSI',
-  DistributorFactory: 'DF',
-  // external
-  Aggregator: 'CHAINLINK-DAI-ETH',
-  Dai: 'DAI',
-  // v2
-  TokenController: 'TC',
-  SwapOperator: 'SO',
-  Gateway: 'GW',
-  TokenData: 'TD',
-  MemberRoles: 'MR',
-  NXMaster: 'NXMASTER',
-  NXMToken: 'NXMTOKEN',
-  ProposalCategory: 'PC',
-  Governance: 'GV',
-  MCR: 'MC',
-  IndividualClaims: 'CI',
-  YieldTokenIncidents: 'CG',
-  Assessment: 'AS',
-  Cover: 'CO',
-  Pool: 'P1',
+// external contracts, not tracked in the registry
+const externalContracts = {
+  Dai: { code: 'DAI', artifact: '@openzeppelin/contracts/token/ERC20/ERC20.sol:ERC20' },
+  stETH: { code: 'stETH', artifact: '@openzeppelin/contracts/token/ERC20/ERC20.sol:ERC20' },
+  Aggregator: { code: 'CHAINLINK-DAI-ETH', artifact: 'contracts/interfaces/IPriceFeedOracle.sol:Aggregator' },
 };
 
 const rootPath = path.normalize(path.join(__dirname, '..'));
+const artifactsPath = path.normalize(path.join(__dirname, '../../artifacts'));
 const addresses = require(`${rootPath}/deploy/mainnet-input.json`);
 
-const getContractAbi = code => {
-  const artifactPath = `${rootPath}/artifacts/${artifactByCode[code]}`;
+const getContract = name => {
+  const contract = getContractByName(name) || externalContracts[name];
+
+  if (!contract || !contract.artifact) {
+    console.log(`No artifact found for ${name}`);
+    process.exit(1);
+  }
+
+  return contract;
+};
+
+const getContractAbi = fullyQualifiedName => {
+  const [sourceName, contractName] = fullyQualifiedName.split(':');
+  const artifactPath = `${artifactsPath}/${sourceName}/${contractName}.json`;
   const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
   return JSON.stringify(artifact.abi);
 };
@@ -87,11 +41,13 @@ const versionData = Object.keys(addresses).map(name => {
     process.exit(1);
   }
 
+  const { code, artifact } = getContract(name);
+
   return {
-    code: contractCodeByName[name],
+    code,
     address,
     contractName: name,
-    contractAbi: getContractAbi(contractCodeByName[name]),
+    contractAbi: getContractAbi(artifact),
   };
 });
 
@@ -4,6 +4,7 @@ const assert = require('assert');
 
 const { setEtherBalance } = require('../utils/evm');
 const { ProposalCategory: PROPOSAL_CATEGORIES } = require('../../lib/constants');
+const { getTrancheId } = require('../../lib/staking-time');
 const { parseEther, defaultAbiCoder, keccak256 } = ethers.utils;
 const { BigNumber } = ethers;
 
@@ -148,7 +149,7 @@ async function submitMemberVoteGovernanceProposal(categoryId, actionData, signer
 
 async function calculateCurrentTrancheId() {
   const lastBlock = await ethers.provider.getBlock('latest');
-  return Math.floor(lastBlock.timestamp / (91 * 24 * 3600));
+  return getTrancheId(lastBlock.timestamp);
 }
 
 const getSigner = async address => {
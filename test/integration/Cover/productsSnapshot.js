@@ -0,0 +1,100 @@
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+
+const setup = require('../setup');
+const { productsSnapshot } = require('../../../lib');
+
+const { buildProductsSnapshot, getAllowedPools } = productsSnapshot;
+const { AddressZero, MaxUint256 } = ethers.constants;
+
+describe('productsSnapshot', function () {
+  it('snapshots the product types and products listed in Cover', async function () {
+    const fixture = await loadFixture(setup);
+    const { cover, ybETH } = fixture.contracts;
+
+    const snapshot = await buildProductsSnapshot(cover);
+
+    expect(snapshot.blockNumber).to.be.equal(await ethers.provider.getBlockNumber());
+    expect(snapshot.productTypes.map(({ name }) => name)).to.be.deep.equal(['Protocol', 'Custody', 'Yield Token']);
+    expect(snapshot.productTypes[2]).to.be.deep.equal({
+      id: 2,
+      name: 'Yield Token',
+      claimMethod: 1,
+      gracePeriod: 14 * 24 * 3600,
+      ipfsMetadata: 'yieldTokenCoverIPFSHash',
+    });
+
+    expect(snapshot.products).to.have.lengthOf((await cover.productsCount()).toNumber());
+    expect(snapshot.products[0].yieldTokenAddress).to.be.equal(AddressZero);
+    expect(snapshot.products[2]).to.be.deep.include({
+      id: 2,
+      name: 'Product 2',
+      productType: 2,
+      yieldTokenAddress: ybETH.address,
+      coverAssets: 0b01,
+      isDeprecated: false,
+      useFixedPrice: false,
+      ipfsMetadata: 'product 2 metadata',
+      allowedPools: [],
+    });
+
+    // allowed pools are only stored for fixed price products
+    expect(snapshot.products[4].allowedPools).to.be.deep.equal([1, 7]);
+    expect(snapshot.products[6].allowedPools).to.be.deep.equal([]);
+    expect(snapshot.products[7].isDeprecated).to.be.equal(true);
+  });
+
+  it('keeps the name and uses the latest metadata of edited products', async function () {
+    const fixture = await loadFixture(setup);
+    const { cover } = fixture.contracts;
+    const [advisoryBoardMember] = fixture.accounts.advisoryBoardMembers;
+
+    const product = await cover.products(4);
+    await cover.connect(advisoryBoardMember).setProducts([
+      {
+        productName: '',
+        productId: 4,
+        ipfsMetadata: 'product 4 updated metadata',
+        product: { ...product, isDeprecated: true },
+        allowedPools: [2],
+      },
+      {
+        productName: 'Product 8',
+        productId: MaxUint256,
+        ipfsMetadata: 'product 8 metadata',
+        product: { ...product, useFixedPrice: false },
+        allowedPools: [],
+      },
+    ]);
+
+    const { products } = await buildProductsSnapshot(cover);
+
+    expect(products[4]).to.be.deep.include({
+      name: 'Product 4',
+      isDeprecated: true,
+      ipfsMetadata: 'product 4 updated metadata',
+      allowedPools: [2],
+    });
+    expect(products[8]).to.be.deep.include({ name: 'Product 8', ipfsMetadata: 'product 8 metadata' });
+    expect(await getAllowedPools(cover, 8)).to.be.deep.equal([]);
+  });
+
+  it('rethrows the errors other than the revert past the end of the allowed pools', async function () {
+    const fixture = await loadFixture(setup);
+    const { cover } = fixture.contracts;
+
+    const networkError = Object.assign(new Error('missing response'), { code: 'SERVER_ERROR' });
+    const failingCover = {
+      allowedPools: async (productId, index) => {
+        if (index > 0) {
+          throw networkError;
+        }
+        return cover.allowedPools(productId, index);
+      },
+    };
+
+    await expect(getAllowedPools(failingCover, 4)).to.be.rejectedWith('missing response');
+    expect(await getAllowedPools(cover, 4)).to.be.deep.equal([1, 7]);
+  });
+});
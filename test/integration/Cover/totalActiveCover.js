@@ -4,6 +4,7 @@ const { daysToSeconds } = require('../../../lib/helpers');
 const { mineNextBlock, setNextBlockTime, setEtherBalance } = require('../../utils/evm');
 const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
 const setup = require('../setup');
+const { stakingTime } = require('../../../lib');
 
 const { parseEther } = ethers.utils;
 const { AddressZero } = ethers.constants;
@@ -54,15 +55,11 @@ async function totalActiveCoverSetup() {
 }
 
 describe('totalActiveCover', function () {
-  function calculateFirstTrancheId(lastBlock, period, gracePeriod) {
-    return Math.floor((lastBlock.timestamp + period + gracePeriod) / daysToSeconds(91));
-  }
-
   async function stake({ stakingPool, staker, period, gracePeriod }) {
     // Staking inputs
     const stakingAmount = parseEther('6000');
     const lastBlock = await ethers.provider.getBlock('latest');
-    const firstTrancheId = calculateFirstTrancheId(lastBlock, period, gracePeriod);
+    const firstTrancheId = stakingTime.getFirstTrancheIdForCover(lastBlock.timestamp, period, gracePeriod);
 
     // Stake to open up capacity
     await stakingPool.connect(staker).depositTo(stakingAmount, firstTrancheId, 0, AddressZero);
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+
+const { readJournal } = require('../../../lib/deployment-manifest');
+
+const deployScript = require.resolve('../../../scripts/deploy/deploy');
+
+// the step whose journal entry is lost, as if the deployment crashed right after its transaction was mined
+const CRASHED_STEP = 10;
+
+// the output directories of the deployments, removed once the tests are done
+const outputDirs = [];
+
+// runs the deploy script with the given env, returning its logs
+const runDeploy = async env => {
+  const previousEnv = { ...process.env };
+  const log = console.log;
+  const logs = [];
+
+  Object.assign(process.env, env);
+  console.log = (...args) => logs.push(args.join(' '));
+  // the script reads the env and creates the journal when it's loaded
+  delete require.cache[deployScript];
+
+  try {
+    await require(deployScript)();
+    return logs;
+  } finally {
+    console.log = log;
+    process.env = previousEnv;
+  }
+};
+
+const copyJournal = (fixture, transform = lines => lines) => {
+  const journalFile = path.join(fixture.outputDir, `journal-${Date.now()}.jsonl`);
+  const lines = fs.readFileSync(fixture.journalFile, 'utf8').trim().split('\n').map(JSON.parse);
+  fs.writeFileSync(
+    journalFile,
+    transform(lines)
+      .map(line => JSON.stringify(line) + '\n')
+      .join(''),
+  );
+  return journalFile;
+};
+
+async function crashedDeployment() {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+  outputDirs.push(outputDir);
+  const env = {
+    ABI_DIR: path.join(outputDir, 'abis'),
+    ADDRESSES_FILE: path.join(outputDir, 'addresses.json'),
+    DEPLOYMENT_JOURNAL: path.join(outputDir, 'journal.jsonl'),
+  };
+
+  const appendFileSync = fs.appendFileSync;
+  const crashError = new Error('Crashed');
+
+  fs.appendFileSync = (file, data, ...args) => {
+    const entry = JSON.parse(data);
+
+    if (file === env.DEPLOYMENT_JOURNAL && entry.step === CRASHED_STEP && !entry.pending) {
+      throw crashError;
+    }
+
+    return appendFileSync(file, data, ...args);
+  };
+
+  try {
+    await expect(runDeploy(env)).to.be.rejectedWith(crashError);
+  } finally {
+    fs.appendFileSync = appendFileSync;
+  }
+
+  return { outputDir, env, journalFile: env.DEPLOYMENT_JOURNAL, crashedJournal: readJournal(env.DEPLOYMENT_JOURNAL) };
+}
+
+async function resumedDeployment() {
+  const fixture = await loadFixture(crashedDeployment);
+  const logs = await runDeploy(fixture.env);
+  return { ...fixture, logs, journal: readJournal(fixture.journalFile) };
+}
+
+describe('deployment journal', function () {
+  after(function () {
+    outputDirs.forEach(outputDir => fs.rmSync(outputDir, { recursive: true, force: true }));
+  });
+
+  it('resumes a crashed deployment from the journal', async function () {
+    const { crashedJournal, journal, logs, env } = await loadFixture(resumedDeployment);
+    // the crashed step only has its pending entry, written before the transaction was sent
+    const pendingEntry = crashedJournal[crashedJournal.length - 1];
+    const [firstEntry] = crashedJournal.filter(entry => !entry.pending);
+
+    expect(pendingEntry).to.deep.include({ step: CRASHED_STEP, pending: true });
+    expect(logs).to.include(`Resuming the deployment from ${env.DEPLOYMENT_JOURNAL}, ${CRASHED_STEP} steps completed`);
+    expect(logs).to.include(`Skipping step 0 "${firstEntry.description}", sent in ${firstEntry.txHash}`);
+    expect(logs.filter(line => line.startsWith('Skipping step'))).to.have.lengthOf(CRASHED_STEP + 1);
+    expect(logs).to.include(
+      `Skipping step ${CRASHED_STEP} "${pendingEntry.description}", mined after the previous run stopped`,
+    );
+
+    // every step is recorded once after its pending entry, the crashed one is recovered from the chain
+    const completedEntries = journal.filter(entry => !entry.pending);
+    expect(completedEntries.map(({ step }) => step)).to.be.deep.equal([...completedEntries.keys()]);
+
+    const { txHash } = completedEntries[CRASHED_STEP];
+    const tx = await ethers.provider.getTransaction(txHash);
+    expect(tx.nonce).to.be.equal(pendingEntry.nonce);
+
+    for (const entry of completedEntries) {
+      expect(entry.dataHash).to.match(/^0x[0-9a-f]{64}$/, `step ${entry.step} has no data hash`);
+    }
+
+    const addresses = JSON.parse(fs.readFileSync(env.ADDRESSES_FILE, 'utf8'));
+    const masterEntry = completedEntries.find(entry => entry.description === 'deploy DisposableNXMaster proxy');
+    expect(addresses.NXMaster).to.be.equal(masterEntry.address);
+  });
+
+  it('skips every step of a completed deployment', async function () {
+    const fixture = await loadFixture(resumedDeployment);
+    const journalFile = copyJournal(fixture);
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    const logs = await runDeploy({ ...fixture.env, DEPLOYMENT_JOURNAL: journalFile });
+
+    const completedSteps = fixture.journal.filter(entry => !entry.pending).length;
+    expect(logs.filter(line => line.startsWith('Skipping step'))).to.have.lengthOf(completedSteps);
+    expect(await ethers.provider.getBlockNumber()).to.be.equal(blockNumber);
+    expect(readJournal(journalFile)).to.be.deep.equal(readJournal(fixture.journalFile));
+  });
+
+  it('fails when a step of the journal does not match the deploy script', async function () {
+    const fixture = await loadFixture(resumedDeployment);
+    const journalFile = copyJournal(fixture, lines =>
+      lines.map(line => (line.step === 3 ? { ...line, description: 'deploy Something' } : line)),
+    );
+
+    await expect(runDeploy({ ...fixture.env, DEPLOYMENT_JOURNAL: journalFile })).to.be.rejectedWith(
+      `Step 3 "deploy Something" of ${journalFile} does not match the current step`,
+    );
+  });
+
+  it('fails when a step of the journal was sent with different arguments', async function () {
+    const fixture = await loadFixture(resumedDeployment);
+    const journalFile = copyJournal(fixture);
+
+    const profile = JSON.parse(fs.readFileSync(path.join(__dirname, '../../../scripts/deploy/profiles/local.json')));
+    const profileFile = path.join(fixture.outputDir, 'profile.json');
+    fs.writeFileSync(profileFile, JSON.stringify({ ...profile, tokenSupply: '1000' }));
+
+    const { step } = fixture.journal.find(entry => entry.description === 'deploy NXMToken');
+
+    await expect(
+      runDeploy({ ...fixture.env, DEPLOYMENT_JOURNAL: journalFile, DEPLOYMENT_PROFILE: profileFile }),
+    ).to.be.rejectedWith(`Step ${step} "deploy NXMToken" of ${journalFile} was sent with different arguments`);
+  });
+});
@@ -0,0 +1,110 @@
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+
+const setup = require('../setup');
+const { ProposalCategory, ContractTypes } = require('../utils').constants;
+const { submitProposal } = require('../utils').governance;
+const { hex } = require('../utils').helpers;
+const { governanceActions } = require('../../../lib');
+
+const { defaultAbiCoder, parseEther } = ethers.utils;
+
+describe('governanceActions', function () {
+  it('encodes the same action data as the hand encoded version', async function () {
+    const fixture = await loadFixture(setup);
+    const { master } = fixture.contracts;
+
+    const code = hex('XX');
+    const address = fixture.accounts.defaultSender.address;
+    const expected = defaultAbiCoder.encode(
+      ['bytes2[]', 'address[]', 'uint[]'],
+      [[code], [address], [ContractTypes.Replaceable]],
+    );
+
+    const positional = governanceActions.encodeAction(ProposalCategory.newContracts, [
+      [code],
+      [address],
+      [ContractTypes.Replaceable],
+    ]);
+
+    const named = governanceActions.encodeAction(
+      ProposalCategory.newContracts,
+      { newContractCodes: [code], newAddresses: [address], _types: [ContractTypes.Replaceable] },
+      master.interface,
+    );
+
+    expect(positional).to.be.equal(expected);
+    expect(named).to.be.equal(expected);
+  });
+
+  it('executes an encoded action and decodes it back from the proposal', async function () {
+    const fixture = await loadFixture(setup);
+    const { master, gv } = fixture.contracts;
+
+    const MMockNewContract = await ethers.getContractFactory('MMockNewContract');
+    const newContract = await MMockNewContract.deploy();
+    const code = hex('XX');
+
+    const actionData = governanceActions.encodeAction(
+      ProposalCategory.newContracts,
+      { newContractCodes: [code], newAddresses: [newContract.address], _types: [ContractTypes.Replaceable] },
+      master.interface,
+    );
+
+    const proposalId = await submitProposal(gv, ProposalCategory.newContracts, actionData, [
+      fixture.accounts.defaultSender,
+      ...fixture.accounts.advisoryBoardMembers,
+    ]);
+
+    expect(await master.getLatestAddress(code)).to.be.equal(newContract.address);
+    await newContract.mint(fixture.accounts.defaultSender.address, parseEther('1'));
+
+    const { category } = await gv.proposal(proposalId);
+    const [, storedAction] = await gv.getSolutionAction(proposalId, 1);
+    const decoded = governanceActions.decodeAction(category.toNumber(), storedAction, master.interface);
+
+    expect(decoded.name).to.be.equal('Add new contracts');
+    expect(decoded.contractCode).to.be.equal('MS');
+    expect(decoded.signature).to.be.equal('addNewInternalContracts(bytes2[],address[],uint256[])');
+    expect(decoded.args.newContractCodes).to.be.deep.equal([code]);
+    expect(decoded.args.newAddresses).to.be.deep.equal([newContract.address]);
+    expect(decoded.args._types[0]).to.be.equal(ContractTypes.Replaceable);
+  });
+
+  it('decodes positionally without an abi', async function () {
+    const actionData = governanceActions.encodeAction(ProposalCategory.nxmFunding, [
+      '0x0000000000000000000000000000000000000001',
+      parseEther('10'),
+    ]);
+
+    const { args, signature } = governanceActions.decodeAction(ProposalCategory.nxmFunding, actionData);
+
+    expect(signature).to.be.equal('mint(address,uint256)');
+    expect(args[0]).to.be.equal('0x0000000000000000000000000000000000000001');
+    expect(args[1]).to.be.equal(parseEther('10'));
+  });
+
+  it('validates the category and the arguments', async function () {
+    const fixture = await loadFixture(setup);
+    const { master } = fixture.contracts;
+    const { encodeAction } = governanceActions;
+
+    expect(() => encodeAction(1000, [])).to.throw('Unknown proposal category 1000');
+    expect(() => encodeAction(ProposalCategory.uncategorized, [])).to.throw('has no action');
+    expect(() => encodeAction(ProposalCategory.removeContracts, [])).to.throw('Expected 1 arguments');
+    expect(() => encodeAction(ProposalCategory.removeContracts, ['0x1234'])).to.throw('Invalid arguments');
+    expect(() => encodeAction(ProposalCategory.removeContracts, { codes: [] })).to.throw(
+      'need the target contract ABI',
+    );
+
+    const named = { contractCodesToRemove: [hex('XX')], extra: 1 };
+    expect(() => encodeAction(ProposalCategory.removeContracts, named, master.interface)).to.throw(
+      'Unknown arguments for removeContracts(bytes2[]): extra',
+    );
+    expect(() => encodeAction(ProposalCategory.newContracts, {}, master.interface)).to.throw('Missing arguments');
+    expect(() => encodeAction(ProposalCategory.nxmFunding, [], master.interface)).to.throw(
+      'not found in the given ABI',
+    );
+  });
+});
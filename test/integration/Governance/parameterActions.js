@@ -0,0 +1,76 @@
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+
+const setup = require('../setup');
+const { GovernanceUintParamType } = require('../utils').constants;
+const { submitProposal } = require('../utils').governance;
+const { impersonateAccount, setEtherBalance } = require('../../utils').evm;
+const { governanceActions, parameters } = require('../../../lib');
+
+const { parseEther } = ethers.utils;
+const { AddressZero } = ethers.constants;
+
+describe('parameterActions', function () {
+  it('updates a governance parameter through a proposal', async function () {
+    const fixture = await loadFixture(setup);
+    const { gv } = fixture.contracts;
+
+    const { categoryId, actionData } = parameters.buildUpdateAction('Governance', { tokenHoldingTime: 3 * 24 * 3600 });
+
+    await submitProposal(gv, categoryId, actionData, [
+      fixture.accounts.defaultSender,
+      ...fixture.accounts.advisoryBoardMembers,
+    ]);
+
+    const { val } = await gv.getUintParameters(GovernanceUintParamType.tokenHoldingTime);
+    expect(val).to.be.equal(3 * 24 * 3600);
+  });
+
+  it('updates enum based parameters when sent by governance', async function () {
+    const fixture = await loadFixture(setup);
+    const { as, gv } = fixture.contracts;
+
+    await impersonateAccount(gv.address);
+    await setEtherBalance(gv.address, parseEther('1000'));
+    const governanceSigner = await ethers.getSigner(gv.address);
+
+    const { contractCode, categoryId, data } = parameters.buildUpdateAction('Assessment', {
+      minVotingPeriodInDays: 5,
+      silentEndingPeriodInDays: 2,
+    });
+
+    expect(contractCode).to.be.equal('AS');
+    expect(categoryId).to.be.equal(undefined);
+
+    await governanceSigner.sendTransaction({ to: as.address, data });
+
+    const { minVotingPeriodInDays, silentEndingPeriodInDays } = await as.config();
+    expect(minVotingPeriodInDays).to.be.equal(5);
+    expect(silentEndingPeriodInDays).to.be.equal(2);
+  });
+
+  it('validates the values before encoding', async function () {
+    const { buildUpdateAction } = parameters;
+
+    expect(() => buildUpdateAction('Assessment', { minVotingPeriodInDays: 256 })).to.throw(
+      'Assessment.minVotingPeriodInDays must be between 0 and 255 days, got 256',
+    );
+    expect(() => buildUpdateAction('IndividualClaims', { rewardRatio: 10001 })).to.throw('between 0 and 10000');
+    expect(() => buildUpdateAction('MCR', { gearingFactor: -1 })).to.throw('between 0 and 16777215');
+    expect(() => buildUpdateAction('Assessment', { minVotingPeriodInDays: 1.5 })).to.throw('Invalid value');
+    expect(() => buildUpdateAction('Assessment', { votingPeriod: 1 })).to.throw('Unknown parameter votingPeriod');
+    expect(() => buildUpdateAction('Assessment', {})).to.throw('No parameters to update');
+    expect(() => buildUpdateAction('Stakingpool', { x: 1 })).to.throw('Unknown parameter set Stakingpool');
+    expect(() => buildUpdateAction('MCR', { gearingFactor: 1, minUpdateTime: 1 })).to.throw(
+      'MCR takes one parameter per action',
+    );
+    expect(() => buildUpdateAction('YieldTokenIncidents', { expectedPayoutRatio: 1 })).to.throw('cannot be updated');
+    expect(() => buildUpdateAction('NXMasterOwner', { emergencyAdmin: '0x1234' })).to.throw('Invalid address');
+
+    const { categoryId, actionData } = buildUpdateAction('NXMasterOwner', { emergencyAdmin: AddressZero });
+    const { signature, args } = governanceActions.decodeAction(categoryId, actionData);
+    expect(signature).to.be.equal('updateOwnerParameters(bytes8,address)');
+    expect(args[1]).to.be.equal(AddressZero);
+  });
+});
@@ -0,0 +1,54 @@
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+
+const setup = require('../setup');
+const { addressVerification } = require('../../../lib');
+
+const { AddressStatus, diffAddresses, hasMismatches, resolveAddresses } = addressVerification;
+
+const toAddresses = resolved => resolved.reduce((acc, { name, address }) => ({ ...acc, [name]: address }), {});
+
+describe('addressVerification', function () {
+  it('resolves the contracts registered in NXMaster and their links', async function () {
+    const fixture = await loadFixture(setup);
+    const { master, cover, tk, stakingNFT, coverNFT, spf, priceFeedOracle } = fixture.contracts;
+
+    const resolved = await resolveAddresses(master);
+    const addresses = toAddresses(resolved);
+
+    expect(addresses.NXMaster).to.be.equal(master.address);
+    expect(addresses.Cover).to.be.equal(cover.address);
+    expect(addresses.NXMToken).to.be.equal(tk.address);
+    expect(addresses.StakingNFT).to.be.equal(stakingNFT.address);
+    expect(addresses.CoverNFT).to.be.equal(coverNFT.address);
+    expect(addresses.StakingPoolFactory).to.be.equal(spf.address);
+    expect(addresses.PriceFeedOracle).to.be.equal(priceFeedOracle.address);
+
+    const coverProxy = await ethers.getContractAt('OwnedUpgradeabilityProxy', cover.address);
+    const resolvedCover = resolved.find(item => item.name === 'Cover');
+    expect(resolvedCover.implementation).to.be.equal(await coverProxy.implementation());
+
+    const diff = diffAddresses(resolved, addresses);
+    expect(diff.every(({ status }) => status === AddressStatus.Ok)).to.be.equal(true);
+    expect(hasMismatches(diff)).to.be.equal(false);
+  });
+
+  it('reports stale, missing and unchecked addresses', async function () {
+    const fixture = await loadFixture(setup);
+    const { master, cover, dai } = fixture.contracts;
+
+    const resolved = await resolveAddresses(master);
+    const addresses = toAddresses(resolved);
+    delete addresses.StakingPoolFactory;
+
+    const diff = diffAddresses(resolved, { ...addresses, Cover: dai.address, DAI: dai.address });
+    const findStatus = name => diff.filter(item => item.name === name).map(({ status }) => status);
+
+    expect(findStatus('Cover')).to.be.deep.equal([AddressStatus.Mismatch]);
+    expect(diff.find(item => item.name === 'Cover').actual).to.be.equal(cover.address);
+    expect(findStatus('StakingPoolFactory')).to.include(AddressStatus.Missing);
+    expect(findStatus('DAI')).to.be.deep.equal([AddressStatus.Unchecked]);
+    expect(hasMismatches(diff)).to.be.equal(true);
+  });
+});
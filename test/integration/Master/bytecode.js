@@ -0,0 +1,28 @@
+const { artifacts, ethers } = require('hardhat');
+const { expect } = require('chai');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+
+const setup = require('../setup');
+const { bytecode } = require('../../../lib');
+
+const { getDeployedBytecode, matchesDeployedBytecode } = bytecode;
+
+describe('bytecode', function () {
+  it('matches the deployed code ignoring the immutables', async function () {
+    const fixture = await loadFixture(setup);
+    const { cover, tk } = fixture.contracts;
+
+    const coverProxy = await ethers.getContractAt('OwnedUpgradeabilityProxy', cover.address);
+    const coverCode = await ethers.provider.getCode(await coverProxy.implementation());
+    const expected = await getDeployedBytecode(artifacts, 'Cover');
+
+    // Cover stores the addresses of CoverNFT, StakingNFT and StakingPoolFactory as immutables
+    expect(expected.ranges.length).to.be.greaterThan(0);
+    expect(coverCode).to.not.be.equal(expected.bytecode);
+    expect(matchesDeployedBytecode(coverCode, expected)).to.be.equal(true);
+
+    const tokenCode = await ethers.provider.getCode(tk.address);
+    expect(matchesDeployedBytecode(tokenCode, expected)).to.be.equal(false);
+    expect(matchesDeployedBytecode(tokenCode, await getDeployedBytecode(artifacts, 'NXMToken'))).to.be.equal(true);
+  });
+});
@@ -0,0 +1,93 @@
+const { artifacts, ethers } = require('hardhat');
+const { expect } = require('chai');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+
+const setup = require('../setup');
+const { ProposalCategory, ContractTypes } = require('../utils').constants;
+const { submitProposal } = require('../utils').governance;
+const { hex } = require('../utils').helpers;
+const { contractRegistry } = require('../../../lib');
+
+const { AddressZero } = ethers.constants;
+const { defaultAbiCoder } = ethers.utils;
+
+describe('contractRegistry', function () {
+  it('matches the contracts registered in NXMaster', async function () {
+    const fixture = await loadFixture(setup);
+    const { master } = fixture.contracts;
+
+    const mismatches = await contractRegistry.checkMasterContracts(master);
+    expect(mismatches).to.be.deep.equal([]);
+  });
+
+  it('registers the contracts with the type they are deployed as', async function () {
+    const fixture = await loadFixture(setup);
+    const { master } = fixture.contracts;
+
+    for (const { code, type } of contractRegistry.internalContracts) {
+      const address = await master.getLatestAddress(hex(code));
+
+      if (address === AddressZero) {
+        continue;
+      }
+
+      expect(await master.isProxy(hex(code))).to.be.equal(type === ContractTypes.Proxy, `${code} proxy type`);
+      expect(await master.isReplaceable(hex(code))).to.be.equal(
+        type === ContractTypes.Replaceable,
+        `${code} replaceable type`,
+      );
+
+      // only proxies respond to proxyOwner()
+      const proxy = await ethers.getContractAt('OwnedUpgradeabilityProxy', address);
+      const isDeployedAsProxy = await proxy.proxyOwner().then(
+        () => true,
+        () => false,
+      );
+      expect(isDeployedAsProxy).to.be.equal(type === ContractTypes.Proxy, `${code} deployment`);
+    }
+  });
+
+  it('reports contracts missing from the registry', async function () {
+    const fixture = await loadFixture(setup);
+    const { master, gv } = fixture.contracts;
+
+    const MMockNewContract = await ethers.getContractFactory('MMockNewContract');
+    const newContract = await MMockNewContract.deploy();
+
+    const actionData = defaultAbiCoder.encode(
+      ['bytes2[]', 'address[]', 'uint[]'],
+      [[hex('XX')], [newContract.address], [ContractTypes.Replaceable]],
+    );
+
+    await submitProposal(gv, ProposalCategory.newContracts, actionData, [
+      fixture.accounts.defaultSender,
+      ...fixture.accounts.advisoryBoardMembers,
+    ]);
+
+    const mismatches = await contractRegistry.checkMasterContracts(master);
+    expect(mismatches).to.be.deep.equal(['XX is registered in NXMaster but missing from the registry']);
+  });
+
+  it('points at existing artifacts', async function () {
+    for (const { artifact } of contractRegistry.contracts) {
+      if (artifact !== undefined) {
+        expect(await artifacts.artifactExists(artifact)).to.be.equal(true, `${artifact} not found`);
+      }
+    }
+  });
+
+  it('lists the dependencies set by changeDependentContractAddress', async function () {
+    for (const { code, artifact, dependencies } of contractRegistry.contracts) {
+      if (dependencies === undefined) {
+        continue;
+      }
+
+      const { input } = await artifacts.getBuildInfo(artifact);
+      const source = input.sources[artifact.split(':')[0]].content;
+      const [body] = source.match(/function changeDependentContractAddress\(\)[^{]*\{[\s\S]*?\n {2}\}/);
+      const setCodes = [...body.matchAll(/internalContracts\[uint\(ID\.(\w+)\)\]\s*=/g)].map(([, setCode]) => setCode);
+
+      expect([...dependencies].sort()).to.be.deep.equal(setCodes.sort(), `${code} dependencies do not match`);
+    }
+  });
+});
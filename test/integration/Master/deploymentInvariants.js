@@ -0,0 +1,69 @@
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+
+const setup = require('../setup');
+const { impersonateAccount, setEtherBalance } = require('../../utils').evm;
+const { deploymentInvariants } = require('../../../lib');
+
+const { parseEther } = ethers.utils;
+
+describe('deploymentInvariants', function () {
+  it('passes every invariant of the deployment', async function () {
+    const fixture = await loadFixture(setup);
+    const { master, stakingProducts, ra } = fixture.contracts;
+
+    // the fixture leaves these proxies to the deployer
+    for (const { address } of [stakingProducts, ra]) {
+      const proxy = await ethers.getContractAt('OwnedUpgradeabilityProxy', address);
+      await proxy.transferProxyOwnership(master.address);
+    }
+
+    const results = await deploymentInvariants.checkInvariants(master);
+    const failures = results.filter(({ passed }) => !passed);
+
+    expect(failures).to.be.deep.equal([]);
+    expect(results.length).to.be.equal(6);
+    expect(deploymentInvariants.hasFailures(results)).to.be.equal(false);
+  });
+
+  it('fails the invariants broken by the deployment', async function () {
+    const fixture = await loadFixture(setup);
+    const { master, gv, cover, spf, chainlinkDAI, dai } = fixture.contracts;
+    const { defaultSender } = fixture.accounts;
+    const [newOperator] = fixture.accounts.generalPurpose;
+
+    await impersonateAccount(cover.address);
+    await setEtherBalance(cover.address, parseEther('1'));
+    await spf.connect(await ethers.getSigner(cover.address)).changeOperator(newOperator.address);
+    await chainlinkDAI.setLatestAnswer(0);
+
+    const results = await deploymentInvariants.checkInvariants(master);
+    const failures = results.filter(({ passed }) => !passed);
+
+    const [ownershipFailure, oracleFailure, operatorFailure] = failures;
+
+    expect(failures.map(({ name }) => name)).to.be.deep.equal([
+      'Proxies are owned by NXMaster or Governance and NXMaster by Governance',
+      'Pool assets have PriceFeedOracle aggregators',
+      'StakingPoolFactory operator is Cover',
+    ]);
+    const expectedOwners = `expected NXMaster at ${master.address} or Governance at ${gv.address}`;
+    expect(ownershipFailure.details).to.be.deep.equal([
+      `SP proxy is owned by ${defaultSender.address}, ${expectedOwners}`,
+      `RA proxy is owned by ${defaultSender.address}, ${expectedOwners}`,
+    ]);
+    const [oracleDetail] = oracleFailure.details;
+    expect(oracleDetail).to.be.equal(
+      `${dai.address} rate could not be read from aggregator ${chainlinkDAI.address}: ` +
+        'PriceFeedOracle: Rate must be > 0',
+    );
+    expect(operatorFailure.details).to.be.deep.equal([
+      `StakingPoolFactory at ${spf.address} has operator ${newOperator.address}, expected Cover at ${cover.address}`,
+    ]);
+
+    const checklist = deploymentInvariants.formatChecklist(results);
+    expect(checklist).to.contain('[pass] Ramm is initialized');
+    expect(checklist).to.contain('[FAIL] StakingPoolFactory operator is Cover');
+  });
+});
@@ -0,0 +1,108 @@
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+
+const setup = require('../setup');
+const { deploymentManifest } = require('../../../lib');
+
+const { buildManifestFromChain, buildManifestFromJournal, getImplementation } = deploymentManifest;
+
+describe('deploymentManifest', function () {
+  it('reads the deployment block, transaction and implementation from the chain', async function () {
+    const fixture = await loadFixture(setup);
+    const { master, cover, mcr, tk, ps } = fixture.contracts;
+    const { provider } = ethers;
+
+    const addresses = {
+      NXMaster: master.address,
+      Cover: cover.address,
+      MCR: mcr.address,
+      NXMToken: tk.address,
+      LegacyPooledStaking: ps.address,
+    };
+
+    const manifest = await buildManifestFromChain(provider, addresses);
+    expect(Object.keys(manifest)).to.be.deep.equal(Object.keys(addresses));
+
+    for (const [name, address] of Object.entries(addresses)) {
+      const { deployBlock, deployTxHash } = manifest[name];
+      const receipt = await provider.getTransactionReceipt(deployTxHash);
+
+      expect(manifest[name].address).to.be.equal(address);
+      expect(receipt.contractAddress).to.be.equal(address);
+      expect(receipt.blockNumber).to.be.equal(deployBlock);
+      expect(await provider.getCode(address, deployBlock - 1)).to.be.equal('0x');
+    }
+
+    const coverProxy = await ethers.getContractAt('OwnedUpgradeabilityProxy', cover.address);
+    expect(manifest.Cover.isProxy).to.be.equal(true);
+    expect(manifest.Cover.implementation).to.be.equal(await coverProxy.implementation());
+    expect(manifest.Cover.code).to.be.equal('CO');
+    expect(manifest.Cover.legacy).to.be.equal(false);
+
+    expect(manifest.MCR.isProxy).to.be.equal(false);
+    expect(manifest.MCR.implementation).to.be.equal(null);
+    expect(manifest.MCR.code).to.be.equal('MC');
+
+    expect(manifest.NXMToken.code).to.be.equal('NXMTOKEN');
+    expect(manifest.LegacyPooledStaking.code).to.be.equal('PS');
+    expect(manifest.LegacyPooledStaking.legacy).to.be.equal(true);
+  });
+
+  it('reads the deployment and the latest implementation from a journal', async function () {
+    const fixture = await loadFixture(setup);
+    const { cover, mcr } = fixture.contracts;
+    const [deployer] = await ethers.getSigners();
+
+    const journal = [
+      { contract: 'Stub', address: deployer.address, txHash: '0x01', blockNumber: 1 },
+      { contract: 'Cover', address: cover.address, txHash: '0x02', blockNumber: 2, implementation: deployer.address },
+      { contract: 'MCR', address: mcr.address, txHash: '0x03', blockNumber: 3 },
+      { contract: 'Cover', address: cover.address, implementation: mcr.address },
+    ];
+
+    const manifest = buildManifestFromJournal(journal, { Cover: cover.address, MCR: mcr.address });
+
+    expect(manifest.Cover).to.be.deep.equal({
+      address: cover.address,
+      deployBlock: 2,
+      deployTxHash: '0x02',
+      isProxy: true,
+      implementation: mcr.address,
+      code: 'CO',
+      legacy: false,
+    });
+    expect(manifest.MCR.isProxy).to.be.equal(false);
+    expect(manifest.MCR.deployBlock).to.be.equal(3);
+
+    expect(() => buildManifestFromJournal(journal, { Pool: fixture.contracts.p1.address })).to.throw(
+      'No deployment of Pool',
+    );
+  });
+
+  it('ignores the calls and upgrade transactions of a journal', async function () {
+    const fixture = await loadFixture(setup);
+    const { cover, mcr } = fixture.contracts;
+
+    const journal = [
+      { step: 0, type: 'deploy', contract: 'Cover', address: mcr.address, txHash: '0x01', blockNumber: 1 },
+      { step: 1, type: 'deploy', contract: 'Cover', address: cover.address, txHash: '0x02', blockNumber: 2 },
+      { step: 2, type: 'call', description: 'Cover.changeMasterAddress', txHash: '0x03', blockNumber: 3 },
+      { step: 3, type: 'upgrade', address: cover.address, txHash: '0x04', blockNumber: 4, implementation: mcr.address },
+    ];
+
+    const manifest = buildManifestFromJournal(journal, { Cover: cover.address });
+
+    expect(manifest.Cover.deployBlock).to.be.equal(2);
+    expect(manifest.Cover.deployTxHash).to.be.equal('0x02');
+    expect(manifest.Cover.isProxy).to.be.equal(true);
+    expect(manifest.Cover.implementation).to.be.equal(mcr.address);
+  });
+
+  it('returns null as the implementation of non-proxy contracts', async function () {
+    const fixture = await loadFixture(setup);
+    const { tk } = fixture.contracts;
+
+    expect(await getImplementation(ethers.provider, tk.address)).to.be.equal(null);
+  });
+});
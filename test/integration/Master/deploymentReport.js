@@ -0,0 +1,67 @@
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+
+const setup = require('../setup');
+const { deploymentReport } = require('../../../lib');
+
+const { buildReport, formatReport } = deploymentReport;
+const { hexDataLength } = ethers.utils;
+
+describe('deploymentReport', function () {
+  it('reports the gas used, bytecode and calldata size of every step', async function () {
+    const fixture = await loadFixture(setup);
+    const [member] = fixture.accounts.members;
+
+    const ERC20Mock = await ethers.getContractFactory('ERC20Mock');
+    const token = await ERC20Mock.deploy();
+    await token.deployed();
+    const deployReceipt = await token.deployTransaction.wait();
+
+    const mintTx = await token.mint(member.address, 1);
+    const mintReceipt = await mintTx.wait();
+
+    const journal = [
+      { step: 0, description: 'deploy ERC20Mock', type: 'deploy', contract: 'ERC20Mock', pending: true },
+      {
+        step: 0,
+        description: 'deploy ERC20Mock',
+        type: 'deploy',
+        contract: 'ERC20Mock',
+        address: token.address,
+        txHash: deployReceipt.transactionHash,
+      },
+      { step: 1, description: 'ERC20Mock.mint', type: 'call', txHash: mintReceipt.transactionHash },
+    ];
+
+    const report = await buildReport(ethers.provider, journal, { baseFee: '10' });
+    const [deployStep, mintStep] = report.steps;
+
+    expect(report.baseFee).to.be.equal('10');
+    expect(report.steps.length).to.be.equal(2);
+
+    expect(deployStep.contract).to.be.equal('ERC20Mock');
+    expect(deployStep.bytecodeSize).to.be.equal(hexDataLength(await ethers.provider.getCode(token.address)));
+    expect(deployStep.exceedsSizeLimit).to.be.equal(false);
+    expect(deployStep.gasUsed).to.be.equal(deployReceipt.gasUsed.toNumber());
+    expect(deployStep.calldataSize).to.be.equal(hexDataLength(token.deployTransaction.data));
+
+    expect(mintStep.bytecodeSize).to.be.equal(null);
+    expect(mintStep.gasUsed).to.be.equal(mintReceipt.gasUsed.toNumber());
+    expect(mintStep.calldataSize).to.be.equal(hexDataLength(mintTx.data));
+    expect(mintStep.cost).to.be.equal(ethers.utils.formatEther(mintReceipt.gasUsed.mul(10e9)));
+
+    const totalGas = deployReceipt.gasUsed.add(mintReceipt.gasUsed);
+    expect(report.summary.transactions).to.be.equal(2);
+    expect(report.summary.deployments).to.be.equal(1);
+    expect(report.summary.calls).to.be.equal(1);
+    expect(report.summary.gasUsed).to.be.equal(totalGas.toNumber());
+    expect(report.summary.cost).to.be.equal(ethers.utils.formatEther(totalGas.mul(10e9)));
+    expect(report.summary.largestContract.contract).to.be.equal('ERC20Mock');
+    expect(report.summary.oversizedContracts).to.be.deep.equal([]);
+
+    const formatted = formatReport(report);
+    expect(formatted).to.include('ERC20Mock.mint');
+    expect(formatted).to.include(`${report.summary.cost} ETH`);
+  });
+});
@@ -0,0 +1,60 @@
+const { artifacts, ethers } = require('hardhat');
+const { expect } = require('chai');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+
+const setup = require('../setup');
+const { verificationBundle } = require('../../../lib');
+
+const { buildVerificationBundle, checkVerificationBundle, linkBytecode } = verificationBundle;
+
+describe('verificationBundle', function () {
+  it('builds a bundle matching the compiled runtime bytecode', async function () {
+    const fixture = await loadFixture(setup);
+    const { cover, coverNFT, stakingNFT, spf } = fixture.contracts;
+
+    const coverProxy = await ethers.getContractAt('OwnedUpgradeabilityProxy', cover.address);
+    const address = await coverProxy.implementation();
+    const code = await ethers.provider.getCode(address);
+    const stakingPoolImplementation = await cover.stakingPoolImplementation();
+    const constructorArgs = [coverNFT.address, stakingNFT.address, spf.address, stakingPoolImplementation];
+
+    const bundle = await buildVerificationBundle(artifacts, { address, fqName: 'Cover', constructorArgs }, code);
+
+    expect(bundle.contract).to.be.equal('contracts/modules/cover/Cover.sol:Cover');
+    expect(bundle.alias).to.be.equal('Cover');
+    expect(bundle.compilerVersion).to.match(/^v0\.8\.\d+\+commit\.[0-9a-f]+$/);
+    expect(bundle.input.sources).to.have.property('contracts/modules/cover/Cover.sol');
+    expect(bundle.input.sources).to.not.have.property('contracts/modules/token/NXMToken.sol');
+    expect(bundle.libraries).to.be.deep.equal({});
+    expect(bundle.immutableReferences.length).to.be.greaterThan(0);
+
+    const { abi } = await artifacts.readArtifact('Cover');
+    const { inputs } = abi.find(({ type }) => type === 'constructor');
+    const decodedArgs = ethers.utils.defaultAbiCoder.decode(inputs, bundle.constructorArgs);
+    expect([...decodedArgs]).to.be.deep.equal(constructorArgs);
+
+    // the build info holds the output of the compilation the bundle input was taken from
+    const { output } = await artifacts.getBuildInfo(bundle.contract);
+    expect(checkVerificationBundle(bundle, output).matches).to.be.equal(true);
+
+    const otherCode = await ethers.provider.getCode(stakingNFT.address);
+    const otherBundle = await buildVerificationBundle(
+      artifacts,
+      { address, fqName: 'Cover', constructorArgs },
+      otherCode,
+    );
+    expect(checkVerificationBundle(otherBundle, output).matches).to.be.equal(false);
+  });
+
+  it('links the library addresses', async function () {
+    const address = '0x' + 'ab'.repeat(20);
+    const placeholder = '__$' + '0'.repeat(34) + '$__';
+    const bytecode = '6080' + placeholder + '00';
+    const linkReferences = { 'contracts/Lib.sol': { Lib: [{ start: 2, length: 20 }] } };
+
+    const linked = linkBytecode(bytecode, linkReferences, { 'contracts/Lib.sol:Lib': address });
+    expect(linked).to.be.equal('0x6080' + 'ab'.repeat(20) + '00');
+
+    expect(() => linkBytecode(bytecode, linkReferences, {})).to.throw('Missing address of the contracts/Lib.sol:Lib');
+  });
+});
@@ -1,6 +1,6 @@
 const { ethers } = require('hardhat');
 
-const { ContractTypes } = require('../utils').constants;
+const { getContractByCode } = require('../../lib/contract-registry');
 const { toBytes2, toBytes8 } = require('../utils').helpers;
 const { proposalCategories } = require('../utils');
 const { enrollMember, enrollABMember, getGovernanceSigner } = require('./utils/enroll');
@@ -195,22 +195,9 @@ async function setup() {
   const ci = await deployProxy('IndividualClaims', [tk.address, coverNFT.address]);
   const cg = await deployProxy('YieldTokenIncidents', [tk.address, coverNFT.address]);
   const as = await deployProxy('Assessment', [tk.address]);
-  const cl = await deployProxy('CoverMigrator', [qd.address, productsV1.address]);
+  const cl = await ethers.deployContract('CoverMigrator', [qd.address, productsV1.address]);
 
-  const contractType = code => {
-    const upgradable = ['MC', 'P1', 'CR'];
-    const proxies = ['GV', 'MR', 'PC', 'PS', 'TC', 'GW', 'CI', 'CG', 'AS', 'CO', 'CL', 'SP', 'RA'];
-
-    if (upgradable.includes(code)) {
-      return ContractTypes.Replaceable;
-    }
-
-    if (proxies.includes(code)) {
-      return ContractTypes.Proxy;
-    }
-
-    return 0;
-  };
+  const contractType = code => getContractByCode(code).type || 0;
 
   const addr = c => c.address;
   const addresses = [
@@ -504,7 +491,6 @@ async function setup() {
   await transferProxyOwnership(gateway.address, master.address);
   await transferProxyOwnership(ci.address, master.address);
   await transferProxyOwnership(cg.address, master.address);
-  await transferProxyOwnership(cl.address, master.address);
   await transferProxyOwnership(as.address, master.address);
   await transferProxyOwnership(cover.address, gv.address);
   await transferProxyOwnership(master.address, gv.address);
@@ -2,9 +2,10 @@ const { ethers } = require('hardhat');
 const { AddressZero } = ethers.constants;
 const { parseEther } = ethers.utils;
 const { BigNumber } = ethers;
+const { stakingTime } = require('../../../lib');
 
 function calculateFirstTrancheId(lastBlock, period, gracePeriod) {
-  return Math.floor((lastBlock.timestamp + period + gracePeriod) / (91 * 24 * 3600));
+  return stakingTime.getFirstTrancheIdForCover(lastBlock.timestamp, period, gracePeriod);
 }
 
 async function stakeOnly({ stakingPool, staker, period, gracePeriod, trancheIdOffset }) {
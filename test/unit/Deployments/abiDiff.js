@@ -0,0 +1,126 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+
+const { ChangeType, compareFragments, diffAbi } = require('../../../deployments/abi-diff');
+
+const { Fragment } = ethers.utils;
+
+const fragment = signature => Fragment.from(signature);
+const compare = (previous, current) => compareFragments(fragment(previous), fragment(current));
+
+describe('abiDiff', function () {
+  describe('compareFragments', function () {
+    it('returns no differences for identical fragments', function () {
+      const signature = 'function balanceOf(address owner) view returns (uint balance)';
+      expect(compare(signature, signature)).to.be.deep.equal([]);
+    });
+
+    it('reports changed output types and names as breaking', function () {
+      expect(compare('function get() view returns (uint)', 'function get() view returns (address)')).to.be.deep.equal([
+        { description: 'outputs changed from (uint256) to (address)', breaking: true },
+      ]);
+
+      expect(
+        compare('function get() view returns (uint amount)', 'function get() view returns (uint value)'),
+      ).to.be.deep.equal([
+        { description: 'output names changed from (uint256 amount) to (uint256 value)', breaking: true },
+      ]);
+    });
+
+    it('reports only the mutability changes breaking existing calls as breaking', function () {
+      expect(compare('function get() view returns (uint)', 'function get() pure returns (uint)')).to.be.deep.equal([
+        { description: 'state mutability changed from view to pure', breaking: false },
+      ]);
+
+      expect(compare('function set(uint)', 'function set(uint) payable')).to.be.deep.equal([
+        { description: 'state mutability changed from nonpayable to payable', breaking: false },
+      ]);
+
+      expect(compare('function set(uint) payable', 'function set(uint)')).to.be.deep.equal([
+        { description: 'state mutability changed from payable to nonpayable', breaking: true },
+      ]);
+    });
+
+    it('reports renamed event parameters as breaking and renamed function parameters as not breaking', function () {
+      expect(
+        compare('event Paid(address member, uint amount)', 'event Paid(address member, uint value)'),
+      ).to.be.deep.equal([
+        {
+          description: 'inputs changed from (address member, uint256 amount) to (address member, uint256 value)',
+          breaking: true,
+        },
+      ]);
+
+      expect(compare('function set(uint amount)', 'function set(uint value)')).to.be.deep.equal([
+        { description: 'inputs changed from (uint256 amount) to (uint256 value)', breaking: false },
+      ]);
+    });
+
+    it('reports changed indexed parameters and anonymous events as breaking', function () {
+      expect(compare('event Paid(address member)', 'event Paid(address indexed member)')).to.be.deep.equal([
+        { description: 'indexed parameters changed', breaking: true },
+      ]);
+
+      expect(compare('event Paid(address member)', 'event Paid(address member) anonymous')).to.be.deep.equal([
+        { description: 'anonymous changed to true', breaking: true },
+      ]);
+    });
+
+    it('reports changed constructor inputs as not breaking', function () {
+      expect(compare('constructor(address token)', 'constructor(address token, uint fee)')).to.be.deep.equal([
+        { description: 'inputs changed from (address) to (address,uint256)', breaking: false },
+      ]);
+    });
+  });
+
+  describe('diffAbi', function () {
+    const toAbi = signatures => signatures.map(signature => JSON.parse(fragment(signature).format('json')));
+
+    it('lists the added, removed and modified fragments', function () {
+      const previousAbi = toAbi([
+        'constructor(address token)',
+        'function get() view returns (uint)',
+        'function remove()',
+        'event Paid(address member)',
+      ]);
+      const currentAbi = toAbi([
+        'constructor(address token)',
+        'function get() view returns (address)',
+        'function add()',
+        'event Paid(address member)',
+        'error Unauthorized()',
+      ]);
+
+      expect(diffAbi(previousAbi, currentAbi)).to.be.deep.equal([
+        {
+          type: ChangeType.Modified,
+          kind: 'function',
+          signature: 'get()',
+          description: 'outputs changed from (uint256) to (address)',
+          breaking: true,
+        },
+        { type: ChangeType.Removed, kind: 'function', signature: 'remove()', breaking: true },
+        { type: ChangeType.Added, kind: 'function', signature: 'add()', breaking: false },
+        { type: ChangeType.Added, kind: 'error', signature: 'Unauthorized()', breaking: false },
+      ]);
+    });
+
+    it('treats overloads as separate fragments and ignores fallback and receive', function () {
+      const previousAbi = [
+        ...toAbi(['function set(uint)']),
+        { type: 'fallback', stateMutability: 'payable' },
+        { type: 'receive', stateMutability: 'payable' },
+      ];
+      const currentAbi = toAbi(['function set(uint)', 'function set(uint,address)']);
+
+      expect(diffAbi(previousAbi, currentAbi)).to.be.deep.equal([
+        { type: ChangeType.Added, kind: 'function', signature: 'set(uint256,address)', breaking: false },
+      ]);
+    });
+
+    it('returns no changes for identical abis', function () {
+      const abi = toAbi(['function get() view returns (uint)', 'event Paid(address indexed member)']);
+      expect(diffAbi(abi, abi)).to.be.deep.equal([]);
+    });
+  });
+});
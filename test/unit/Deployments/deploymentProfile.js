@@ -0,0 +1,169 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+
+const { ClaimMethod } = require('../../../lib/constants');
+const {
+  POOL_ASSETS,
+  ProfileValidationError,
+  getPoolValueInEth,
+  loadProfile,
+  parseProfile,
+  validateProfile,
+} = require('../../../scripts/deploy/profile');
+
+const { AddressZero } = ethers.constants;
+const { parseEther, parseUnits } = ethers.utils;
+
+const readProfile = name => JSON.parse(JSON.stringify(require(`../../../scripts/deploy/profiles/${name}.json`)));
+
+const member = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+describe('deploymentProfile', function () {
+  describe('validateProfile', function () {
+    it('accepts the shipped profiles', function () {
+      for (const name of ['local', 'mainnet-fork']) {
+        expect(validateProfile(readProfile(name))).to.be.deep.equal([], `${name} profile`);
+      }
+    });
+
+    it('rejects profiles that are not objects', function () {
+      expect(validateProfile(null)).to.be.deep.equal(['the profile must be an object']);
+      expect(validateProfile([])).to.be.deep.equal(['the profile must be an object']);
+    });
+
+    it('rejects invalid amounts, addresses and members', function () {
+      const profile = readProfile('local');
+      profile.tokenSupply = 6760000;
+      profile.pool.ethBalance = 'a lot';
+      profile.mcr.gearingFactor = -1;
+      profile.members = [{ address: '0x1234', nxm: '1.5', advisoryBoard: 'yes' }];
+
+      expect(validateProfile(profile)).to.be.deep.equal([
+        'tokenSupply must be a decimal string',
+        'pool.ethBalance must be a decimal string',
+        'mcr.gearingFactor must be a non-negative integer',
+        'members[0].address must be an address',
+        'members[0].advisoryBoard must be a boolean',
+      ]);
+    });
+
+    it('rejects assets not matching the legacy pool assets or with an invalid source', function () {
+      const profile = readProfile('local');
+      const { DAI, stETH, enzymeVault } = profile.assets;
+      profile.assets = { stETH, DAI, enzymeVault };
+      DAI.address = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+      stETH.oracle = { alias: 'Chainlink-STETH-ETH' };
+
+      expect(validateProfile(profile)).to.be.deep.equal([
+        `assets must list ${POOL_ASSETS.join(', ')} in this order, got stETH, DAI, enzymeVault`,
+        'assets.stETH.oracle must have either an address or a mock',
+        'assets.DAI must have either an address or a mock',
+        'assets.DAI.holder is required to fund the pool with an existing token',
+      ]);
+    });
+
+    it('requires a holder to fund the pool with an existing token', function () {
+      const profile = readProfile('mainnet-fork');
+      delete profile.assets.DAI.holder;
+      profile.assets.stETH.holder = 'not an address';
+
+      expect(validateProfile(profile)).to.be.deep.equal([
+        'assets.DAI.holder is required to fund the pool with an existing token',
+        'assets.stETH.holder must be an address and is only allowed for existing tokens',
+      ]);
+    });
+
+    it('rejects unknown product types, claim methods and cover assets', function () {
+      const profile = readProfile('local');
+      profile.productTypes[1].claimMethod = 'Voting';
+      profile.productTypes.push({ ...profile.productTypes[0] });
+      profile.products[0].productType = 'Unknown';
+      profile.products[1].coverAssets = ['USDC'];
+
+      expect(validateProfile(profile)).to.be.deep.equal([
+        'productTypes[1].claimMethod must be one of ClaimMethod',
+        `productTypes[${profile.productTypes.length - 1}].name must be unique`,
+        'products[0].productType must be the name of a product type',
+        'products[1].coverAssets must be a list of ETH, DAI, stETH, enzymeVault',
+      ]);
+    });
+  });
+
+  describe('parseProfile', function () {
+    it('converts the amounts to BigNumbers', function () {
+      const profile = parseProfile(readProfile('local'));
+
+      expect(profile.tokenSupply).to.be.equal(parseEther('6760000'));
+      expect(profile.pool.ethBalance).to.be.equal(parseEther('143480'));
+      expect(profile.mcr.mcr).to.be.equal(parseEther('10000'));
+      expect(profile.mcr.gearingFactor).to.be.equal(48000);
+      expect(profile.ramm.spotPriceB).to.be.equal(parseEther('0.01'));
+      expect(profile.assets[0]).to.be.deep.include({ symbol: 'DAI', poolBalance: parseEther('5040000') });
+      expect(profile.assets[0].oracle.mock).to.be.deep.equal({ answer: parseEther('0.0005'), decimals: 18 });
+      expect(profile.oracles).to.be.deep.equal([
+        {
+          alias: 'Chainlink-ETH-USD',
+          address: undefined,
+          mock: { answer: parseUnits('1234.56', 8), decimals: 8 },
+        },
+      ]);
+    });
+
+    it('converts the member balances and checksums their addresses', function () {
+      const rawProfile = readProfile('local');
+      rawProfile.members = [{ address: member.toLowerCase(), nxm: '1.5', advisoryBoard: true }];
+
+      const { members } = parseProfile(rawProfile);
+      expect(members).to.be.deep.equal([{ address: member, nxm: parseEther('1.5'), advisoryBoard: true }]);
+    });
+
+    it('resolves the product types and the cover assets bitmap', function () {
+      const rawProfile = readProfile('local');
+      const { productTypes, products } = parseProfile(rawProfile);
+
+      expect(productTypes[2]).to.be.deep.equal({
+        name: 'Yield Token',
+        claimMethod: ClaimMethod.YieldTokenIncidents,
+        gracePeriod: 14,
+        ipfsMetadata: 'yieldTokenCoverIPFSHash',
+      });
+
+      // ETH, DAI, stETH and enzymeVault are the bits 0 to 3
+      expect(products[0]).to.be.deep.include({ productType: 0, coverAssets: 0, yieldTokenAddress: AddressZero });
+      expect(products[36]).to.be.deep.include({ productType: 2, coverAssets: 0b10 });
+      expect(products[38]).to.be.deep.include({ productType: 2, coverAssets: 0b01 });
+
+      rawProfile.products[0].coverAssets = ['ETH', 'stETH', 'enzymeVault'];
+      expect(parseProfile(rawProfile).products[0].coverAssets).to.be.equal(0b1101);
+    });
+  });
+
+  describe('getPoolValueInEth', function () {
+    it('adds the assets converted at the mock oracle answers to the eth balance', function () {
+      const profile = parseProfile(readProfile('local'));
+      // 143480 ETH + 5040000 DAI at 0.0005 ETH
+      expect(getPoolValueInEth(profile)).to.be.equal(parseEther('146000'));
+    });
+
+    it('uses the given rates for the existing oracles', function () {
+      const profile = parseProfile(readProfile('mainnet-fork'));
+
+      expect(() => getPoolValueInEth(profile)).to.throw('The DAI rate is required to compute the pool value');
+      // 143480 ETH + 100000 DAI at 0.0004 ETH
+      expect(getPoolValueInEth(profile, { DAI: parseEther('0.0004') })).to.be.equal(parseEther('143520'));
+    });
+  });
+
+  describe('loadProfile', function () {
+    it('loads the shipped profiles by name and throws on missing profiles', function () {
+      expect(loadProfile('local').tokenSupply).to.be.equal(parseEther('6760000'));
+      expect(() => loadProfile('missing')).to.throw('Deployment profile missing not found');
+    });
+
+    it('lists all the validation errors of an invalid profile', function () {
+      const error = new ProfileValidationError('broken', ['first error', 'second error']);
+      expect(error.message).to.be.equal('Invalid deployment profile broken:\n  - first error\n  - second error');
+      expect(error.errors).to.be.deep.equal(['first error', 'second error']);
+    });
+  });
+});
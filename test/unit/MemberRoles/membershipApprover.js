@@ -0,0 +1,156 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { ethers, network } = require('hardhat');
+const { expect } = require('chai');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+
+const { setup } = require('./setup');
+const { membership } = require('../../../lib');
+const { createHandler } = require('../../../scripts/membership-approval-service');
+
+const { parseUnits } = ethers.utils;
+const { createMembershipApprover, getNextMembershipNonce, readApprovalsLog } = membership;
+
+const JOINING_FEE = parseUnits('0.002');
+
+const request = (server, { headers = {}, body }) =>
+  new Promise((resolve, reject) => {
+    const { port } = server.address();
+    const options = { host: '127.0.0.1', port, path: '/approvals', method: 'POST', headers };
+    const req = http.request(options, res => {
+      let data = '';
+      res.on('data', chunk => (data += chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+
+// the directories of the approvals logs, removed once the tests are done
+const logDirs = [];
+
+async function membershipApproverSetup() {
+  const fixture = await loadFixture(setup);
+  const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'approvals-'));
+  logDirs.push(logDir);
+  return { ...fixture, logFile: path.join(logDir, 'approvals.log') };
+}
+
+describe('membershipApprover', function () {
+  after(function () {
+    logDirs.forEach(logDir => fs.rmSync(logDir, { recursive: true, force: true }));
+  });
+
+  it('issues approvals that can be used to join', async function () {
+    const fixture = await loadFixture(membershipApproverSetup);
+    const { memberRoles } = fixture.contracts;
+    const { nonMembers, defaultSender: kycAuthSigner } = fixture.accounts;
+    const [nonMember] = nonMembers;
+
+    const approver = await createMembershipApprover({ memberRoles, kycAuthSigner });
+    const approval = await approver.approve(nonMember.address.toLowerCase());
+
+    expect(approval.address).to.be.equal(nonMember.address);
+    expect(approval.nonce).to.be.equal(0);
+    expect(approval.chainId).to.be.equal(network.config.chainId);
+
+    await memberRoles.join(approval.address, approval.nonce, approval.signature, { value: JOINING_FEE });
+    expect(await memberRoles.isMember(nonMember.address)).to.be.equal(true);
+  });
+
+  it('picks the first nonce not used in MemberRoles', async function () {
+    const fixture = await loadFixture(membershipApproverSetup);
+    const { memberRoles } = fixture.contracts;
+    const { nonMembers, defaultSender: kycAuthSigner } = fixture.accounts;
+    const [nonMember] = nonMembers;
+    const { chainId } = network.config;
+
+    const approver = await createMembershipApprover({ memberRoles, kycAuthSigner });
+    expect(await getNextMembershipNonce(memberRoles, nonMember.address, chainId)).to.be.equal(0);
+
+    const { nonce, signature } = await approver.approve(nonMember.address);
+    await memberRoles.join(nonMember.address, nonce, signature, { value: JOINING_FEE });
+
+    expect(await getNextMembershipNonce(memberRoles, nonMember.address, chainId)).to.be.equal(1);
+    expect(await getNextMembershipNonce(memberRoles, nonMember.address, chainId + 1)).to.be.equal(0);
+  });
+
+  it('appends every issued approval to the log file', async function () {
+    const fixture = await loadFixture(membershipApproverSetup);
+    const { memberRoles } = fixture.contracts;
+    const { nonMembers, defaultSender: kycAuthSigner } = fixture.accounts;
+    const { logFile } = fixture;
+
+    const approver = await createMembershipApprover({ memberRoles, kycAuthSigner, logFile });
+    const first = await approver.approve(nonMembers[0].address);
+    const second = await approver.approve(nonMembers[1].address);
+
+    const log = readApprovalsLog(logFile);
+    expect(log).to.be.deep.equal([first, second]);
+  });
+
+  it('rejects members, invalid addresses and signers other than the kyc authority', async function () {
+    const fixture = await loadFixture(membershipApproverSetup);
+    const { memberRoles } = fixture.contracts;
+    const { members, nonMembers, defaultSender: kycAuthSigner } = fixture.accounts;
+
+    const approver = await createMembershipApprover({ memberRoles, kycAuthSigner });
+
+    await expect(approver.approve(members[0].address)).to.be.rejectedWith('is already a member');
+    await expect(approver.approve('0x1234')).to.be.rejectedWith('Invalid address');
+    await expect(createMembershipApprover({ memberRoles, kycAuthSigner: nonMembers[0] })).to.be.rejectedWith(
+      'is not the kyc authority',
+    );
+  });
+
+  it('issues concurrent approvals for the same address with different nonces', async function () {
+    const fixture = await loadFixture(membershipApproverSetup);
+    const { memberRoles } = fixture.contracts;
+    const { nonMembers, defaultSender: kycAuthSigner } = fixture.accounts;
+    const { logFile } = fixture;
+    const [nonMember] = nonMembers;
+
+    const approver = await createMembershipApprover({ memberRoles, kycAuthSigner, logFile });
+    const approvals = await Promise.all([
+      approver.approve(nonMember.address),
+      approver.approve(nonMember.address.toLowerCase()),
+      approver.approve(nonMembers[1].address),
+    ]);
+
+    expect(approvals.map(({ nonce }) => nonce)).to.be.deep.equal([0, 1, 0]);
+    expect(readApprovalsLog(logFile).slice(-3)).to.have.deep.members(approvals);
+
+    const { nonce, signature } = approvals[1];
+    await memberRoles.join(nonMember.address, nonce, signature, { value: JOINING_FEE });
+    expect(await memberRoles.isMember(nonMember.address)).to.be.equal(true);
+  });
+
+  it('signs approvals only for requests carrying the auth token', async function () {
+    const fixture = await loadFixture(membershipApproverSetup);
+    const { memberRoles } = fixture.contracts;
+    const { nonMembers, defaultSender: kycAuthSigner } = fixture.accounts;
+    const [nonMember] = nonMembers;
+
+    const approver = await createMembershipApprover({ memberRoles, kycAuthSigner });
+    const server = http.createServer(createHandler(approver, 'secret'));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const body = JSON.stringify({ address: nonMember.address });
+
+      const unauthorized = await request(server, { body });
+      expect(unauthorized.status).to.be.equal(401);
+
+      const wrongToken = await request(server, { headers: { authorization: 'Bearer secreT' }, body });
+      expect(wrongToken.status).to.be.equal(401);
+
+      const authorized = await request(server, { headers: { authorization: 'Bearer secret' }, body });
+      expect(authorized.status).to.be.equal(200);
+      expect(authorized.body.address).to.be.equal(nonMember.address);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,226 @@
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+
+const { setup } = require('./setup');
+const { setEthReserveValue } = require('./helpers');
+const { setNextBlockTime, mineNextBlock } = require('../utils').evm;
+const { daysToSeconds } = require('../utils').helpers;
+const rammLib = require('../../../lib/ramm');
+
+const { hexZeroPad, parseEther } = ethers.utils;
+
+// the budget is stored in slot1 as an uint88 after the uint128 eth reserve
+const setBudget = async (rammAddress, budget) => {
+  const SLOT_1_POSITION = '0x4';
+  const slot1 = ethers.BigNumber.from(await ethers.provider.getStorageAt(rammAddress, SLOT_1_POSITION));
+  const newSlot1 = slot1.sub(slot1.shr(128).mask(88).shl(128)).add(budget.shl(128));
+  await ethers.provider.send('hardhat_setStorageAt', [rammAddress, SLOT_1_POSITION, hexZeroPad(newSlot1, 32)]);
+};
+
+const getObservations = async ramm => Promise.all([0, 1, 2].map(i => ramm.observations(i)));
+
+const expectStateEqual = (actual, expected) => {
+  expect(actual.nxmA).to.be.equal(expected.nxmA);
+  expect(actual.nxmB).to.be.equal(expected.nxmB);
+  expect(actual.eth).to.be.equal(expected.eth);
+  expect(actual.budget).to.be.equal(expected.budget);
+  expect(actual.ratchetSpeedB).to.be.equal(expected.ratchetSpeedB);
+  expect(actual.timestamp).to.be.equal(expected.timestamp);
+};
+
+const expectObservationsEqual = (actual, expected) => {
+  for (let i = 0; i < rammLib.GRANULARITY; i++) {
+    expect(actual[i].timestamp).to.be.equal(expected[i].timestamp);
+    expect(actual[i].priceCumulativeAbove).to.be.equal(expected[i].priceCumulativeAbove);
+    expect(actual[i].priceCumulativeBelow).to.be.equal(expected[i].priceCumulativeBelow);
+  }
+};
+
+describe('swapQuotes', function () {
+  it('lib/ramm projectState matches the contract views', async function () {
+    const fixture = await loadFixture(setup);
+    const { ramm, pool, tokenController, mcr } = fixture.contracts;
+
+    const rammState = await rammLib.fetchRammState({ ramm, pool, tokenController, mcr });
+
+    for (const elapsed of [1, daysToSeconds(1), daysToSeconds(4), daysToSeconds(12), daysToSeconds(40)]) {
+      const timestamp = rammState.state.timestamp.add(elapsed);
+      const projected = rammLib.projectState(rammState, timestamp);
+
+      const [expectedState] = await ramm._getReserves(rammState.state, rammState.context, timestamp);
+      expectStateEqual(projected.state, expectedState);
+
+      const expectedObservations = await ramm._updateTwap(
+        rammState.state,
+        rammState.observations,
+        rammState.context,
+        timestamp,
+      );
+      expectObservationsEqual(projected.observations, expectedObservations);
+
+      const expectedInternalPrice = await ramm._getInternalPrice(
+        expectedState,
+        expectedObservations,
+        rammState.context.capital,
+        rammState.context.supply,
+        timestamp,
+      );
+      expect(projected.internalPrice).to.be.equal(expectedInternalPrice);
+    }
+
+    const timestamp = rammState.state.timestamp.add(daysToSeconds(2)).toNumber();
+    await setNextBlockTime(timestamp);
+    await mineNextBlock();
+
+    const { spotPriceA, spotPriceB } = await ramm.getSpotPrices();
+    const projected = rammLib.projectState(rammState, timestamp);
+    expect(projected.spotPriceA).to.be.equal(spotPriceA);
+    expect(projected.spotPriceB).to.be.equal(spotPriceB);
+    expect(projected.bookValue).to.be.equal(await ramm.getBookValue());
+    expect(projected.internalPrice).to.be.equal(await ramm.getInternalPrice());
+
+    const reserves = await ramm.getReserves();
+    expectStateEqual(rammLib.stateFromReserves(reserves, timestamp), projected.state);
+  });
+
+  it('lib/ramm quoteEthForNxm matches the swap result', async function () {
+    const fixture = await loadFixture(setup);
+    const { ramm, pool, tokenController, mcr, nxm } = fixture.contracts;
+    const [member] = fixture.accounts.members;
+
+    const { timestamp: latestTimestamp } = await ethers.provider.getBlock('latest');
+    const rammState = await rammLib.fetchRammState({ ramm, pool, tokenController, mcr });
+
+    const ethIn = parseEther('10');
+    const timestamp = latestTimestamp + daysToSeconds(3);
+    const quote = rammLib.quoteEthForNxm(ethIn, rammState, timestamp);
+
+    const nxmBalanceBefore = await nxm.balanceOf(member.address);
+    await setNextBlockTime(timestamp);
+    await ramm.connect(member).swap(0, quote.amountOut, timestamp, { value: ethIn });
+    const nxmBalanceAfter = await nxm.balanceOf(member.address);
+
+    expect(nxmBalanceAfter.sub(nxmBalanceBefore)).to.be.equal(quote.amountOut);
+    expectStateEqual(quote.rammState.state, await ramm.loadState());
+    expectObservationsEqual(quote.rammState.observations, await getObservations(ramm));
+    expect(quote.rammState.nxmReleased).to.be.equal(await ramm.nxmReleased());
+  });
+
+  it('lib/ramm quoteNxmForEth matches the swap result', async function () {
+    const fixture = await loadFixture(setup);
+    const { ramm, pool, tokenController, mcr, nxm } = fixture.contracts;
+    const [member] = fixture.accounts.members;
+
+    const { timestamp: latestTimestamp } = await ethers.provider.getBlock('latest');
+    const rammState = await rammLib.fetchRammState({ ramm, pool, tokenController, mcr });
+
+    const nxmIn = parseEther('100');
+    const timestamp = latestTimestamp + daysToSeconds(5);
+    const quote = rammLib.quoteNxmForEth(nxmIn, rammState, timestamp);
+
+    const nxmBalanceBefore = await nxm.balanceOf(member.address);
+    await setNextBlockTime(timestamp);
+    await ramm.connect(member).swap(nxmIn, quote.amountOut, timestamp);
+    const nxmBalanceAfter = await nxm.balanceOf(member.address);
+
+    expect(nxmBalanceBefore.sub(nxmBalanceAfter)).to.be.equal(nxmIn);
+    expectStateEqual(quote.rammState.state, await ramm.loadState());
+    expectObservationsEqual(quote.rammState.observations, await getObservations(ramm));
+    expect(quote.rammState.ethReleased).to.be.equal(await ramm.ethReleased());
+  });
+
+  it('lib/ramm quotes chained swaps from the returned snapshot', async function () {
+    const fixture = await loadFixture(setup);
+    const { ramm, pool, tokenController, mcr } = fixture.contracts;
+    const [member] = fixture.accounts.members;
+
+    const { timestamp: latestTimestamp } = await ethers.provider.getBlock('latest');
+    const rammState = await rammLib.fetchRammState({ ramm, pool, tokenController, mcr });
+
+    const firstTimestamp = latestTimestamp + daysToSeconds(1);
+    const secondTimestamp = firstTimestamp + daysToSeconds(1);
+    const ethIn = parseEther('5');
+    const first = rammLib.quoteEthForNxm(ethIn, rammState, firstTimestamp);
+    const second = rammLib.quoteNxmForEth(parseEther('50'), first.rammState, secondTimestamp);
+
+    await setNextBlockTime(firstTimestamp);
+    await ramm.connect(member).swap(0, first.amountOut, firstTimestamp, { value: ethIn });
+    await setNextBlockTime(secondTimestamp);
+    await ramm.connect(member).swap(parseEther('50'), second.amountOut, secondTimestamp);
+
+    expectStateEqual(second.rammState.state, await ramm.loadState());
+    expectObservationsEqual(second.rammState.observations, await getObservations(ramm));
+
+    const { context } = await rammLib.fetchRammState({ ramm, pool, tokenController, mcr });
+    expect(second.rammState.context.capital).to.be.equal(context.capital);
+    expect(second.rammState.context.supply).to.be.equal(context.supply);
+  });
+
+  it('lib/ramm slows down the ratchet once chained quotes drain the budget', async function () {
+    const fixture = await loadFixture(setup);
+    const { ramm, pool, tokenController, mcr } = fixture.contracts;
+    const [member] = fixture.accounts.members;
+
+    // below the target liquidity the budget is injected, leave only 10 ETH of it
+    await setEthReserveValue(ramm.address, 4000);
+    await setBudget(ramm.address, parseEther('10'));
+
+    const { timestamp: latestTimestamp } = await ethers.provider.getBlock('latest');
+    const rammState = await rammLib.fetchRammState({ ramm, pool, tokenController, mcr });
+    expect(rammState.state.ratchetSpeedB).to.be.equal(rammLib.FAST_RATCHET_SPEED);
+
+    const firstTimestamp = latestTimestamp + daysToSeconds(1);
+    const secondTimestamp = firstTimestamp + daysToSeconds(1);
+    const nxmIn = parseEther('50');
+    const first = rammLib.quoteNxmForEth(nxmIn, rammState, firstTimestamp);
+    const second = rammLib.quoteNxmForEth(nxmIn, first.rammState, secondTimestamp);
+
+    expect(first.rammState.state.budget).to.be.equal(0);
+    expect(first.rammState.state.ratchetSpeedB).to.be.equal(rammLib.NORMAL_RATCHET_SPEED);
+
+    await setNextBlockTime(firstTimestamp);
+    await ramm.connect(member).swap(nxmIn, first.amountOut, firstTimestamp);
+    expectStateEqual(first.rammState.state, await ramm.loadState());
+
+    await setNextBlockTime(secondTimestamp);
+    await ramm.connect(member).swap(nxmIn, second.amountOut, secondTimestamp);
+    expectStateEqual(second.rammState.state, await ramm.loadState());
+    expectObservationsEqual(second.rammState.observations, await getObservations(ramm));
+
+    const projected = rammLib.projectState(second.rammState, secondTimestamp + daysToSeconds(1));
+    expect(projected.state.ratchetSpeedB).to.be.equal(rammLib.NORMAL_RATCHET_SPEED);
+  });
+
+  it('lib/ramm throws the same errors as the contract', async function () {
+    const fixture = await loadFixture(setup);
+    const { ramm, pool, tokenController, mcr } = fixture.contracts;
+    const { emergencyAdmin, members } = fixture.accounts;
+    const [member] = members;
+
+    await ramm.connect(emergencyAdmin).setCircuitBreakerLimits(1, 1);
+    const { timestamp } = await ethers.provider.getBlock('latest');
+
+    {
+      const rammState = await rammLib.fetchRammState({ ramm, pool, tokenController, mcr });
+      const nxmIn = parseEther('1000');
+      const ethIn = parseEther('1');
+
+      expect(() => rammLib.quoteNxmForEth(nxmIn, rammState, timestamp + 1)).to.throw('EthCircuitBreakerHit');
+      expect(() => rammLib.quoteEthForNxm(ethIn, rammState, timestamp + 1)).to.throw('NxmCircuitBreakerHit');
+
+      const nxmForEth = ramm.connect(member).callStatic.swap(nxmIn, 0, timestamp + 60);
+      await expect(nxmForEth).to.be.revertedWithCustomError(ramm, 'EthCircuitBreakerHit');
+
+      const ethForNxm = ramm.connect(member).callStatic.swap(0, 0, timestamp + 60, { value: ethIn });
+      await expect(ethForNxm).to.be.revertedWithCustomError(ramm, 'NxmCircuitBreakerHit');
+    }
+
+    await ramm.connect(emergencyAdmin).setEmergencySwapPause(true);
+
+    {
+      const rammState = await rammLib.fetchRammState({ ramm, pool, tokenController, mcr });
+      expect(() => rammLib.quoteEthForNxm(parseEther('1'), rammState, timestamp + 10)).to.throw('SwapPaused');
+    }
+  });
+});
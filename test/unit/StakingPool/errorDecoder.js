@@ -0,0 +1,143 @@
+const { artifacts, ethers } = require('hardhat');
+const { expect } = require('chai');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+
+const setup = require('./setup');
+const { errors: errorsLib } = require('../../../lib');
+const { DIVIDE_BY_ZERO } = require('../utils').errors;
+
+const { AddressZero } = ethers.constants;
+const { defaultAbiCoder, hexConcat, hexDataSlice } = ethers.utils;
+
+const poolId = 1;
+
+async function errorDecoderSetup() {
+  const fixture = await loadFixture(setup);
+  const { stakingPool } = fixture;
+
+  await stakingPool.connect(fixture.coverSigner).initialize(false, 5, 5, poolId, 'Description Hash');
+  const errorDecoder = await errorsLib.loadErrorDecoder(artifacts);
+
+  return { ...fixture, errorDecoder };
+}
+
+const catchError = async promise => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  expect.fail('Expected the call to revert');
+};
+
+describe('errorDecoder', function () {
+  it('decodes custom errors thrown by calls and transactions', async function () {
+    const fixture = await loadFixture(errorDecoderSetup);
+    const { stakingPool, errorDecoder } = fixture;
+    const [staker] = fixture.accounts.members;
+
+    const callError = await catchError(stakingPool.connect(staker).callStatic.depositTo(0, 0, 0, AddressZero));
+    const txError = await catchError(stakingPool.connect(staker).depositTo(0, 0, 0, AddressZero));
+
+    for (const error of [callError, txError]) {
+      const decoded = errorDecoder.decodeError(error);
+      expect(decoded.name).to.be.equal('InsufficientDepositAmount');
+      expect(decoded.selector).to.be.equal(stakingPool.interface.getSighash('InsufficientDepositAmount'));
+      expect(decoded.contracts[0]).to.be.equal('contracts/modules/staking/StakingPool.sol:StakingPool');
+      expect(errorDecoder.formatError(error)).to.be.equal('StakingPool.InsufficientDepositAmount()');
+    }
+  });
+
+  it('decodes custom errors with arguments', async function () {
+    const { errorDecoder } = await loadFixture(errorDecoderSetup);
+    const { interface: rammInterface } = await ethers.getContractFactory('Ramm');
+
+    const data = rammInterface.encodeErrorResult('SwapExpired', [1000, 2000]);
+    const decoded = errorDecoder.decodeErrorData(data);
+
+    expect(decoded.name).to.be.equal('SwapExpired');
+    expect(decoded.signature).to.be.equal('SwapExpired(uint256,uint256)');
+    expect(decoded.args.deadline).to.be.equal(1000);
+    expect(decoded.args.blockTimestamp).to.be.equal(2000);
+    expect(decoded.contracts).to.include('contracts/modules/capital/Ramm.sol:Ramm');
+    expect(errorDecoder.formatError({ data })).to.be.equal('Ramm.SwapExpired(deadline: 1000, blockTimestamp: 2000)');
+  });
+
+  it('decodes revert strings', async function () {
+    const fixture = await loadFixture(errorDecoderSetup);
+    const { cover, errorDecoder } = fixture;
+
+    // the product isn't set on the mock cover
+    const error = await catchError(cover.getPriceAndCapacityRatios([0]));
+    const decoded = errorDecoder.decodeError(error);
+
+    expect(decoded.name).to.be.equal('Error');
+    expect(decoded.reason).to.be.equal('Cover: Product deprecated or not initialized');
+    expect(errorDecoder.formatError(error)).to.be.equal('Error: Cover: Product deprecated or not initialized');
+  });
+
+  it('decodes panics and unknown selectors', async function () {
+    const { errorDecoder } = await loadFixture(errorDecoderSetup);
+
+    const panic = hexConcat(['0x4e487b71', defaultAbiCoder.encode(['uint256'], [DIVIDE_BY_ZERO])]);
+    const decoded = errorDecoder.decodeErrorData(panic);
+
+    expect(decoded.name).to.be.equal('Panic');
+    expect(decoded.code).to.be.equal(DIVIDE_BY_ZERO);
+    expect(errorDecoder.formatError({ error: { data: panic } })).to.be.equal('Panic(0x12): Division or modulo by zero');
+
+    const unknown = errorDecoder.decodeErrorData('0xdeadbeef');
+    expect(unknown.name).to.be.equal(null);
+    expect(errorDecoder.formatError({ data: '0xdeadbeef' })).to.be.equal(
+      'Unknown custom error 0xdeadbeef (data: 0xdeadbeef)',
+    );
+
+    expect(errorDecoder.decodeError(new Error('network down'))).to.be.equal(null);
+    expect(errorDecoder.formatError(new Error('network down'))).to.be.equal('network down');
+  });
+
+  it('falls back to the raw selector and data when the data is malformed', async function () {
+    const { errorDecoder } = await loadFixture(errorDecoderSetup);
+    const { interface: rammInterface } = await ethers.getContractFactory('Ramm');
+
+    const swapExpired = rammInterface.encodeErrorResult('SwapExpired', [1000, 2000]);
+    const truncated = hexDataSlice(swapExpired, 0, 20);
+    const selector = hexDataSlice(swapExpired, 0, 4);
+
+    const decoded = errorDecoder.decodeErrorData(truncated);
+    expect(decoded.selector).to.be.equal(selector);
+    expect(decoded.name).to.be.equal(null);
+    expect(decoded.data).to.be.equal(truncated);
+    expect(errorDecoder.formatError({ data: truncated })).to.be.equal(
+      `Malformed error ${selector} (data: ${truncated})`,
+    );
+
+    const truncatedReason = hexConcat(['0x08c379a0', '0x0020']);
+    expect(errorDecoder.decodeErrorData(truncatedReason).name).to.be.equal(null);
+    expect(errorDecoder.decodeErrorData('0x0102').selector).to.be.equal('0x0102');
+  });
+
+  it('keeps the errors of contracts with the same name in different sources', async function () {
+    const sources = {
+      'contracts/a/Foo.sol:Foo': [{ type: 'error', name: 'FirstError', inputs: [] }],
+      'contracts/b/Foo.sol:Foo': [{ type: 'error', name: 'SecondError', inputs: [] }],
+    };
+    const fakeArtifacts = {
+      getAllFullyQualifiedNames: async () => Object.keys(sources),
+      readArtifact: async name => {
+        const [sourceName, contractName] = name.split(':');
+        return { sourceName, contractName, abi: sources[name], bytecode: '0x00' };
+      },
+    };
+
+    const errorDecoder = await errorsLib.loadErrorDecoder(fakeArtifacts);
+    const errorInterface = new ethers.utils.Interface([...Object.values(sources).flat()]);
+
+    const first = errorDecoder.decodeErrorData(errorInterface.encodeErrorResult('FirstError', []));
+    const second = errorDecoder.decodeErrorData(errorInterface.encodeErrorResult('SecondError', []));
+
+    expect(first.contracts).to.be.deep.equal(['contracts/a/Foo.sol:Foo']);
+    expect(second.contracts).to.be.deep.equal(['contracts/b/Foo.sol:Foo']);
+    expect(errorDecoder.formatError({ data: second.selector })).to.be.equal('Foo.SecondError()');
+  });
+});
@@ -0,0 +1,159 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+
+const { getCurrentTrancheId, moveTimeToNextBucket } = require('./helpers');
+const setup = require('./setup');
+
+const { daysToSeconds } = require('../utils').helpers;
+const capacity = require('../../../lib/capacity');
+
+const { AddressZero } = ethers.constants;
+const { parseEther } = ethers.utils;
+
+const poolId = 1;
+const productId = 0;
+const gracePeriod = daysToSeconds(7);
+
+const coverProductTemplate = {
+  productType: 1,
+  yieldTokenAddress: AddressZero,
+  coverAssets: 1111,
+  initialPriceRatio: 2000, // 20%
+  capacityReductionRatio: 1500, // 15%
+  useFixedPrice: false,
+};
+
+const buyCoverParamsTemplate = {
+  owner: AddressZero,
+  coverId: 0,
+  productId,
+  coverAsset: 0, // ETH
+  amount: parseEther('1000'),
+  period: daysToSeconds(30),
+  maxPremiumInAsset: parseEther('100'),
+  paymentAsset: 0,
+  payWithNXM: false,
+  commissionRatio: 1,
+  commissionDestination: AddressZero,
+  ipfsData: 'ipfs data',
+};
+
+async function getActiveTrancheCapacitiesSetup() {
+  const fixture = await loadFixture(setup);
+  const { stakingPool, stakingProducts, cover } = fixture;
+  const [staker] = fixture.accounts.members;
+
+  await cover.setProduct(coverProductTemplate, productId);
+  await cover.setProductType({ claimMethod: 1, gracePeriod }, coverProductTemplate.productType);
+
+  await stakingPool.connect(fixture.coverSigner).initialize(false, 7, 10, poolId, 'Staking pool 1');
+  await stakingProducts
+    .connect(fixture.coverSigner)
+    .setInitialProducts(poolId, [{ productId, weight: 60, initialPrice: 2000, targetPrice: 200 }]);
+
+  const firstTrancheId = await getCurrentTrancheId();
+  const deposits = [
+    { trancheOffset: 0, amount: parseEther('10000') },
+    { trancheOffset: 1, amount: parseEther('20000') },
+    { trancheOffset: 3, amount: parseEther('5000') },
+    { trancheOffset: 7, amount: parseEther('30000') },
+  ];
+
+  for (const { trancheOffset, amount } of deposits) {
+    await stakingPool.connect(staker).depositTo(amount, firstTrancheId + trancheOffset, 0, staker.address);
+  }
+
+  return fixture;
+}
+
+const fetchSnapshot = async ({ stakingPool, stakingProducts, cover }) =>
+  capacity.fetchCapacitySnapshot({ stakingPool, stakingProducts, cover }, productId);
+
+const buyCover = async (cover, stakingPool, amount, period) => {
+  const params = { ...buyCoverParamsTemplate, amount, period };
+  await cover.allocateCapacity(params, 0, 0, stakingPool.address);
+};
+
+describe('getActiveTrancheCapacities', function () {
+  it('lib/capacity matches the contract tranche capacities', async function () {
+    const fixture = await loadFixture(getActiveTrancheCapacitiesSetup);
+    const { stakingPool, config } = fixture;
+
+    const snapshot = await fetchSnapshot(fixture);
+    const { trancheCapacities, totalCapacity } = capacity.getActiveTrancheCapacities(snapshot);
+
+    const expected = await stakingPool.getActiveTrancheCapacities(
+      productId,
+      config.GLOBAL_CAPACITY_RATIO,
+      coverProductTemplate.capacityReductionRatio,
+    );
+
+    expect(trancheCapacities.length).to.be.equal(expected.trancheCapacities.length);
+    trancheCapacities.forEach((trancheCapacity, i) => {
+      expect(trancheCapacity).to.be.equal(expected.trancheCapacities[i]);
+    });
+    expect(totalCapacity).to.be.equal(expected.totalCapacity);
+  });
+
+  it('lib/capacity matches the contract allocations after covers are bought and expired', async function () {
+    const fixture = await loadFixture(getActiveTrancheCapacitiesSetup);
+    const { stakingPool, cover } = fixture;
+
+    await buyCover(cover, stakingPool, parseEther('3000'), daysToSeconds(30));
+    await buyCover(cover, stakingPool, parseEther('2000'), daysToSeconds(100));
+    await buyCover(cover, stakingPool, parseEther('4000'), daysToSeconds(300));
+
+    for (let i = 0; i < 3; i++) {
+      const snapshot = await fetchSnapshot(fixture);
+      const allocations = capacity.getActiveAllocations(snapshot);
+      const expected = await stakingPool.getActiveAllocations(productId);
+
+      allocations.forEach((allocation, i) => {
+        expect(allocation).to.be.equal(expected[i]);
+      });
+
+      await moveTimeToNextBucket(1);
+    }
+  });
+
+  it('lib/capacity available capacity is exactly what the pool can allocate', async function () {
+    const fixture = await loadFixture(getActiveTrancheCapacitiesSetup);
+    const { stakingPool, cover, config } = fixture;
+
+    await buyCover(cover, stakingPool, parseEther('6000'), daysToSeconds(60));
+    await moveTimeToNextBucket(1);
+
+    for (const period of [daysToSeconds(28), daysToSeconds(200), daysToSeconds(365)]) {
+      const snapshot = await fetchSnapshot(fixture);
+      const { availableCapacityInNxm } = capacity.getAvailableCapacity(snapshot, period, gracePeriod);
+      expect(availableCapacityInNxm).to.be.gt(0);
+
+      const params = { ...buyCoverParamsTemplate, period };
+      const tooMuch = { ...params, amount: availableCapacityInNxm.add(config.NXM_PER_ALLOCATION_UNIT) };
+
+      await expect(cover.callStatic.allocateCapacity(tooMuch, 0, 0, stakingPool.address)).to.be.revertedWithCustomError(
+        stakingPool,
+        'InsufficientCapacity',
+      );
+
+      const exact = { ...params, amount: availableCapacityInNxm };
+      await expect(cover.callStatic.allocateCapacity(exact, 0, 0, stakingPool.address)).to.not.be.reverted;
+    }
+  });
+
+  it('lib/capacity reports no capacity when the pool has no stake', async function () {
+    const fixture = await loadFixture(setup);
+    const { stakingPool, stakingProducts, cover } = fixture;
+
+    await cover.setProduct(coverProductTemplate, productId);
+    await stakingPool.connect(fixture.coverSigner).initialize(false, 7, 10, poolId, 'Staking pool 1');
+
+    const snapshot = await capacity.fetchCapacitySnapshot({ stakingPool, stakingProducts, cover }, productId);
+    const { totalCapacity } = capacity.getActiveTrancheCapacities(snapshot);
+    const { availableCapacity } = capacity.getAvailableCapacity(snapshot, daysToSeconds(30), gracePeriod);
+
+    expect(totalCapacity).to.be.equal(0);
+    expect(availableCapacity).to.be.equal(0);
+  });
+});
@@ -4,14 +4,13 @@ const { expect } = require('chai');
 const { setNextBlockTime, mineNextBlock } = require('../utils').evm;
 const { daysToSeconds } = require('../utils').helpers;
 const { divCeil } = require('../utils').bnMath;
+const { stakingTime } = require('../../../lib');
 
 const { parseEther } = ethers.utils;
 const { BigNumber } = ethers;
 
-const TRANCHE_DURATION = daysToSeconds(91);
-const BUCKET_DURATION = daysToSeconds(28);
+const { TRANCHE_DURATION, BUCKET_DURATION, MAX_ACTIVE_TRANCHES } = stakingTime;
 const ONE_YEAR = daysToSeconds(365);
-const MAX_ACTIVE_TRANCHES = 8;
 
 const setTime = async timestamp => {
   await setNextBlockTime(timestamp);
@@ -117,25 +116,21 @@ function roundUpToNearestAllocationUnit(amount, nxmPerAllocationUnit) {
   return divCeil(amount, nxmPerAllocationUnit).mul(nxmPerAllocationUnit);
 }
 
-function calculateFirstTrancheId(timestamp, period, gracePeriod) {
-  return Math.floor((timestamp + period + gracePeriod) / (91 * 24 * 3600));
-}
-
 async function getCurrentTrancheId() {
   const { timestamp } = await ethers.provider.getBlock('latest');
-  return Math.floor(timestamp / TRANCHE_DURATION);
+  return stakingTime.getTrancheId(timestamp);
 }
 
 async function getTranches(period = 0, gracePeriod = 0) {
   const lastBlock = await ethers.provider.getBlock('latest');
-  const firstActiveTrancheId = calculateFirstTrancheId(lastBlock.timestamp, period, gracePeriod);
+  const firstActiveTrancheId = stakingTime.getFirstTrancheIdForCover(lastBlock.timestamp, period, gracePeriod);
   const maxTranche = firstActiveTrancheId + MAX_ACTIVE_TRANCHES - 1;
   return { firstActiveTrancheId, maxTranche };
 }
 
 async function getCurrentBucket() {
   const lastBlock = await ethers.provider.getBlock('latest');
-  return Math.floor(lastBlock.timestamp / BUCKET_DURATION);
+  return stakingTime.getBucketId(lastBlock.timestamp);
 }
 
 async function estimateStakeShares({ amount, stakingPool }) {
@@ -0,0 +1,147 @@
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+
+const { setTime } = require('./helpers');
+const setup = require('./setup');
+
+const { daysToSeconds } = require('../utils').helpers;
+const { stakingTime } = require('../../../lib');
+
+const { AddressZero } = ethers.constants;
+const { parseEther } = ethers.utils;
+
+const poolId = 1;
+const productId = 0;
+const period = daysToSeconds(45);
+const gracePeriod = daysToSeconds(30);
+
+async function stakingTimeSetup() {
+  const fixture = await loadFixture(setup);
+  const { stakingPool, stakingProducts, cover } = fixture;
+
+  await cover.setProduct(
+    {
+      productType: 1,
+      yieldTokenAddress: AddressZero,
+      coverAssets: 1111,
+      initialPriceRatio: 2000,
+      capacityReductionRatio: 0,
+      useFixedPrice: false,
+    },
+    productId,
+  );
+  await cover.setProductType({ claimMethod: 1, gracePeriod }, 1);
+
+  await stakingPool.connect(fixture.coverSigner).initialize(false, 5, 5, poolId, 'Description Hash');
+  await stakingProducts
+    .connect(fixture.coverSigner)
+    .setInitialProducts(poolId, [{ productId, weight: 100, initialPrice: 500, targetPrice: 500 }]);
+
+  return fixture;
+}
+
+describe('stakingTime', function () {
+  it('uses the same durations as the contracts', async function () {
+    const { stakingPool } = await loadFixture(stakingTimeSetup);
+
+    expect(await stakingPool.TRANCHE_DURATION()).to.be.equal(stakingTime.TRANCHE_DURATION);
+    expect(await stakingPool.BUCKET_DURATION()).to.be.equal(stakingTime.BUCKET_DURATION);
+    expect(await stakingPool.MAX_ACTIVE_TRANCHES()).to.be.equal(stakingTime.MAX_ACTIVE_TRANCHES);
+  });
+
+  it('converts between timestamps, tranches and buckets', async function () {
+    const { TRANCHE_DURATION, BUCKET_DURATION } = stakingTime;
+    const trancheStart = stakingTime.getTrancheStart(200);
+
+    expect(stakingTime.getTrancheId(trancheStart)).to.be.equal(200);
+    expect(stakingTime.getTrancheId(trancheStart - 1)).to.be.equal(199);
+    expect(stakingTime.getTrancheExpiration(200)).to.be.equal(trancheStart + TRANCHE_DURATION);
+    expect(stakingTime.getTimeLeftOfTranche(200, trancheStart + 10)).to.be.equal(TRANCHE_DURATION - 10);
+    expect(stakingTime.getTimeLeftOfTranche(200, trancheStart + TRANCHE_DURATION + 10)).to.be.equal(0);
+    expect(stakingTime.isTrancheExpired(200, trancheStart + TRANCHE_DURATION)).to.be.equal(true);
+    expect(stakingTime.isTrancheExpired(200, trancheStart + TRANCHE_DURATION - 1)).to.be.equal(false);
+
+    const bucketStart = stakingTime.getBucketStart(650);
+    expect(stakingTime.getBucketId(bucketStart)).to.be.equal(650);
+    expect(stakingTime.getBucketExpiration(650)).to.be.equal(bucketStart + BUCKET_DURATION);
+    expect(stakingTime.getTimeLeftOfBucket(650, bucketStart + 1)).to.be.equal(BUCKET_DURATION - 1);
+    expect(stakingTime.isBucketExpired(650, bucketStart + BUCKET_DURATION)).to.be.equal(true);
+
+    // cover expirations round up to the next bucket unless they fall exactly on a bucket start
+    expect(stakingTime.getCoverExpirationBucketId(bucketStart, BUCKET_DURATION)).to.be.equal(651);
+    expect(stakingTime.getCoverExpirationBucketId(bucketStart, BUCKET_DURATION + 1)).to.be.equal(652);
+  });
+
+  it('lists the same deposit tranches as accepted by depositTo', async function () {
+    const fixture = await loadFixture(stakingTimeSetup);
+    const { stakingPool } = fixture;
+    const [staker] = fixture.accounts.members;
+
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    const { firstActiveTrancheId, maxTrancheId } = stakingTime.getActiveTrancheRange(timestamp);
+    const trancheIds = stakingTime.getDepositTrancheIds(timestamp);
+
+    expect(trancheIds.length).to.be.equal(stakingTime.MAX_ACTIVE_TRANCHES);
+    expect(trancheIds[0]).to.be.equal(firstActiveTrancheId);
+    expect(trancheIds[trancheIds.length - 1]).to.be.equal(maxTrancheId);
+
+    const depositTo = trancheId =>
+      stakingPool.connect(staker).callStatic.depositTo(parseEther('1'), trancheId, 0, AddressZero);
+
+    await expect(depositTo(firstActiveTrancheId - 1)).to.be.revertedWithCustomError(
+      stakingPool,
+      'RequestedTrancheIsExpired',
+    );
+    await expect(depositTo(maxTrancheId + 1)).to.be.revertedWithCustomError(
+      stakingPool,
+      'RequestedTrancheIsNotYetActive',
+    );
+
+    for (const trancheId of trancheIds) {
+      await expect(depositTo(trancheId)).to.not.be.reverted;
+    }
+  });
+
+  it('only lists tranches that outlive the cover and its grace period', async function () {
+    const fixture = await loadFixture(stakingTimeSetup);
+    const { stakingPool, cover } = fixture;
+    const [staker] = fixture.accounts.members;
+
+    // move 20 days into the next tranche so the cover can't be backed by the current one
+    const { timestamp: now } = await ethers.provider.getBlock('latest');
+    const timestamp = stakingTime.getTrancheStart(stakingTime.getTrancheId(now) + 1) + daysToSeconds(20);
+    await setTime(timestamp);
+
+    const trancheIds = stakingTime.getDepositTrancheIds(timestamp, period, gracePeriod);
+    const firstTrancheId = stakingTime.getFirstTrancheIdForCover(timestamp, period, gracePeriod);
+
+    expect(trancheIds[0]).to.be.equal(firstTrancheId);
+    expect(stakingTime.getTrancheExpiration(firstTrancheId)).to.be.gt(timestamp + period + gracePeriod);
+    expect(stakingTime.getTrancheExpiration(firstTrancheId - 1)).to.be.lte(timestamp + period + gracePeriod);
+
+    // stake only in the tranche right before the first usable one, the pool should have no capacity
+    await stakingPool.connect(staker).depositTo(parseEther('100'), firstTrancheId - 1, 0, AddressZero);
+
+    const buyCoverParams = {
+      owner: AddressZero,
+      coverId: 0,
+      productId,
+      coverAsset: 0,
+      amount: parseEther('1'),
+      period,
+      maxPremiumInAsset: parseEther('1'),
+      paymentAsset: 0,
+      payWithNXM: false,
+      commissionRatio: 0,
+      commissionDestination: AddressZero,
+      ipfsData: '',
+    };
+
+    const allocation = cover.callStatic.allocateCapacity(buyCoverParams, 0, 0, stakingPool.address);
+    await expect(allocation).to.be.revertedWithCustomError(stakingPool, 'InsufficientCapacity');
+
+    await stakingPool.connect(staker).depositTo(parseEther('100'), firstTrancheId, 0, AddressZero);
+    await expect(cover.callStatic.allocateCapacity(buyCoverParams, 0, 0, stakingPool.address)).to.not.be.reverted;
+  });
+});
@@ -0,0 +1,245 @@
+const { ethers } = require('hardhat');
+const { expect } = require('chai');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const setup = require('./setup');
+const { newProductTemplate } = require('./helpers');
+
+const { setEtherBalance, setNextBlockTime } = require('../utils').evm;
+const { daysToSeconds } = require('../utils').helpers;
+const { pricing } = require('../utils');
+
+const { BigNumber } = ethers;
+const { parseEther } = ethers.utils;
+
+const poolId = 1;
+const productId = 0;
+
+const stakedProductTemplate = {
+  lastEffectiveWeight: 50,
+  targetWeight: 70, // 70%
+  targetPrice: 200, // 2%
+  bumpedPrice: 1000, // 10%
+  bumpedPriceUpdateTime: 0,
+};
+
+// deterministic pseudo-random inputs so failures can be reproduced
+function* scenarios(count) {
+  let seed = BigNumber.from(ethers.utils.id('calculatePremium'));
+  const next = mod => {
+    seed = BigNumber.from(ethers.utils.keccak256(ethers.utils.hexZeroPad(seed.toHexString(), 32)));
+    return seed.mod(mod);
+  };
+
+  for (let i = 0; i < count; i++) {
+    const totalCapacity = next(parseEther('1')).add(1);
+    const initialCapacityUsed = next(totalCapacity);
+    const coverAmount = next(totalCapacity.sub(initialCapacityUsed)).add(1);
+    const bumpedPriceUpdateTime = next(daysToSeconds(1000)).toNumber();
+    const timestamp = bumpedPriceUpdateTime + next(daysToSeconds(200)).toNumber();
+    const product = {
+      ...stakedProductTemplate,
+      targetPrice: next(2000).toNumber(),
+      bumpedPrice: next(20000).toNumber(),
+      bumpedPriceUpdateTime,
+    };
+    const period = next(daysToSeconds(365)).add(daysToSeconds(28));
+    const globalMinPrice = next(500);
+    yield { product, period, coverAmount, initialCapacityUsed, totalCapacity, globalMinPrice, timestamp };
+  }
+}
+
+describe('calculatePremium', function () {
+  it('lib/pricing getBasePrice matches the contract', async function () {
+    const { stakingProducts } = await loadFixture(setup);
+
+    for (const { product, timestamp } of scenarios(20)) {
+      const { bumpedPrice, bumpedPriceUpdateTime, targetPrice } = product;
+      const expected = await stakingProducts.getBasePrice(bumpedPrice, bumpedPriceUpdateTime, targetPrice, timestamp);
+      const actual = pricing.getBasePrice(bumpedPrice, bumpedPriceUpdateTime, targetPrice, timestamp);
+      expect(actual).to.be.equal(expected);
+    }
+  });
+
+  it('lib/pricing calculatePremium matches the contract', async function () {
+    const { stakingProducts, config } = await loadFixture(setup);
+    const { NXM_PER_ALLOCATION_UNIT, ALLOCATION_UNITS_PER_NXM, TARGET_PRICE_DENOMINATOR } = config;
+
+    for (const scenario of scenarios(50)) {
+      const { product, period, coverAmount, initialCapacityUsed, totalCapacity, timestamp } = scenario;
+
+      const [expectedPremium, expectedProduct] = await stakingProducts.calculatePremium(
+        product,
+        period,
+        coverAmount,
+        initialCapacityUsed,
+        totalCapacity,
+        product.targetPrice,
+        timestamp,
+        NXM_PER_ALLOCATION_UNIT,
+        ALLOCATION_UNITS_PER_NXM,
+        TARGET_PRICE_DENOMINATOR,
+      );
+
+      const actual = pricing.calculatePremium(
+        product,
+        period,
+        coverAmount,
+        initialCapacityUsed,
+        totalCapacity,
+        product.targetPrice,
+        timestamp,
+      );
+
+      expect(actual.premium).to.be.equal(expectedPremium);
+      expect(actual.product.bumpedPrice).to.be.equal(expectedProduct.bumpedPrice);
+      expect(actual.product.bumpedPriceUpdateTime).to.be.equal(expectedProduct.bumpedPriceUpdateTime);
+    }
+  });
+
+  it('lib/pricing calculatePremiumPerYear matches the contract around the surge start point', async function () {
+    const { stakingProducts, config } = await loadFixture(setup);
+    const { SURGE_THRESHOLD_RATIO, SURGE_THRESHOLD_DENOMINATOR } = config;
+    const { NXM_PER_ALLOCATION_UNIT, ALLOCATION_UNITS_PER_NXM, TARGET_PRICE_DENOMINATOR } = config;
+
+    const basePrice = BigNumber.from(300);
+    const totalCapacity = parseEther('1234').div(NXM_PER_ALLOCATION_UNIT);
+    const surgeStartPoint = totalCapacity.mul(SURGE_THRESHOLD_RATIO).div(SURGE_THRESHOLD_DENOMINATOR);
+    const coverAmount = totalCapacity.div(20);
+
+    const initialCapacities = [
+      surgeStartPoint.sub(coverAmount), // i < f == s
+      surgeStartPoint.sub(coverAmount).sub(1), // i < f < s
+      surgeStartPoint.sub(1), // i < s < f
+      surgeStartPoint, // i == s < f
+      surgeStartPoint.add(1), // s < i < f
+      totalCapacity.sub(coverAmount), // s < i < f == total capacity
+    ];
+
+    for (const initialCapacityUsed of initialCapacities) {
+      const expected = await stakingProducts.calculatePremiumPerYear(
+        basePrice,
+        coverAmount,
+        initialCapacityUsed,
+        totalCapacity,
+        NXM_PER_ALLOCATION_UNIT,
+        ALLOCATION_UNITS_PER_NXM,
+        TARGET_PRICE_DENOMINATOR,
+      );
+
+      const { premiumPerYear, basePremium, surgePremium } = pricing.calculatePremiumPerYear(
+        basePrice,
+        coverAmount,
+        initialCapacityUsed,
+        totalCapacity,
+      );
+
+      expect(premiumPerYear).to.be.equal(expected);
+      expect(premiumPerYear).to.be.equal(basePremium.add(surgePremium));
+    }
+  });
+
+  it('lib/pricing calculateFixedPricePremium matches the contract', async function () {
+    const { stakingProducts, config } = await loadFixture(setup);
+    const { NXM_PER_ALLOCATION_UNIT, TARGET_PRICE_DENOMINATOR } = config;
+
+    for (const { coverAmount, period, product } of scenarios(20)) {
+      const expected = await stakingProducts.calculateFixedPricePremium(
+        coverAmount,
+        period,
+        product.targetPrice,
+        NXM_PER_ALLOCATION_UNIT,
+        TARGET_PRICE_DENOMINATOR,
+      );
+      const actual = pricing.calculateFixedPricePremium(coverAmount, period, product.targetPrice);
+      expect(actual).to.be.equal(expected);
+    }
+  });
+
+  it('lib/pricing getPremium matches the contract for stored products', async function () {
+    const fixture = await loadFixture(setup);
+    const { stakingProducts, stakingPool, config } = fixture;
+    const { NXM_PER_ALLOCATION_UNIT, ALLOCATION_UNITS_PER_NXM } = config;
+    const [manager] = fixture.accounts.members;
+
+    const poolSigner = await ethers.getImpersonatedSigner(stakingPool.address);
+    await setEtherBalance(poolSigner.address, parseEther('1'));
+
+    // the bumped price starts at the initial price and decays towards the target price
+    await stakingProducts
+      .connect(manager)
+      .setProducts(poolId, [{ ...newProductTemplate, productId, targetPrice: 200 }]);
+
+    const params = {
+      period: daysToSeconds(30),
+      coverAmount: parseEther('10').div(NXM_PER_ALLOCATION_UNIT),
+      initialCapacityUsed: 0,
+      totalCapacity: parseEther('100').div(NXM_PER_ALLOCATION_UNIT),
+      globalMinPrice: 100,
+    };
+
+    // the allocation unit size is passed by the staking pool, use values other than the defaults
+    const unitParams = [
+      { nxmPerAllocationUnit: NXM_PER_ALLOCATION_UNIT, allocationUnitsPerNXM: ALLOCATION_UNITS_PER_NXM },
+      { nxmPerAllocationUnit: NXM_PER_ALLOCATION_UNIT.mul(2), allocationUnitsPerNXM: 50 },
+    ];
+
+    // each purchase starts from the product written back by the previous one
+    for (const { nxmPerAllocationUnit, allocationUnitsPerNXM } of unitParams) {
+      for (const useFixedPrice of [true, false]) {
+        const { timestamp: latestTimestamp } = await ethers.provider.getBlock('latest');
+        const timestamp = latestTimestamp + daysToSeconds(1);
+        await setNextBlockTime(timestamp);
+
+        const product = await stakingProducts.getProduct(poolId, productId);
+        const result = pricing.getPremium({
+          ...params,
+          product,
+          useFixedPrice,
+          timestamp,
+          nxmPerAllocationUnit,
+          allocationUnitsPerNXM,
+        });
+
+        const getPremiumArgs = [
+          poolId,
+          productId,
+          params.period,
+          params.coverAmount,
+          params.initialCapacityUsed,
+          params.totalCapacity,
+          params.globalMinPrice,
+          useFixedPrice,
+          nxmPerAllocationUnit,
+          allocationUnitsPerNXM,
+        ];
+
+        // the pending block uses the next block time, the static call sees the same timestamp as the transaction
+        const premium = await stakingProducts
+          .connect(poolSigner)
+          .callStatic.getPremium(...getPremiumArgs, { blockTag: 'pending' });
+        await stakingProducts.connect(poolSigner).getPremium(...getPremiumArgs);
+
+        const { timestamp: purchaseTimestamp } = await ethers.provider.getBlock('latest');
+        expect(purchaseTimestamp).to.be.equal(timestamp);
+        expect(result.premium).to.be.equal(premium);
+
+        if (!useFixedPrice) {
+          // the bumped price decayed since the previous purchase
+          expect(result.basePrice).to.be.lt(product.bumpedPrice);
+        }
+
+        const storedProduct = await stakingProducts.getProduct(poolId, productId);
+        expect(storedProduct.bumpedPrice).to.be.equal(result.product.bumpedPrice);
+        expect(storedProduct.bumpedPriceUpdateTime).to.be.equal(result.product.bumpedPriceUpdateTime);
+        expect(storedProduct.targetPrice).to.be.equal(result.product.targetPrice);
+      }
+    }
+  });
+
+  it('lib/pricing throws when total capacity is zero', async function () {
+    const { product, period, coverAmount, timestamp } = scenarios(1).next().value;
+    expect(() => pricing.calculatePremium(product, period, coverAmount, 0, 0, product.targetPrice, timestamp)).to.throw(
+      'Total capacity is zero',
+    );
+  });
+});
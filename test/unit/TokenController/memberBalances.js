@@ -0,0 +1,138 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+
+const setup = require('./setup');
+const { memberBalances } = require('../../../lib');
+
+const { AddressZero } = ethers.constants;
+const { formatBytes32String, parseEther } = ethers.utils;
+const { LockReasonType, fetchMemberBalances, getCoverNoteLockReason, toCsv, toJson } = memberBalances;
+
+const lockPeriod = 30 * 24 * 3600;
+
+// the v2 TokenController can no longer lock tokens, the disposable one is used to create the legacy locks
+async function memberBalancesSetup() {
+  const fixture = await loadFixture(setup);
+  const { nxm, master, stakingPoolFactory } = fixture.contracts;
+  const [member] = fixture.accounts.members;
+
+  const quotationData = await ethers.deployContract('TestnetQuotationData', [AddressZero, AddressZero]);
+  const tokenController = await ethers.deployContract('DisposableTokenController', [
+    quotationData.address,
+    AddressZero,
+    stakingPoolFactory.address,
+    nxm.address,
+  ]);
+
+  await tokenController.changeMasterAddress(master.address);
+  await tokenController.changeDependentContractAddress();
+  await nxm.setOperator(tokenController.address);
+  await nxm.connect(member).approve(tokenController.address, ethers.constants.MaxUint256);
+
+  // cover ids start at 1
+  await quotationData.addV1Cover(30, 1, member.address, '0x45544800', AddressZero, 0, 0);
+  await quotationData.addV1Cover(30, 1, member.address, '0x45544800', AddressZero, 0, 0);
+
+  return {
+    ...fixture,
+    contracts: { ...fixture.contracts, tokenController, quotationData },
+  };
+}
+
+const getContracts = ({ tokenController, nxm, pooledStaking, assessment, governance }) => ({
+  tokenController,
+  nxm,
+  pooledStaking,
+  assessment,
+  governance,
+});
+
+describe('memberBalances', function () {
+  it('returns the whole NXM position of a member', async function () {
+    const fixture = await loadFixture(memberBalancesSetup);
+    const { tokenController, nxm, pooledStaking, assessment, governance } = fixture.contracts;
+    const [member] = fixture.accounts.members;
+
+    const claimAssessmentLock = formatBytes32String('CLA');
+    const coverNoteLock = getCoverNoteLockReason(member.address, 2);
+
+    await tokenController.lock(member.address, claimAssessmentLock, parseEther('10'), lockPeriod);
+    await tokenController.lock(member.address, coverNoteLock, parseEther('20'), lockPeriod);
+    await pooledStaking.setStakerDeposit(member.address, parseEther('30'));
+    await pooledStaking.setStakerReward(member.address, parseEther('1'));
+    await assessment.setStakeOf(member.address, parseEther('40'));
+    await assessment.setRewards(member.address, parseEther('3'), parseEther('2'));
+    await governance.setUnclaimedGovernanceRewards(member.address, parseEther('4'));
+
+    const balances = await fetchMemberBalances(getContracts(fixture.contracts), member.address);
+
+    expect(balances.balance).to.be.equal(await nxm.balanceOf(member.address));
+    expect(balances.lockReasons).to.have.lengthOf(2);
+    expect(balances.lockReasons[0].type).to.be.equal(LockReasonType.ClaimAssessment);
+    expect(balances.lockReasons[0].amount).to.be.equal(parseEther('10'));
+    expect(balances.lockReasons[1].type).to.be.equal(LockReasonType.CoverNote);
+    expect(balances.lockReasons[1].coverId).to.be.equal(2);
+    expect(balances.lockReasons[1].amount).to.be.equal(parseEther('20'));
+    expect(balances.lockedAmount).to.be.equal(parseEther('30'));
+
+    expect(balances.coverNotes.coverIds).to.be.deep.equal([2]);
+    expect(balances.coverNotes.withdrawableAmount).to.be.equal(parseEther('20'));
+    expect(balances.legacyPooledStaking.deposit).to.be.equal(parseEther('30'));
+    expect(balances.legacyPooledStaking.reward).to.be.equal(parseEther('1'));
+    expect(balances.assessment.stake).to.be.equal(parseEther('40'));
+    expect(balances.assessment.pendingRewards).to.be.equal(parseEther('3'));
+    expect(balances.assessment.withdrawableRewards).to.be.equal(parseEther('2'));
+    expect(balances.governanceRewards).to.be.equal(parseEther('4'));
+
+    const expectedTotal = balances.balance.add(parseEther('30')).add(parseEther('31')).add(parseEther('40'));
+    expect(balances.totalBalance).to.be.equal(expectedTotal);
+    expect(balances.totalBalance).to.be.equal(await tokenController.totalBalanceOf(member.address));
+    expect(balances.totalBalanceWithoutDelegations).to.be.equal(expectedTotal);
+    expect(balances.delegations).to.be.equal(0);
+  });
+
+  it('marks lock reasons it cannot decode as unknown', async function () {
+    const fixture = await loadFixture(memberBalancesSetup);
+    const { tokenController } = fixture.contracts;
+    const [member] = fixture.accounts.members;
+
+    const unknownLock = ethers.utils.id('unknown');
+    await tokenController.lock(member.address, unknownLock, parseEther('5'), lockPeriod);
+
+    const { lockReasons } = await fetchMemberBalances(getContracts(fixture.contracts), member.address);
+
+    expect(lockReasons).to.have.lengthOf(1);
+    expect(lockReasons[0].reason).to.be.equal(unknownLock);
+    expect(lockReasons[0].type).to.be.equal(LockReasonType.Unknown);
+    expect(lockReasons[0].amount).to.be.equal(parseEther('5'));
+  });
+
+  it('formats the balances as json and csv', async function () {
+    const fixture = await loadFixture(memberBalancesSetup);
+    const { tokenController } = fixture.contracts;
+    const [member, otherMember] = fixture.accounts.members;
+
+    await tokenController.lock(member.address, formatBytes32String('CLA'), parseEther('10'), lockPeriod);
+
+    const balances = [
+      await fetchMemberBalances(getContracts(fixture.contracts), member.address),
+      await fetchMemberBalances(getContracts(fixture.contracts), otherMember.address),
+    ];
+
+    const [json] = JSON.parse(toJson(balances));
+    expect(json.member).to.be.equal(member.address);
+    expect(json.lockedAmount).to.be.equal(parseEther('10').toString());
+    expect(json.lockReasons[0].type).to.be.equal('CLA');
+
+    const [header, row, otherRow, end] = toCsv(balances).split('\n');
+    const columns = header.split(',');
+    const values = row.split(',');
+
+    expect(end).to.be.equal('');
+    expect(otherRow.split(',')[0]).to.be.equal(otherMember.address);
+    expect(values).to.have.lengthOf(columns.length);
+    expect(values[columns.indexOf('lockReasons')]).to.be.equal(`CLA:${parseEther('10')}`);
+    expect(values[columns.indexOf('totalBalance')]).to.be.equal(balances[0].totalBalance.toString());
+  });
+});
@@ -1,4 +1,4 @@
-const { constants, helpers } = require('../../lib');
+const { constants, helpers, pricing } = require('../../lib');
 const proposalCategories = require('../../lib/proposal-categories');
 
 const addresses = require('./addresses');
@@ -19,6 +19,7 @@ module.exports = {
   constants,
   evm,
   helpers,
+  pricing,
   proposalCategories,
   buyCover,
   getQuote,
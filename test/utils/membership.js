@@ -1,16 +1,8 @@
-const { ethers, network } = require('hardhat');
-const { arrayify, formatBytes32String, defaultAbiCoder, keccak256 } = ethers.utils;
+const { network } = require('hardhat');
+const { membership } = require('../../lib');
 
-const MEMBERSHIP_APPROVAL = formatBytes32String('MEMBERSHIP_APPROVAL');
-
-const signMembershipApproval = async ({ address, nonce, chainId, kycAuthSigner }) => {
-  const message = defaultAbiCoder.encode(
-    ['bytes32', 'uint256', 'address', 'uint256'],
-    [MEMBERSHIP_APPROVAL, nonce, address, chainId || network.config.chainId],
-  );
-  const hash = keccak256(message);
-  const signature = await kycAuthSigner.signMessage(arrayify(hash));
-  return signature;
-};
+// defaults to the chain id of the network the tests run on
+const signMembershipApproval = ({ chainId, ...approval }) =>
+  membership.signMembershipApproval({ ...approval, chainId: chainId || network.config.chainId });
 
 module.exports = { signMembershipApproval };